@@ -1,4 +1,5 @@
 ﻿using System;
+using System.Collections.Generic;
 using System.Linq;
 using LibreHardwareMonitor.Hardware;
 using System.Text.Json;
@@ -26,14 +27,23 @@ namespace LibreHardwareMonitorBridge
 
     public class Program
     {
-        static void CollectSensors(IHardware hardware, ref double? cpuTemp, ref int coreCount)
+        // Per-read [DEBUG] output; always on for one-shot runs, opt-in with
+        // --verbose when serving so a long-lived session doesn't flood stderr
+        static bool verbose = true;
+
+        static void Debug(string message)
+        {
+            if (verbose) Console.Error.WriteLine(message);
+        }
+
+        static void CollectSensors(IHardware hardware, ref double? cpuTemp, ref int coreCount, List<object> cpuTemps)
         {
             // Print hardware info for debugging
-            Console.Error.WriteLine($"[DEBUG] Hardware: {hardware.Name}, Type: {hardware.HardwareType}, Identifier: {hardware.Identifier}");
+            Debug($"[DEBUG] Hardware: {hardware.Name}, Type: {hardware.HardwareType}, Identifier: {hardware.Identifier}");
             
             foreach (var sensor in hardware.Sensors)
             {
-                Console.Error.WriteLine($"[DEBUG] Sensor: {sensor.Name}, Type: {sensor.SensorType}, Value: {sensor.Value}");
+                Debug($"[DEBUG] Sensor: {sensor.Name}, Type: {sensor.SensorType}, Value: {sensor.Value}");
                 
                 if (sensor.SensorType == SensorType.Temperature)
                 {
@@ -45,10 +55,17 @@ namespace LibreHardwareMonitorBridge
                     {
                         if (sensor.Value.HasValue && sensor.Value.Value > 0 && sensor.Value.Value < 120)
                         {
-                            Console.Error.WriteLine($"[DEBUG] Found valid CPU temperature: {sensor.Name} = {sensor.Value.Value}°C");
+                            Debug($"[DEBUG] Found valid CPU temperature: {sensor.Name} = {sensor.Value.Value}°C");
                             if (cpuTemp == null) cpuTemp = 0;
                             cpuTemp += sensor.Value.Value;
                             coreCount++;
+                            // Keep each sensor (package, cores, CCDs) so a single hot core stays visible
+                            cpuTemps.Add(new
+                            {
+                                name = sensor.Name,
+                                identifier = sensor.Identifier.ToString(),
+                                value = (double)sensor.Value.Value
+                            });
                         }
                     }
                 }
@@ -56,12 +73,187 @@ namespace LibreHardwareMonitorBridge
             
             foreach (var subHardware in hardware.SubHardware)
             {
-                CollectSensors(subHardware, ref cpuTemp, ref coreCount);
+                CollectSensors(subHardware, ref cpuTemp, ref coreCount, cpuTemps);
+            }
+        }
+
+        // Find and copy the LibreHardwareMonitor.sys driver if needed
+        static void EnsureDriver()
+        {
+            string currentDir = Path.GetDirectoryName(Assembly.GetExecutingAssembly().Location) ?? ".";
+            string driverPath = Path.Combine(currentDir, "LibreHardwareMonitor.sys");
+            
+            if (!File.Exists(driverPath))
+            {
+                Console.Error.WriteLine($"[DEBUG] Driver not found at: {driverPath}");
+                // Try finding it in parent directories
+                DirectoryInfo? parentDir = Directory.GetParent(currentDir);
+                while (parentDir != null)
+                {
+                    string testPath = Path.Combine(parentDir.FullName, "LibreHardwareMonitorBridge", "LibreHardwareMonitor.sys");
+                    if (File.Exists(testPath))
+                    {
+                        Console.Error.WriteLine($"[DEBUG] Found driver at: {testPath}");
+                        try
+                        {
+                            File.Copy(testPath, driverPath, true);
+                            Console.Error.WriteLine($"[DEBUG] Copied driver to: {driverPath}");
+                            break;
+                        }
+                        catch (Exception ex)
+                        {
+                            Console.Error.WriteLine($"[ERROR] Failed to copy driver: {ex.Message}");
+                        }
+                    }
+                    parentDir = parentDir.Parent;
+                }
+            }
+        }
+
+        // Only CPU-related hardware is opened by default; `full` enables every
+        // hardware type for the sensor tree export
+        static Computer OpenComputer(bool full)
+        {
+            // Create computer instance with all needed hardware types
+            var computer = new Computer
+            {
+                IsCpuEnabled = true,
+                IsMotherboardEnabled = true,
+                IsControllerEnabled = true,
+                IsGpuEnabled = full,
+                IsMemoryEnabled = full,
+                IsNetworkEnabled = full,
+                IsStorageEnabled = full,
+                IsPsuEnabled = full,
+                IsBatteryEnabled = full
+            };
+            
+            computer.Open();
+            return computer;
+        }
+
+        // Refresh every sensor and collect the CPU temperatures
+        static object ReadCpuTemperatures(Computer computer)
+        {
+            double? cpuTemp = null;
+            int coreCount = 0;
+            var cpuTemps = new List<object>();
+            
+            // Apply visitor pattern to update all sensors
+            computer.Accept(new UpdateVisitor());
+            
+            // Extract CPU temperature from all available hardware
+            foreach (var hardware in computer.Hardware)
+            {
+                CollectSensors(hardware, ref cpuTemp, ref coreCount, cpuTemps);
+            }
+            
+            // Calculate average temperature if we found any cores
+            if (cpuTemp != null && coreCount > 0)
+            {
+                cpuTemp /= coreCount;
+            }
+            
+            return new { cpuTemperature = cpuTemp, cpuTemperatures = cpuTemps };
+        }
+
+        static object SerializeSensor(ISensor sensor)
+        {
+            return new
+            {
+                identifier = sensor.Identifier.ToString(),
+                name = sensor.Name,
+                sensorType = sensor.SensorType.ToString(),
+                value = sensor.Value,
+                min = sensor.Min,
+                max = sensor.Max
+            };
+        }
+
+        static object SerializeHardware(IHardware hardware)
+        {
+            return new
+            {
+                identifier = hardware.Identifier.ToString(),
+                name = hardware.Name,
+                hardwareType = hardware.HardwareType.ToString(),
+                sensors = hardware.Sensors.Select(SerializeSensor).ToList(),
+                subHardware = hardware.SubHardware.Select(SerializeHardware).ToList()
+            };
+        }
+
+        // Refresh every sensor and serialise the whole hardware/sensor hierarchy
+        static object ReadSensorTree(Computer computer)
+        {
+            computer.Accept(new UpdateVisitor());
+            return new { hardware = computer.Hardware.Select(SerializeHardware).ToList() };
+        }
+
+        // Long-lived mode: keep the Computer open and answer newline-delimited
+        // JSON requests on stdin until it is closed.
+        //   request:  {"id":1,"method":"read"}   CPU temperatures
+        //             {"id":2,"method":"tree"}   full hardware/sensor hierarchy
+        //   response: {"id":1,"result":{...}}  or  {"id":1,"error":"..."}
+        // A {"event":"ready"} line is written once the hardware is open.
+        static void Serve(Computer computer)
+        {
+            Console.WriteLine(JsonSerializer.Serialize(new { @event = "ready" }));
+            
+            string? line;
+            while ((line = Console.In.ReadLine()) != null)
+            {
+                if (string.IsNullOrWhiteSpace(line)) continue;
+                
+                long? id = null;
+                try
+                {
+                    using var request = JsonDocument.Parse(line);
+                    if (request.RootElement.TryGetProperty("id", out var idElement))
+                    {
+                        id = idElement.GetInt64();
+                    }
+                    string method = request.RootElement.TryGetProperty("method", out var methodElement)
+                        ? methodElement.GetString() ?? ""
+                        : "";
+                    
+                    object? result = method switch
+                    {
+                        "read" => ReadCpuTemperatures(computer),
+                        "tree" => ReadSensorTree(computer),
+                        "ping" => "pong",
+                        _ => null
+                    };
+                    
+                    if (result == null)
+                    {
+                        Console.WriteLine(JsonSerializer.Serialize(new { id, error = $"Unknown method: {method}" }));
+                    }
+                    else
+                    {
+                        Console.WriteLine(JsonSerializer.Serialize(new { id, result }));
+                    }
+                }
+                catch (Exception ex)
+                {
+                    Console.Error.WriteLine($"[ERROR] {ex.GetType().Name}: {ex.Message}");
+                    Console.WriteLine(JsonSerializer.Serialize(new { id, error = ex.Message }));
+                }
             }
         }
 
+        // Arguments:
+        //   --serve    answer JSON requests on stdin instead of printing one reading
+        //   --full     open every hardware type (GPU, memory, storage, network...)
+        //   --tree     one-shot: print the full sensor tree (implies --full)
+        //   --verbose  keep per-read [DEBUG] output when serving
         public static void Main(string[] args)
         {
+            bool serve = args.Contains("--serve");
+            bool tree = args.Contains("--tree");
+            bool full = tree || args.Contains("--full");
+            if (serve) verbose = args.Contains("--verbose");
+            
+            Computer? computer = null;
             try
             {
                 // Try to be admin - critical for hardware access
@@ -74,76 +266,35 @@ namespace LibreHardwareMonitorBridge
                 
                 Console.Error.WriteLine($"[DEBUG] Running as administrator: {isAdmin}");
                 
-                // Find and copy the LibreHardwareMonitor.sys driver if needed
-                string currentDir = Path.GetDirectoryName(Assembly.GetExecutingAssembly().Location) ?? ".";
-                string driverPath = Path.Combine(currentDir, "LibreHardwareMonitor.sys");
+                EnsureDriver();
+                computer = OpenComputer(full);
                 
-                if (!File.Exists(driverPath))
+                if (serve)
                 {
-                    Console.Error.WriteLine($"[DEBUG] Driver not found at: {driverPath}");
-                    // Try finding it in parent directories
-                    DirectoryInfo? parentDir = Directory.GetParent(currentDir);
-                    while (parentDir != null)
-                    {
-                        string testPath = Path.Combine(parentDir.FullName, "LibreHardwareMonitorBridge", "LibreHardwareMonitor.sys");
-                        if (File.Exists(testPath))
-                        {
-                            Console.Error.WriteLine($"[DEBUG] Found driver at: {testPath}");
-                            try
-                            {
-                                File.Copy(testPath, driverPath, true);
-                                Console.Error.WriteLine($"[DEBUG] Copied driver to: {driverPath}");
-                                break;
-                            }
-                            catch (Exception ex)
-                            {
-                                Console.Error.WriteLine($"[ERROR] Failed to copy driver: {ex.Message}");
-                            }
-                        }
-                        parentDir = parentDir.Parent;
-                    }
+                    Serve(computer);
                 }
-                
-                double? cpuTemp = null;
-                int coreCount = 0;
-                
-                // Create computer instance with all needed hardware types
-                var computer = new Computer
+                else if (tree)
                 {
-                    IsCpuEnabled = true,
-                    IsMotherboardEnabled = true,
-                    IsControllerEnabled = true,
-                    IsGpuEnabled = false,
-                    IsMemoryEnabled = false,
-                    IsNetworkEnabled = false,
-                    IsStorageEnabled = false
-                };
-                
-                // Open computer and apply visitor pattern to update all sensors
-                computer.Open();
-                computer.Accept(new UpdateVisitor());
-                
-                // Extract CPU temperature from all available hardware
-                foreach (var hardware in computer.Hardware)
-                {
-                    CollectSensors(hardware, ref cpuTemp, ref coreCount);
+                    Console.WriteLine(JsonSerializer.Serialize(ReadSensorTree(computer)));
                 }
-                
-                // Calculate average temperature if we found any cores
-                if (cpuTemp != null && coreCount > 0)
+                else
                 {
-                    cpuTemp /= coreCount;
+                    Console.WriteLine(JsonSerializer.Serialize(ReadCpuTemperatures(computer)));
                 }
-                
-                var result = new { cpuTemperature = cpuTemp };
-                Console.WriteLine(JsonSerializer.Serialize(result));
             }
             catch (Exception ex)
             {
                 Console.Error.WriteLine($"[ERROR] {ex.GetType().Name}: {ex.Message}");
                 Console.Error.WriteLine(ex.StackTrace);
-                var result = new { cpuTemperature = (double?)null };
-                Console.WriteLine(JsonSerializer.Serialize(result));
+                if (!serve)
+                {
+                    var result = new { cpuTemperature = (double?)null, cpuTemperatures = new List<object>() };
+                    Console.WriteLine(JsonSerializer.Serialize(result));
+                }
+            }
+            finally
+            {
+                computer?.Close();
             }
         }
     }
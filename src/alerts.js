@@ -0,0 +1,276 @@
+// Declarative alert rules
+//
+// A rule fires once a series has been past its threshold for a while, and
+// resolves when the series comes back past a separate clear level
+// (hysteresis), so a reading hovering around the threshold doesn't flap:
+//   cpuTemp > 90 for 30s
+//   cpuTemp > 90 for 30s clear 85 severity critical
+//   gpuUsage < 5 for 10m while gpuTemp > 80
+//   GPU idle but hot: gpu.0.usage < 5 for 10m while gpu.0.temperature > 80 severity info
+//   cpuTemp > 95 for 10s severity critical notify ops,pause-render
+//
+// Keys are history series (see Logger), e.g. cpuTemp, core.3,
+// gpu.0.temperature or sensor.<identifier>. `for` defaults to 0 (fire on the
+// first sample), `clear` to the threshold itself and `severity` to warning.
+// `while` conditions (joined with `and`) must also hold for the rule to fire,
+// and the alert resolves when one of them stops holding. `notify` names the
+// notification channels the alert goes to (see notifications/); without it,
+// it goes to all of them.
+//
+// Rules are evaluated on sample timestamps, so replays behave like the live
+// session. A sample missing the series of a rule leaves its state as it is.
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b
+};
+
+// Transitions beyond this many are counted but not listed
+const MAX_LISTED_EVENTS = 100;
+
+const CONDITION = /^([\w.\/-]+)\s*(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)/;
+
+class AlertRuleError extends Error {
+  constructor(message, rule) {
+    super(`${message} in rule "${rule}"`);
+    this.name = 'AlertRuleError';
+  }
+}
+
+// 30s, 10m, 1h30m, 1.5s or a plain number of seconds -> ms; null if invalid
+function parseDuration(value) {
+  const text = String(value).trim();
+  if (/^\d+(?:\.\d+)?$/.test(text)) return Math.round(parseFloat(text) * 1000);
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m(?!s))?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (!match || text === '') return null;
+  const [, h = 0, m = 0, s = 0] = match;
+  return Math.round(((Number(h) * 60 + Number(m)) * 60 + Number(s)) * 1000);
+}
+
+// Parse a rule such as "cpuTemp > 90 for 30s clear 85 severity critical".
+// Throws an AlertRuleError describing the first problem.
+function parseRule(text) {
+  const source = String(text).trim();
+  let rest = source;
+
+  // Optional "name:" prefix; a key never contains spaces or a colon
+  let name = null;
+  const named = rest.match(/^([^:]+):\s*(?=[\w.\/-]+\s*[<>])/);
+  if (named) {
+    name = named[1].trim();
+    rest = rest.slice(named[0].length);
+  }
+
+  const main = rest.match(CONDITION);
+  if (!main) throw new AlertRuleError('Expected a condition such as cpuTemp > 90', source);
+  rest = rest.slice(main[0].length);
+
+  const rule = {
+    name: name || `${main[1]} ${main[2]} ${main[3]}`,
+    text: source,
+    key: main[1],
+    op: main[2],
+    value: parseFloat(main[3]),
+    clear: null,
+    duration: 0,
+    severity: 'warning',
+    conditions: [],
+    notify: null // channel names, or null for all channels
+  };
+
+  while ((rest = rest.trim()) !== '') {
+    let clause;
+    if ((clause = rest.match(/^for\s+(\S+)/i))) {
+      rule.duration = parseDuration(clause[1]);
+      if (rule.duration === null) throw new AlertRuleError(`Invalid duration "${clause[1]}"`, source);
+    } else if ((clause = rest.match(/^clear\s+(?:at\s+)?(-?\d+(?:\.\d+)?)(?![\w.])/i))) {
+      rule.clear = parseFloat(clause[1]);
+    } else if ((clause = rest.match(/^severity\s+(\S+)/i))) {
+      rule.severity = clause[1].toLowerCase();
+      if (!SEVERITIES.includes(rule.severity)) {
+        throw new AlertRuleError(`Unknown severity "${clause[1]}" (expected ${SEVERITIES.join(', ')})`, source);
+      }
+    } else if ((clause = rest.match(/^notify\s+([\w-]+(?:\s*,\s*[\w-]+)*)/i))) {
+      rule.notify = clause[1].split(',').map(name => name.trim());
+    } else if ((clause = rest.match(/^(while|and)\s+/i))) {
+      if (clause[1].toLowerCase() === 'and' && rule.conditions.length === 0) {
+        throw new AlertRuleError('"and" must follow a "while" condition', source);
+      }
+      const condition = rest.slice(clause[0].length).match(CONDITION);
+      if (!condition) throw new AlertRuleError(`Expected a condition after "${clause[1]}"`, source);
+      rule.conditions.push({ key: condition[1], op: condition[2], value: parseFloat(condition[3]) });
+      clause = [clause[0] + condition[0]];
+    } else {
+      throw new AlertRuleError(`Unexpected "${rest.split(/\s+/)[0]}"`, source);
+    }
+    rest = rest.slice(clause[0].length);
+  }
+
+  if (rule.clear === null) {
+    rule.clear = rule.value;
+  } else if (rule.op.startsWith('>') ? rule.clear > rule.value : rule.clear < rule.value) {
+    throw new AlertRuleError(`Clear level ${rule.clear} must be on the other side of the threshold ${rule.value}`, source);
+  }
+  return rule;
+}
+
+// Rules from a file, one per line; blank lines and # comments are skipped
+function loadRules(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map((line, i) => ({ line: line.replace(/(^|\s)#.*$/, '').trim(), number: i + 1 }))
+    .filter(entry => entry.line !== '')
+    .map(entry => {
+      try {
+        return parseRule(entry.line);
+      } catch (err) {
+        err.message = `${file}:${entry.number}: ${err.message}`;
+        throw err;
+      }
+    });
+}
+
+// Emits 'firing' and 'resolved' with an alert:
+//   { name, severity, key, op, threshold, value, peak, since, time, duration, notify }
+// where `since` is when it fired and `duration` how long it has been firing
+// (seconds). Times are epoch ms.
+class AlertEngine extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.rules = (options.rules || []).map(rule => (typeof rule === 'string' ? parseRule(rule) : rule));
+    this.states = this.rules.map(() => ({
+      state: 'ok', // ok, pending or firing
+      since: null, // when it became pending or fired
+      value: null,
+      peak: null, // worst value while firing
+      fired: 0,
+      time: 0 // ms spent firing, not counting the current alert
+    }));
+    this.events = [];
+    this.eventCount = 0;
+    this.lastTime = null;
+  }
+
+  // Evaluate every rule against one sample. `values` maps series names to
+  // numbers, as stored in the history.
+  evaluate(time, values) {
+    this.lastTime = time;
+    this.rules.forEach((rule, i) => {
+      const state = this.states[i];
+      const value = values[rule.key];
+      const guards = rule.conditions.map(c => values[c.key]);
+      if (typeof value !== 'number' || guards.some(v => typeof v !== 'number')) return;
+
+      const guarded = rule.conditions.every((c, j) => OPERATORS[c.op](guards[j], c.value));
+      state.value = value;
+
+      if (state.state === 'firing') {
+        if (OPERATORS[rule.op](value, state.peak) && value !== state.peak) state.peak = value;
+        // Stays firing until past the clear level, or a `while` stops holding
+        if (!guarded || !OPERATORS[rule.op](value, rule.clear)) this._resolve(rule, state, time);
+        return;
+      }
+
+      const active = guarded && OPERATORS[rule.op](value, rule.value);
+      if (!active) {
+        state.state = 'ok';
+        state.since = null;
+        return;
+      }
+      if (state.state === 'ok') {
+        state.state = 'pending';
+        state.since = time;
+      }
+      if (time - state.since >= rule.duration) this._fire(rule, state, time);
+    });
+  }
+
+  // Alerts firing now, most severe first
+  active() {
+    return this.rules
+      .map((rule, i) => ({ rule, state: this.states[i] }))
+      .filter(entry => entry.state.state === 'firing')
+      .map(entry => this._alert(entry.rule, entry.state, this.lastTime))
+      .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || a.since - b.since);
+  }
+
+  // Per-rule totals and the list of transitions; times are in seconds,
+  // timestamps are ISO strings
+  //   rules: [{ name, text, severity, fired, time, active }]
+  //   events: [{ state, name, severity, value, time, duration }]
+  summary() {
+    return {
+      rules: this.rules.map((rule, i) => {
+        const state = this.states[i];
+        const current = state.state === 'firing' ? this.lastTime - state.since : 0;
+        return {
+          name: rule.name,
+          text: rule.text,
+          severity: rule.severity,
+          fired: state.fired,
+          time: (state.time + current) / 1000,
+          active: state.state === 'firing'
+        };
+      }),
+      events: this.events.map(event => ({
+        ...event,
+        since: new Date(event.since).toISOString(),
+        time: new Date(event.time).toISOString()
+      })),
+      eventCount: this.eventCount
+    };
+  }
+
+  _fire(rule, state, time) {
+    state.state = 'firing';
+    state.since = time;
+    state.peak = state.value;
+    state.fired++;
+    this._emit('firing', rule, state, time);
+  }
+
+  _resolve(rule, state, time) {
+    state.time += time - state.since;
+    this._emit('resolved', rule, state, time);
+    state.state = 'ok';
+    state.since = null;
+    state.peak = null;
+  }
+
+  _emit(kind, rule, state, time) {
+    const alert = this._alert(rule, state, time);
+    this.eventCount++;
+    if (this.events.length < MAX_LISTED_EVENTS) this.events.push({ state: kind, ...alert });
+    this.emit(kind, alert);
+  }
+
+  _alert(rule, state, time) {
+    return {
+      name: rule.name,
+      severity: rule.severity,
+      key: rule.key,
+      op: rule.op,
+      threshold: rule.value,
+      value: state.value,
+      peak: state.peak,
+      since: state.since,
+      time,
+      duration: (time - state.since) / 1000,
+      notify: rule.notify
+    };
+  }
+}
+
+AlertEngine.SEVERITIES = SEVERITIES;
+AlertEngine.parseRule = parseRule;
+AlertEngine.loadRules = loadRules;
+AlertEngine.parseDuration = parseDuration;
+AlertEngine.AlertRuleError = AlertRuleError;
+
+module.exports = AlertEngine;
@@ -0,0 +1,232 @@
+// Client for a long-lived LibreHardwareMonitorBridge session
+//
+// The bridge is started once with --serve and then answers newline-delimited
+// JSON requests over stdio:
+//   -> {"id":1,"method":"read"}
+//   <- {"id":1,"result":{...}}   or   {"id":1,"error":"..."}
+// It announces itself with {"event":"ready"} once the hardware is open. Any
+// program speaking the same protocol can stand in for the bridge.
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const readline = require('readline');
+
+class BridgeError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'BridgeError';
+    this.code = code;
+  }
+}
+
+class BridgeClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      command: options.command,
+      args: options.args || ['--serve'],
+      timeout: options.timeout || 3000, // ms per request
+      readyTimeout: options.readyTimeout || 15000, // ms for the bridge to open the hardware
+      maxPending: options.maxPending || 4, // in-flight requests before new ones are refused
+      restartDelay: options.restartDelay || 1000, // first restart backoff, doubled per failure
+      maxRestartDelay: options.maxRestartDelay || 30000,
+      ...options
+    };
+
+    this.child = null;
+    this.ready = false;
+    this.stopped = false;
+    this.nextId = 1;
+    this.pending = new Map(); // id -> { method, resolve, reject, timer }
+    this.outbox = []; // requests waiting for "ready" or for stdin to drain
+    this.restartDelay = this.options.restartDelay;
+    this.restartTimer = null;
+    this.readyTimer = null;
+    this.restartReason = null; // why we killed the current child, if we did
+  }
+
+  // Spawn the bridge if it isn't running. Requests call this automatically.
+  start() {
+    if (this.child || this.stopped || this.restartTimer) return;
+
+    const child = spawn(this.options.command, this.options.args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      windowsHide: true
+    });
+    this.child = child;
+    this.ready = false;
+
+    readline.createInterface({ input: child.stdout }).on('line', line => this._onLine(child, line));
+    readline.createInterface({ input: child.stderr }).on('line', line => this.emit('stderr', line));
+
+    child.stdin.on('drain', () => this._flush(child));
+    // EPIPE when the bridge dies mid-write; the exit handler cleans up
+    child.stdin.on('error', () => {});
+    child.on('error', err => this._onExit(child, err));
+    child.on('exit', (code, signal) => this._onExit(child, null, code, signal));
+
+    this.readyTimer = setTimeout(() => {
+      this._restart(child, new BridgeError('Bridge did not become ready in time', 'ETIMEDOUT'));
+    }, this.options.readyTimeout);
+
+    this.emit('spawn', child.pid);
+  }
+
+  // Send a request and resolve with its result. Requests made while the
+  // bridge is starting are held until it is ready, bounded by readyTimeout;
+  // the per-request timeout runs from when the request is written. Rejects
+  // with a BridgeError on timeout, bridge exit or when too many requests are
+  // already in flight.
+  request(method, params) {
+    if (this.stopped) {
+      return Promise.reject(new BridgeError('Bridge client is stopped', 'ESTOPPED'));
+    }
+    // Backpressure: a slow bridge shouldn't accumulate a queue of stale reads
+    if (this.pending.size >= this.options.maxPending) {
+      return Promise.reject(new BridgeError('Too many pending bridge requests', 'EBUSY'));
+    }
+    // Fail fast while waiting to respawn a crashed bridge
+    if (this.restartTimer) {
+      return Promise.reject(new BridgeError('Bridge is restarting', 'ERESTARTING'));
+    }
+
+    this.start();
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { method, resolve, reject, timer: null });
+      this.outbox.push({ id, line: JSON.stringify(params === undefined ? { id, method } : { id, method, params }) + '\n' });
+      this._flush(this.child);
+    });
+  }
+
+  // Stop the bridge for good; closing stdin lets it shut down cleanly
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.restartTimer);
+    clearTimeout(this.readyTimer);
+    this._rejectAll(new BridgeError('Bridge client is stopped', 'ESTOPPED'));
+
+    const child = this.child;
+    if (child) {
+      child.stdin.end();
+      const killTimer = setTimeout(() => child.kill(), 1000);
+      killTimer.unref();
+      child.once('exit', () => clearTimeout(killTimer));
+    }
+  }
+
+  // Write queued requests until the pipe's buffer is full, then wait for
+  // 'drain'. Each request's timeout starts once it is on its way.
+  _flush(child) {
+    while (this.outbox.length > 0 && child && child === this.child && this.ready) {
+      const { id, line } = this.outbox.shift();
+      const entry = this.pending.get(id);
+      if (!entry) continue;
+      entry.timer = setTimeout(() => this._onTimeout(id), this.options.timeout);
+      if (!child.stdin.write(line)) break;
+    }
+  }
+
+  _onTimeout(id) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+    this.pending.delete(id);
+    entry.reject(new BridgeError(`Bridge request "${entry.method}" timed out`, 'ETIMEDOUT'));
+    // A bridge that stops answering is restarted rather than trusted again
+    this._restart(this.child, new BridgeError('Bridge stopped responding', 'ETIMEDOUT'));
+  }
+
+  _onLine(child, line) {
+    if (child !== this.child || !line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      this.emit('stderr', `Unparseable bridge output: ${line}`);
+      return;
+    }
+
+    if (message.event === 'ready') {
+      clearTimeout(this.readyTimer);
+      this.ready = true;
+      this.emit('ready');
+      this._flush(child);
+      return;
+    }
+
+    const entry = this.pending.get(message.id);
+    if (!entry) return; // late answer to a request that already timed out
+
+    this.pending.delete(message.id);
+    clearTimeout(entry.timer);
+    // A successful round trip means the bridge is healthy again
+    this.restartDelay = this.options.restartDelay;
+
+    if (message.error) {
+      entry.reject(new BridgeError(message.error, 'EBRIDGE'));
+    } else {
+      entry.resolve(message.result);
+    }
+  }
+
+  _onExit(child, err, code, signal) {
+    if (child !== this.child) return;
+
+    clearTimeout(this.readyTimer);
+    const wasReady = this.ready;
+    const restartReason = this.restartReason;
+    this.child = null;
+    this.ready = false;
+    this.outbox = [];
+    this.restartReason = null;
+
+    // A bridge we killed exits with the reason we killed it for. Exiting
+    // before "ready" on its own usually means the executable doesn't speak
+    // the protocol (e.g. an older one-shot bridge build).
+    let reason;
+    if (err) {
+      reason = new BridgeError(`Bridge failed to start: ${err.message}`, err.code || 'ESPAWN');
+    } else if (restartReason) {
+      reason = restartReason;
+    } else {
+      reason = new BridgeError(`Bridge exited (code ${code}, signal ${signal})`, wasReady ? 'EEXIT' : 'ENOTREADY');
+    }
+    this._rejectAll(reason);
+    this.emit('exit', reason);
+
+    this._scheduleRestart();
+  }
+
+  _restart(child, reason) {
+    if (!child || child !== this.child || child.killed) return;
+    this.restartReason = reason;
+    this.emit('restart', reason);
+    child.kill();
+  }
+
+  // Respawn with exponential backoff; the delay resets after the next
+  // successful request
+  _scheduleRestart() {
+    if (this.stopped || this.restartTimer) return;
+
+    const delay = this.restartDelay;
+    this.restartDelay = Math.min(this.restartDelay * 2, this.options.maxRestartDelay);
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.start();
+    }, delay);
+    this.restartTimer.unref();
+  }
+
+  _rejectAll(error) {
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    this.pending.clear();
+  }
+}
+
+module.exports = BridgeClient;
+module.exports.BridgeError = BridgeError;
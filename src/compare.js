@@ -0,0 +1,448 @@
+// Before/after comparison of recorded sessions
+//
+//   node src/compare.js [options] BASELINE LOG...   (or: npm run compare -- ...)
+//
+// Sessions are aligned by elapsed time since their first sample and
+// compared over the window they all cover (optionally skipping a warm-up).
+// For every metric the baseline has, each other session gets the change in
+// mean, p95 and max, and a verdict on whether the change in mean is bigger
+// than the noise. Temperatures also get the time they took to settle.
+//
+// Noise: consecutive samples are strongly correlated, so a plain t-test on
+// samples would call almost any difference significant. Instead the window
+// is cut into equal blocks, and Welch's t-test is applied to the block
+// means. A difference is significant when it falls outside the 95%
+// confidence interval.
+//
+// Steady state: a temperature is steady once its 30 s moving average stays
+// within `band` of its final level (the mean of the last 10% of the window).
+// Sessions that only settle in that last 10% are reported as not steady.
+const TimeSeriesStore = require('./time-series');
+const { DEFAULT_METRICS, formatMetric, formatDuration } = require('./metric-schema');
+const { loadRecording, sampleInterval } = require('./replay');
+
+const BLOCKS = 10;
+const MIN_BLOCKS = 3;
+const STEADY_SMOOTHING = 30e3; // ms
+const STEADY_TAIL = 0.1; // share of the window that defines the final level
+
+// Two-sided 95% critical values of Student's t for 1-30 degrees of freedom
+const T_CRITICAL = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086,
+  2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+function tCritical(df) {
+  if (df < 1) return Infinity;
+  return df <= 30 ? T_CRITICAL[Math.floor(df) - 1] : 1.96;
+}
+
+// Parse an elapsed time such as 90s, 15m or 1h30m into milliseconds; null
+// if invalid
+function parseElapsed(value) {
+  const match = String(value).trim().match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (!match || value === '') return null;
+  const [, h = 0, m = 0, s = 0] = match;
+  return ((Number(h) * 60 + Number(m)) * 60 + Number(s)) * 1000;
+}
+
+function loadSession(file) {
+  const samples = loadRecording(file);
+  if (samples.length === 0) {
+    throw new Error(`No samples found in ${file}`);
+  }
+  const start = Date.parse(samples[0].timestamp);
+  return {
+    file,
+    samples,
+    start,
+    duration: Date.parse(samples[samples.length - 1].timestamp) - start,
+    interval: sampleInterval(samples)
+  };
+}
+
+// Series to compare: the defined metrics, each GPU's usage, temperature and
+// power (replacing the first-GPU headline figures when GPUs are listed) and
+// selected sensors. Each is { key, group, label, unit, read(sample),
+// temperature }.
+function seriesOf(session) {
+  const gpus = new Map();
+  const sensors = new Map();
+  session.samples.forEach(sample => {
+    (sample.gpus || []).forEach(gpu => gpus.set(gpu.index, gpu.name));
+    (sample.selectedSensors || []).forEach(s => {
+      sensors.set(s.identifier, { label: s.hardware ? `${s.hardware} ${s.name}` : s.name, unit: s.unit, sensorType: s.sensorType });
+    });
+  });
+
+  const series = [];
+  DEFAULT_METRICS.forEach(d => {
+    if (d.group === 'GPU' && gpus.size > 0) return;
+    series.push({ ...d, read: sample => sample[d.key], temperature: d.unit === '°C' });
+  });
+  gpus.forEach((name, index) => {
+    const gpuValue = (sample, field) => {
+      const gpu = (sample.gpus || []).find(g => g.index === index);
+      return gpu ? gpu[field] : null;
+    };
+    const group = `GPU ${index}`;
+    series.push(
+      { key: `gpu.${index}.usage`, group, label: 'Usage', unit: '%', read: s => gpuValue(s, 'usage') },
+      { key: `gpu.${index}.temperature`, group, label: 'Temp', unit: '°C', read: s => gpuValue(s, 'temperature'), temperature: true },
+      { key: `gpu.${index}.power`, group, label: 'Power', unit: 'W', read: s => gpuValue(s, 'power') }
+    );
+  });
+  sensors.forEach((sensor, identifier) => {
+    series.push({
+      key: `sensor.${identifier}`,
+      group: 'Sensor',
+      label: sensor.label,
+      unit: sensor.unit,
+      read: sample => {
+        const reading = (sample.selectedSensors || []).find(s => s.identifier === identifier);
+        return reading ? reading.value : null;
+      },
+      temperature: sensor.unit === '°C'
+    });
+  });
+  return series;
+}
+
+// Readings of a series as [{ elapsed, value }] within [from, to] ms of
+// elapsed time
+function pointsOf(session, series, from, to) {
+  const points = [];
+  session.samples.forEach(sample => {
+    const elapsed = Date.parse(sample.timestamp) - session.start;
+    const value = series.read(sample);
+    if (elapsed < from || elapsed > to || typeof value !== 'number' || Number.isNaN(value)) return;
+    points.push({ elapsed, value });
+  });
+  return points;
+}
+
+function describe(points) {
+  if (points.length === 0) return null;
+  const values = points.map(p => p.value);
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return {
+    count: values.length,
+    mean,
+    p95: TimeSeriesStore.percentile(sorted, 95),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+// Means of `count` equal blocks of the window; blocks without readings are
+// left out
+function blockMeans(points, from, to, count = BLOCKS) {
+  const size = (to - from) / count;
+  const sums = new Array(count).fill(0);
+  const counts = new Array(count).fill(0);
+  points.forEach(p => {
+    const block = Math.min(count - 1, Math.floor((p.elapsed - from) / size));
+    sums[block] += p.value;
+    counts[block]++;
+  });
+  return sums.map((sum, i) => (counts[i] > 0 ? sum / counts[i] : null)).filter(v => v !== null);
+}
+
+function meanAndVariance(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (values.length - 1);
+  return { mean, variance };
+}
+
+// Welch's t-test on two sets of block means:
+//   { blocks, standardError, df, t, ci95, verdict }
+// verdict is 'significant', 'noise' or 'insufficient data'
+function noiseTest(baseBlocks, blocks) {
+  if (baseBlocks.length < MIN_BLOCKS || blocks.length < MIN_BLOCKS) {
+    return { blocks: Math.min(baseBlocks.length, blocks.length), standardError: null, df: null, t: null, ci95: null, verdict: 'insufficient data' };
+  }
+
+  const a = meanAndVariance(baseBlocks);
+  const b = meanAndVariance(blocks);
+  const va = a.variance / baseBlocks.length;
+  const vb = b.variance / blocks.length;
+  const standardError = Math.sqrt(va + vb);
+  const difference = b.mean - a.mean;
+
+  // A difference between two perfectly flat series is either nothing or
+  // certainly real
+  if (standardError === 0) {
+    return { blocks: Math.min(baseBlocks.length, blocks.length), standardError: 0, df: null, t: null, ci95: 0, verdict: difference === 0 ? 'noise' : 'significant' };
+  }
+
+  const df = (va + vb) * (va + vb) /
+    ((va * va) / (baseBlocks.length - 1) + (vb * vb) / (blocks.length - 1));
+  const t = difference / standardError;
+  const ci95 = tCritical(df) * standardError;
+  return {
+    blocks: Math.min(baseBlocks.length, blocks.length),
+    standardError,
+    df,
+    t,
+    ci95,
+    verdict: Math.abs(difference) > ci95 ? 'significant' : 'noise'
+  };
+}
+
+// Elapsed ms until the smoothed series settles within `band` of its final
+// level: { time, level }, or { time: null, level } if it never does
+function steadyState(points, to, band) {
+  if (points.length < 2) return null;
+
+  const tailFrom = to * (1 - STEADY_TAIL);
+  let tail = points.filter(p => p.elapsed >= tailFrom);
+  if (tail.length === 0) tail = points.slice(-1);
+  const level = tail.reduce((sum, p) => sum + p.value, 0) / tail.length;
+
+  // Moving average over the preceding STEADY_SMOOTHING ms
+  let first = 0;
+  let sum = 0;
+  let lastOutside = -1;
+  points.forEach((p, i) => {
+    sum += p.value;
+    while (points[first].elapsed < p.elapsed - STEADY_SMOOTHING) sum -= points[first++].value;
+    const smoothed = sum / (i - first + 1);
+    if (Math.abs(smoothed - level) > band) lastOutside = i;
+  });
+
+  if (lastOutside === points.length - 1) return { time: null, level };
+  const time = lastOutside === -1 ? 0 : points[lastOutside + 1].elapsed;
+  return { time: time > tailFrom ? null : time, level };
+}
+
+// Compare sessions against the first one.
+//   skip      ms of elapsed time to leave out at the start (warm-up)
+//   duration  ms of elapsed time to compare; defaults to the shortest session
+//   band      steady-state tolerance in °C (default 1)
+// Returns a plain object, see README for the layout.
+function compareSessions(files, options = {}) {
+  if (files.length < 2) {
+    throw new Error('Need a baseline and at least one session to compare');
+  }
+  const sessions = files.map(loadSession);
+  const skip = options.skip || 0;
+  const band = options.band || 1;
+  const shortest = Math.min(...sessions.map(s => s.duration));
+  const to = options.duration ? Math.min(options.duration, shortest) : shortest;
+  if (to <= skip) {
+    throw new Error(`The sessions only overlap for ${formatDuration(shortest / 1000)}, which does not leave anything after skipping ${formatDuration(skip / 1000)}`);
+  }
+
+  const [baseline, ...others] = sessions;
+  const series = seriesOf(baseline);
+
+  // Statistics of every session, and the baseline's block means to test against
+  const stats = sessions.map(session => series.map(s => {
+    const window = pointsOf(session, s, skip, to);
+    return {
+      window,
+      summary: describe(window),
+      blocks: blockMeans(window, skip, to),
+      steady: s.temperature ? steadyState(pointsOf(session, s, 0, to), to, band) : null
+    };
+  }));
+
+  const toSteady = steady => steady && {
+    time: steady.time === null ? null : steady.time / 1000,
+    level: steady.level
+  };
+
+  return {
+    version: 1,
+    window: { from: skip / 1000, to: to / 1000 },
+    steadyBand: band,
+    sessions: sessions.map((session, i) => ({
+      file: session.file,
+      start: new Date(session.start).toISOString(),
+      duration: session.duration / 1000,
+      samples: session.samples.length,
+      interval: session.interval,
+      steadyState: series
+        .map((s, j) => ({ key: s.key, ...toSteady(stats[i][j].steady) }))
+        .filter((entry, j) => stats[i][j].steady)
+    })),
+    comparisons: others.map((session, n) => ({
+      session: n + 1,
+      file: session.file,
+      metrics: series.map((s, j) => {
+        const base = stats[0][j];
+        const other = stats[n + 1][j];
+        if (!base.summary || !other.summary) return null;
+
+        const delta = field => other.summary[field] - base.summary[field];
+        const steady = base.steady && other.steady && base.steady.time !== null && other.steady.time !== null
+          ? (other.steady.time - base.steady.time) / 1000
+          : null;
+        return {
+          key: s.key,
+          group: s.group,
+          label: s.label,
+          unit: s.unit,
+          baseline: base.summary,
+          value: other.summary,
+          delta: { mean: delta('mean'), p95: delta('p95'), max: delta('max') },
+          noise: noiseTest(base.blocks, other.blocks),
+          ...(s.temperature ? { steadyStateDelta: steady } : {})
+        };
+      }).filter(Boolean)
+    }))
+  };
+}
+
+// Signed value with unit, e.g. "+2.35°C" or "-1.2 GiB"
+function formatDelta(definition, value) {
+  if (typeof value !== 'number') return 'N/A';
+  const sign = value > 0 ? '+' : value < 0 ? '-' : '±';
+  return sign + formatMetric(definition, Math.abs(value));
+}
+
+// Terminal table for a comparison result
+function formatComparison(result) {
+  const definitionOf = metric => DEFAULT_METRICS.find(d => d.key === metric.key) || { unit: metric.unit, precision: 2 };
+  const lines = [];
+  const [baseline] = result.sessions;
+
+  lines.push(`Baseline: ${baseline.file} (${formatDuration(baseline.duration)}, ${baseline.samples} samples)`);
+  lines.push(`Compared over ${formatDuration(result.window.from)} to ${formatDuration(result.window.to)} of elapsed time`);
+
+  result.comparisons.forEach(comparison => {
+    const session = result.sessions[comparison.session];
+    lines.push('');
+    lines.push(`${session.file} (${formatDuration(session.duration)}, ${session.samples} samples) vs baseline`);
+
+    const rows = comparison.metrics.map(m => {
+      const d = definitionOf(m);
+      const noise = m.noise.ci95 === null ? '' : ` (±${formatMetric(d, m.noise.ci95)})`;
+      return [
+        `${m.group} ${m.label}`,
+        `${formatMetric(d, m.baseline.mean)} → ${formatMetric(d, m.value.mean)}`,
+        formatDelta(d, m.delta.mean),
+        formatDelta(d, m.delta.p95),
+        formatDelta(d, m.delta.max),
+        `${m.noise.verdict}${noise}`
+      ];
+    });
+    const header = ['Metric', 'Mean (baseline → this)', 'Δ mean', 'Δ p95', 'Δ max', 'Verdict'];
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const format = row => row.map((cell, i) => (i === 0 || i === row.length - 1 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ').trimEnd();
+    lines.push(format(header));
+    lines.push(widths.map(w => '-'.repeat(w)).join('  '));
+    rows.forEach(row => lines.push(format(row)));
+
+    // Time to steady temperature, baseline first
+    comparison.metrics.filter(m => 'steadyStateDelta' in m).forEach(m => {
+      const steadyOf = s => s.steadyState.find(entry => entry.key === m.key);
+      const describeSteady = s => {
+        const steady = steadyOf(s);
+        if (!steady) return 'N/A';
+        return steady.time === null ? 'not steady' : `${formatDuration(steady.time)} at ${formatMetric(definitionOf(m), steady.level)}`;
+      };
+      const delta = m.steadyStateDelta === null
+        ? ''
+        : ` (${m.steadyStateDelta < 0 ? '-' : '+'}${formatDuration(Math.abs(m.steadyStateDelta))})`;
+      lines.push(`Time to steady ${m.group} ${m.label} (±${result.steadyBand}°C): ${describeSteady(baseline)} → ${describeSteady(session)}${delta}`);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+function parseArgs(argv) {
+  const result = { help: false, files: [], format: 'table', skip: 0, duration: null, band: 1 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--help' || arg === '-h') {
+      result.help = true;
+    } else if (arg === '--format' || arg === '-f') {
+      if (i + 1 < argv.length) {
+        const format = argv[++i].toLowerCase();
+        if (!['table', 'json'].includes(format)) {
+          throw new Error(`Unknown format "${format}" (expected table or json)`);
+        }
+        result.format = format;
+      }
+    } else if (arg === '--skip' || arg === '--duration') {
+      if (i + 1 < argv.length) {
+        const elapsed = parseElapsed(argv[++i]);
+        if (elapsed === null) {
+          throw new Error(`Invalid ${arg} value: ${argv[i]} (expected e.g. 90s, 15m or 1h30m)`);
+        }
+        result[arg.slice(2)] = elapsed;
+      }
+    } else if (arg === '--steady-band') {
+      if (i + 1 < argv.length) {
+        const band = parseFloat(argv[++i]);
+        if (!(band > 0)) {
+          throw new Error(`Invalid --steady-band value: ${argv[i]}`);
+        }
+        result.band = band;
+      }
+    } else {
+      result.files.push(arg);
+    }
+  }
+
+  return result;
+}
+
+// Command line entry point; returns the exit code
+function run(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+
+  if (args.help || args.files.length < 2) {
+    console.log(`
+Usage:
+  node src/compare.js [options] BASELINE LOG...
+
+Compares recorded sessions (CSV logs, .csv.gz segments, rotation
+.index.json files or JSON captures) against the first one, aligned by
+elapsed time since each session started.
+
+Options:
+  --format, -f FORMAT      Output format: table, json (default: table)
+  --skip TIME              Leave out the first TIME, e.g. a 5m warm-up
+  --duration TIME          Compare only up to TIME of elapsed time
+                           (default: the length of the shortest session)
+  --steady-band DEGREES    Steady-state tolerance in °C (default: 1)
+  --help, -h               Show this help message
+
+Example:
+  node src/compare.js logs/old-paste.csv logs/new-paste.csv --skip 2m
+    `);
+    return args.help ? 0 : 1;
+  }
+
+  try {
+    const result = compareSessions(args.files, { skip: args.skip, duration: args.duration, band: args.band });
+    console.log(args.format === 'json' ? JSON.stringify(result, null, 2) : formatComparison(result));
+    return 0;
+  } catch (err) {
+    console.error(`Cannot compare sessions: ${err.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = {
+  compareSessions,
+  formatComparison,
+  parseElapsed,
+  run
+};
@@ -0,0 +1,416 @@
+// Full-screen terminal dashboard for the table format
+//
+// Draws on the alternate screen buffer and rewrites only the lines that
+// changed since the last frame, so nothing flickers and the shell's
+// scrollback is left as it was. Three views:
+//   overview   every metric with its value and a sparkline, GPU details,
+//              selected sensors, firing alerts and findings
+//   cores      every logical core and CPU temperature sensor
+//   gpus       every field of every GPU
+// Keys:
+//   q, Ctrl+C  quit                  space, p  freeze the display
+//   +, -       poll interval         1, 2, 3   overview, cores, GPUs (Tab cycles)
+//   m          drop a marker         Ctrl+L    redraw
+//
+// Values are green, yellow or red by the --threshold levels of their series
+// (per-core and per-GPU series use the CPU and GPU ones), by unit where
+// there are none, and red while an alert on the series is firing.
+// Sparklines cover as many recent samples as there is room for; samples
+// with a marker are highlighted.
+//
+// Freezing holds the display only: it does not pause polling, so the log,
+// alerts and exporters never have a gap.
+//
+// Emits 'quit' and 'interval' (ms); the monitor owns polling and shutdown.
+const { EventEmitter } = require('events');
+const { GPU_FIELDS, formatMetric } = require('./metric-schema');
+
+const VIEWS = ['overview', 'cores', 'gpus'];
+const VIEW_TITLES = { overview: 'Overview', cores: 'Per-core', gpus: 'Per-GPU' };
+const INTERVALS = [250, 500, 1000, 2000, 5000, 10000]; // ms, steps for + and -
+const SPARK_CHARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+// Warning and critical levels for series without thresholds, by unit
+const UNIT_LEVELS = { '%': [70, 90], '°C': [70, 85] };
+const STYLES = { ok: '32', warn: '33', crit: '1;31', dim: '2', title: '1;36', marker: '7;35', tab: '7', frozen: '1;7;33' };
+const MAX_MESSAGES = 3;
+
+const ESC = '\x1b[';
+
+// The series whose thresholds colour another: cores follow cpuUsage,
+// sensors cpuTemp, and each GPU's usage and temperature the GPU headline
+function thresholdKey(key) {
+  if (/^core\.\d+$/.test(key)) return 'cpuUsage';
+  if (key.startsWith('cpuTemp.')) return 'cpuTemp';
+  const gpu = key.match(/^gpu\.\d+\.(usage|temperature)$/);
+  if (gpu) return gpu[1] === 'usage' ? 'gpuUsage' : 'gpuTemp';
+  return key;
+}
+
+// Cut a line holding colour codes to `width` visible characters
+function fit(line, width) {
+  let out = '';
+  let visible = 0;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '\x1b') {
+      const end = line.indexOf('m', i);
+      if (end === -1) break;
+      out += line.slice(i, end + 1);
+      i = end;
+    } else if (visible < width) {
+      out += line[i];
+      visible++;
+    }
+  }
+  return out;
+}
+
+function formatInterval(ms) {
+  return ms < 1000 ? `${ms}ms` : `${ms / 1000}s`;
+}
+
+class Dashboard extends EventEmitter {
+  constructor(logger, options = {}) {
+    super();
+    this.logger = logger;
+    this.options = {
+      output: options.output || process.stdout,
+      input: options.input || process.stdin,
+      color: options.color !== undefined ? options.color : !process.env.NO_COLOR,
+      replay: options.replay || false, // interval keys do nothing
+      ...options
+    };
+    this.output = this.options.output;
+    this.input = this.options.input;
+    this.interval = this.options.interval || 1000;
+    this.view = 'overview';
+    this.frozen = false; // sampling and logging carry on underneath
+    this.started = false;
+    this.frame = null; // { metrics, time } shown; kept while frozen
+    this.screen = []; // lines on the terminal, for redrawing only changes
+    this.messages = []; // { time, text }
+
+    this._onKey = this._onKey.bind(this);
+    this._onResize = () => this.render(true);
+    this.stop = this.stop.bind(this);
+  }
+
+  // Switch to the alternate screen and start reading keys
+  start() {
+    if (this.started) return this;
+    this.started = true;
+    this.output.write(`${ESC}?1049h${ESC}?25l${ESC}2J`);
+    if (this.input.isTTY) {
+      this.input.setRawMode(true);
+      this.input.setEncoding('utf8');
+      this.input.on('data', this._onKey);
+      this.input.resume();
+    }
+    this.output.on('resize', this._onResize);
+    // Give the terminal back even if the process dies with the screen up
+    process.on('exit', this.stop);
+    return this;
+  }
+
+  // Restore the terminal: normal screen, cursor, cooked input
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    this.output.write(`${ESC}0m${ESC}?25h${ESC}?1049l`);
+    if (this.input.isTTY) {
+      this.input.removeListener('data', this._onKey);
+      this.input.setRawMode(false);
+      this.input.pause();
+    }
+    this.output.removeListener('resize', this._onResize);
+    process.removeListener('exit', this.stop);
+  }
+
+  // Show a new sample; the first one brings the dashboard up
+  update(metrics) {
+    if (!this.started) this.start();
+    if (this.frozen) return;
+    this.frame = { metrics, time: this.logger._now() };
+    this.render();
+  }
+
+  // Show a short message above the key help, e.g. an exporter error
+  log(text) {
+    this.messages.push({ time: new Date(), text });
+    if (this.messages.length > MAX_MESSAGES) this.messages.shift();
+    if (this.started) this.render();
+  }
+
+  // Draw the current view, writing only the lines that changed unless
+  // `full` (after a resize the old lines can't be trusted)
+  render(full = false) {
+    if (!this.started || !this.frame) return;
+    const width = this.output.columns || 80;
+    const height = this.output.rows || 24;
+
+    const header = this._header();
+    const footer = [
+      ...this.messages.map(m => this._paint('dim', `${m.time.toTimeString().slice(0, 8)} ${m.text}`)),
+      this._keyHelp()
+    ];
+    let body = this._body(width);
+    const room = Math.max(0, height - header.length - footer.length);
+    if (body.length > room) {
+      body = body.slice(0, Math.max(0, room - 1));
+      body.push(this._paint('dim', '... (enlarge the terminal to see more)'));
+    }
+    const lines = [...header, ...body];
+    while (lines.length < height - footer.length) lines.push('');
+    lines.push(...footer);
+
+    let out = full ? `${ESC}2J` : '';
+    if (full) this.screen = [];
+    lines.slice(0, height).forEach((line, row) => {
+      const text = fit(line, width);
+      if (this.screen[row] === text) return;
+      out += `${ESC}${row + 1};1H${text}${ESC}0m${ESC}K`;
+      this.screen[row] = text;
+    });
+    this.screen.length = Math.min(this.screen.length, height);
+    if (out) this.output.write(out + `${ESC}H`);
+  }
+
+  _onKey(data) {
+    switch (data) {
+      case 'q':
+      case 'Q':
+      case '\u0003': // Ctrl+C: raw mode swallows SIGINT
+        this.emit('quit');
+        return;
+      case ' ':
+      case 'p':
+      case 'P':
+        this.frozen = !this.frozen;
+        break;
+      case '+':
+      case '=':
+      case '-':
+      case '_':
+        this._stepInterval(data === '+' || data === '=' ? 1 : -1);
+        break;
+      case '1':
+      case '2':
+      case '3':
+        this.view = VIEWS[Number(data) - 1];
+        break;
+      case '\t':
+        this.view = VIEWS[(VIEWS.indexOf(this.view) + 1) % VIEWS.length];
+        break;
+      case 'm':
+      case 'M':
+        this.log(`Marker ${this.logger.mark()} dropped`);
+        break;
+      case '\f': // Ctrl+L
+        this.render(true);
+        return;
+      default:
+        return;
+    }
+    this.render();
+  }
+
+  _stepInterval(direction) {
+    if (this.options.replay) {
+      this.log('The interval is fixed during replay (see --speed)');
+      return;
+    }
+    const next = direction > 0
+      ? INTERVALS.find(ms => ms > this.interval)
+      : [...INTERVALS].reverse().find(ms => ms < this.interval);
+    if (!next) return;
+    this.interval = next;
+    this.emit('interval', next);
+  }
+
+  _header() {
+    const { metrics, time } = this.frame;
+    const uptime = this.logger._formatTime((time - this.logger.startTime) / 1000);
+    const pace = this.options.replay ? 'Replay' : `Every ${formatInterval(this.interval)}`;
+    const title = `${this._paint('title', 'PC Hardware Monitor')}  ${metrics.timestamp || new Date(time).toISOString()}  Uptime ${uptime}  ${pace}`;
+    const tabs = VIEWS.map((view, i) => {
+      const label = ` ${i + 1} ${VIEW_TITLES[view]} `;
+      return view === this.view ? this._paint('tab', label) : label;
+    }).join(' ');
+    return [
+      `${title}${this.frozen ? `  ${this._paint('frozen', ' FROZEN ')}` : ''}`,
+      tabs,
+      ''
+    ];
+  }
+
+  _keyHelp() {
+    const markers = this.logger.markers.slice(-3)
+      .map(marker => `${marker.label} ${new Date(marker.time).toTimeString().slice(0, 8)}`);
+    const help = 'q quit  space freeze  +/- interval  1-3/Tab view  m marker';
+    return this._paint('dim', markers.length > 0 ? `${help}  |  Markers: ${markers.join(', ')}` : help);
+  }
+
+  _body(width) {
+    switch (this.view) {
+      case 'cores': return this._coresView(width);
+      case 'gpus': return this._gpusView(width);
+      default: return this._overview(width);
+    }
+  }
+
+  _overview(width) {
+    const { metrics } = this.frame;
+    const logger = this.logger;
+    const values = logger._getValues(metrics);
+    const lines = [];
+
+    // One row per metric: group, label, value and as long a sparkline as fits
+    let group = null;
+    logger.definitions.forEach(d => {
+      const groupLabel = d.group === group ? '' : d.group;
+      group = d.group;
+      lines.push(this._metricRow(`${groupLabel.padEnd(8)}${d.label}`, d.key, values[d.key], d, width));
+    });
+
+    (metrics.gpus || []).forEach(gpu => {
+      lines.push(`GPU ${gpu.index}: ${logger._describeGpu(gpu)}`);
+    });
+
+    const selected = metrics.selectedSensors || [];
+    if (selected.length > 0) {
+      lines.push('', this._paint('title', 'Selected sensors'));
+      selected.forEach(sensor => {
+        lines.push(this._metricRow(logger._sensorLabel(sensor), `sensor.${sensor.identifier}`, sensor.value,
+          { unit: sensor.unit, precision: 2 }, width));
+      });
+    }
+
+    const alerts = logger.alerts.active();
+    if (alerts.length > 0) {
+      lines.push('', this._paint('title', `Active alerts (${alerts.length})`));
+      alerts.forEach(alert => {
+        const style = alert.severity === 'critical' ? 'crit' : alert.severity === 'warning' ? 'warn' : null;
+        lines.push(`  ${this._paint(style, logger._describeAlert(alert))}`);
+      });
+    }
+
+    const findings = logger.analyzer.active();
+    if (findings.length > 0) {
+      lines.push('', this._paint('title', `Findings (${findings.length})`));
+      findings.forEach(finding => {
+        lines.push(`  ${this._paint('warn', finding.type.padEnd(10))} ${finding.detail}`);
+      });
+    }
+
+    const cpuTempSource = logger._getSource(metrics, 'cpuTemp');
+    lines.push('', this._paint('dim', `CPU usage source: ${logger._getSource(metrics, 'cpuUsage').provider} | CPU temperature source: ${cpuTempSource.provider}` +
+      (cpuTempSource.simulated && !cpuTempSource.provider.startsWith('synthetic') ? ' (simulated: run with admin rights for real readings)' : '')));
+    return lines;
+  }
+
+  _coresView(width) {
+    const { metrics } = this.frame;
+    const cores = metrics.cpuCoreUsage || [];
+    const temps = metrics.cpuTemps || [];
+    const lines = [];
+
+    lines.push(this._paint('title', `Per-core usage (${cores.length} logical cores)`));
+    if (cores.length === 0) lines.push('  No per-core readings');
+    lines.push(...this._grid(cores.map((usage, i) => ({ label: `#${i}`, key: `core.${i}`, value: usage })),
+      { unit: '%', precision: 1 }, 5, width));
+
+    lines.push('', this._paint('title', 'CPU temperature sensors'));
+    if (temps.length === 0) lines.push('  No temperature sensors');
+    lines.push(...this._grid(temps.map(t => ({ label: t.name, key: `cpuTemp.${t.name}`, value: t.value })),
+      { unit: '°C', precision: 1 }, 14, width));
+    return lines;
+  }
+
+  _gpusView(width) {
+    const gpus = this.frame.metrics.gpus || [];
+    if (gpus.length === 0) return ['No GPUs detected'];
+
+    const lines = [];
+    gpus.forEach(gpu => {
+      if (lines.length > 0) lines.push('');
+      lines.push(this._paint('title', `GPU ${gpu.index}: ${gpu.name || 'Unknown GPU'}`));
+      GPU_FIELDS.filter(field => !field.text).forEach(field => {
+        const value = this.logger._getPath(gpu, field.key);
+        if (typeof value !== 'number') return;
+        lines.push(this._metricRow(`  ${field.label}`, `gpu.${gpu.index}.${field.key}`, value, field, width));
+      });
+    });
+    return lines;
+  }
+
+  // "label     value  sparkline" across the whole width
+  _metricRow(label, key, value, definition, width) {
+    const labelWidth = 24;
+    const valueWidth = 14;
+    const text = formatMetric(definition, value).padStart(valueWidth);
+    const spark = this._sparkline(key, width - labelWidth - valueWidth - 2, definition.unit);
+    return `${label.padEnd(labelWidth).slice(0, labelWidth)}${this._paint(this._level(key, definition.unit, value), text)}  ${spark}`;
+  }
+
+  // Cells of "label value sparkline", as many per row as fit
+  _grid(cells, definition, labelWidth, width) {
+    const cellWidth = labelWidth + 8 + 1 + 16;
+    const perRow = Math.max(1, Math.floor((width - 2) / (cellWidth + 2)));
+    const lines = [];
+    for (let i = 0; i < cells.length; i += perRow) {
+      lines.push('  ' + cells.slice(i, i + perRow).map(cell => {
+        const value = formatMetric(definition, cell.value).padStart(8);
+        const label = cell.label.padEnd(labelWidth).slice(0, labelWidth);
+        return `${label}${this._paint(this._level(cell.key, definition.unit, cell.value), value)} ${this._sparkline(cell.key, 16, definition.unit).padEnd(16)}`;
+      }).join('  '));
+    }
+    return lines;
+  }
+
+  // The latest `width` samples of a series; percentages are drawn against
+  // 0-100, anything else against its own range
+  _sparkline(key, width, unit) {
+    if (width < 2) return '';
+    const points = this.logger.history.range(key, { to: this.frame.time, resolution: 'raw' }).slice(-width);
+    if (points.length < 2) return '';
+
+    const markers = new Set(this.logger.markers.map(marker => marker.time));
+    const values = points.map(point => point.avg);
+    const min = unit === '%' ? 0 : Math.min(...values);
+    const max = unit === '%' ? 100 : Math.max(...values);
+    const range = max - min || 1;
+    return points.map(point => {
+      const index = Math.min(SPARK_CHARS.length - 1, Math.max(0, Math.floor((point.avg - min) / range * SPARK_CHARS.length)));
+      return markers.has(point.time) ? this._paint('marker', SPARK_CHARS[index]) : SPARK_CHARS[index];
+    }).join('');
+  }
+
+  // 'ok', 'warn' or 'crit' for a value, or null where the series has no
+  // levels
+  _level(key, unit, value) {
+    if (typeof value !== 'number') return 'dim';
+    if (this.logger.alerts.active().some(alert => alert.key === key)) return 'crit';
+
+    const thresholds = this.logger.sessionStats.thresholds;
+    let above = thresholds.filter(t => t.key === key).map(t => t.above);
+    if (above.length === 0) above = thresholds.filter(t => t.key === thresholdKey(key)).map(t => t.above);
+    above.sort((a, b) => a - b);
+
+    // Two or more thresholds: warn past the lowest, critical past the
+    // highest; a single one is critical, with a warning 10% below it
+    const levels = above.length > 1 ? [above[0], above[above.length - 1]]
+      : above.length === 1 ? [above[0] * 0.9, above[0]]
+        : UNIT_LEVELS[unit];
+    if (!levels) return null;
+    return value >= levels[1] ? 'crit' : value >= levels[0] ? 'warn' : 'ok';
+  }
+
+  _paint(style, text) {
+    return style && this.options.color ? `${ESC}${STYLES[style]}m${text}${ESC}0m` : text;
+  }
+}
+
+Dashboard.VIEWS = VIEWS;
+Dashboard.INTERVALS = INTERVALS;
+Dashboard.fit = fit;
+
+module.exports = Dashboard;
@@ -0,0 +1,178 @@
+// MQTT publisher with Home Assistant discovery
+//
+// Publishes every poll to one topic per metric, as a plain number:
+//   statsentry/rig-01/cpu_temp                 71.50
+//   statsentry/rig-01/gpu/0/temperature        64.00
+//   statsentry/rig-01/sensor/lpc_nct6798d_fan_1  1180.00
+// and announces each one to Home Assistant with a retained discovery config
+// on homeassistant/sensor/<node>/<object>/config, so the sensors show up
+// under one device per machine without any YAML. New series (a GPU or
+// sensor that appears later) are announced when first seen, and everything
+// is announced again after a reconnect.
+//
+// statsentry/rig-01/status is "online" while connected. The broker's last
+// will sets it to "offline" if the monitor dies, and a clean shutdown
+// publishes "offline" itself, so Home Assistant marks the sensors as
+// unavailable either way.
+const os = require('os');
+const MqttClient = require('../mqtt-client');
+const { DEFAULT_METRICS, GPU_FIELDS } = require('../metric-schema');
+
+// Home Assistant device classes for the units we publish
+const DEVICE_CLASSES = {
+  '°C': 'temperature',
+  'W': 'power',
+  'MiB': 'data_size',
+  'KiB/s': 'data_rate',
+  'MHz': 'frequency'
+};
+
+// Lowercase topic/identifier segment: rig-01.lan -> rig-01_lan
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'unknown';
+}
+
+// cpuTemp -> cpu_temp, memory.used -> memory_used
+function snakeCase(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/\./g, '_').toLowerCase();
+}
+
+class MqttExporter {
+  constructor(options = {}) {
+    this.options = {
+      url: options.url,
+      prefix: options.prefix || 'statsentry', // state topics go under <prefix>/<node>/
+      discoveryPrefix: options.discoveryPrefix || 'homeassistant',
+      hostname: options.hostname || os.hostname(),
+      definitions: options.definitions || DEFAULT_METRICS,
+      createConnection: options.createConnection // for tests, see MqttClient
+    };
+
+    this.node = slug(this.options.hostname);
+    this.base = `${this.options.prefix}/${this.node}`;
+    this.statusTopic = `${this.base}/status`;
+    this.announced = new Map(); // object id -> discovery config, for re-announcing
+
+    this.client = new MqttClient({
+      url: this.options.url,
+      clientId: `statsentry-${this.node}`,
+      will: { topic: this.statusTopic, payload: 'offline', retain: true },
+      createConnection: this.options.createConnection
+    });
+    this.client.on('connect', () => this._onConnect());
+  }
+
+  get description() {
+    return `Publishing to MQTT broker ${this.client.address} under ${this.base}/`;
+  }
+
+  // Start connecting in the background; polls published before the broker
+  // answers are dropped, and an unreachable broker is retried with backoff
+  start() {
+    this.client.connect();
+    return Promise.resolve(this);
+  }
+
+  // Subscribe to connection events ('connect', 'close', 'reconnecting')
+  on(event, listener) {
+    this.client.on(event, listener);
+    return this;
+  }
+
+  update(metrics) {
+    if (!metrics) return;
+
+    const entries = [];
+
+    // The GPU headline figures are the first GPU's, published per GPU below
+    this.options.definitions.filter(d => d.group !== 'GPU').forEach(d => {
+      entries.push({
+        id: snakeCase(d.key),
+        topic: snakeCase(d.key),
+        name: `${d.group} ${d.label}`,
+        unit: d.unit,
+        precision: d.precision,
+        value: metrics[d.key]
+      });
+    });
+
+    // Fields sharing a label (fan RPM and fan %) are told apart by unit
+    const fields = GPU_FIELDS.filter(f => !f.text);
+    const label = field => (fields.filter(f => f.label === field.label).length > 1 ? `${field.label} ${field.unit}` : field.label);
+    (metrics.gpus || []).forEach(gpu => {
+      fields.forEach(field => {
+        entries.push({
+          id: `gpu${gpu.index}_${snakeCase(field.key)}`,
+          topic: `gpu/${gpu.index}/${snakeCase(field.key)}`,
+          name: `GPU ${gpu.index} ${label(field)}`,
+          unit: field.unit,
+          precision: field.precision,
+          value: field.key.split('.').reduce((v, key) => (v == null ? null : v[key]), gpu)
+        });
+      });
+    });
+
+    (metrics.selectedSensors || []).forEach(sensor => {
+      entries.push({
+        id: `sensor_${slug(sensor.identifier)}`,
+        topic: `sensor/${slug(sensor.identifier)}`,
+        name: `${sensor.hardware ? `${sensor.hardware} ` : ''}${sensor.name}`,
+        unit: sensor.unit || '',
+        precision: 2,
+        value: sensor.value
+      });
+    });
+
+    entries.forEach(entry => {
+      if (typeof entry.value !== 'number') return;
+      if (!this.announced.has(entry.id)) {
+        this.announced.set(entry.id, this._discoveryConfig(entry));
+        this._announce(entry.id);
+      }
+      this.client.publish(`${this.base}/${entry.topic}`, entry.value.toFixed(entry.precision));
+    });
+  }
+
+  // Mark the sensors unavailable, then disconnect
+  close() {
+    this.client.publish(this.statusTopic, 'offline', { retain: true });
+    return this.client.end();
+  }
+
+  _onConnect() {
+    this.client.publish(this.statusTopic, 'online', { retain: true });
+    this.announced.forEach((config, id) => this._announce(id));
+  }
+
+  _announce(id) {
+    this.client.publish(
+      `${this.options.discoveryPrefix}/sensor/${this.node}/${id}/config`,
+      JSON.stringify(this.announced.get(id)),
+      { retain: true }
+    );
+  }
+
+  _discoveryConfig(entry) {
+    const config = {
+      name: entry.name,
+      unique_id: `statsentry_${this.node}_${entry.id}`,
+      state_topic: `${this.base}/${entry.topic}`,
+      availability_topic: this.statusTopic,
+      payload_available: 'online',
+      payload_not_available: 'offline',
+      state_class: 'measurement',
+      suggested_display_precision: entry.precision,
+      device: {
+        identifiers: [`statsentry_${this.node}`],
+        name: this.options.hostname,
+        manufacturer: 'StatSentry',
+        model: `${os.type()} ${os.arch()}`
+      }
+    };
+    if (entry.unit) config.unit_of_measurement = entry.unit;
+    if (DEVICE_CLASSES[entry.unit]) config.device_class = DEVICE_CLASSES[entry.unit];
+    return config;
+  }
+}
+
+module.exports = MqttExporter;
@@ -0,0 +1,277 @@
+// OpenTelemetry OTLP/HTTP metrics exporter
+//
+// Buffers polls and POSTs them every few seconds as an OTLP/HTTP JSON
+// ExportMetricsServiceRequest, one gauge per metric with a data point per
+// poll. The resource carries host.name, os.type, os.description, host.arch
+// and host.cpu.model.name (what the table footer shows). Values are
+// converted to base units, e.g.
+//   statsentry.cpu.temp           Cel  71.5
+//   statsentry.cpu.core.usage     %    12.1   {cpu.core: 3}
+//   statsentry.gpu.temperature    Cel  64     {gpu.index: 0, gpu.name: "RTX 4090"}
+//   statsentry.mem.used           By   8589934592
+//   statsentry.sensor.value            1180   {sensor.identifier: "/lpc/nct6798d/fan/1", ...}
+//
+// Failed exports are retried with exponential backoff when the receiver
+// can't be reached or answers 429, 502, 503 or 504 (honouring Retry-After).
+// Other errors drop the batch. While the receiver is down, at most
+// `maxQueuedPolls` polls are kept and the oldest are dropped first.
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const { EventEmitter } = require('events');
+const { DEFAULT_METRICS, GPU_FIELDS } = require('../metric-schema');
+const { version } = require('../../package.json');
+
+// Display unit -> [UCUM unit, factor to the base unit]
+const UNITS = {
+  '%': ['%', 1],
+  '°C': ['Cel', 1],
+  'MiB': ['By', 1024 * 1024],
+  'KiB/s': ['By/s', 1024],
+  'MHz': ['Hz', 1e6],
+  'W': ['W', 1],
+  'RPM': ['{rpm}', 1],
+  '': ['', 1]
+};
+
+const RETRYABLE_STATUS = [429, 502, 503, 504];
+
+// Node's os.arch() -> OpenTelemetry host.arch
+const ARCHITECTURES = { x64: 'amd64', ia32: 'x86', arm64: 'arm64', arm: 'arm32', ppc64: 'ppc64', s390x: 's390x' };
+
+// cpuCoreUsage -> statsentry.cpu.core.usage, gpu memory.used -> statsentry.gpu.memory.used
+function metricName(key) {
+  return `statsentry.${key.replace(/([a-z0-9])([A-Z])/g, '$1.$2').replace(/_/g, '.').toLowerCase()}`;
+}
+
+// OTLP attribute list from a plain object; null values are left out
+function toAttributes(object) {
+  return Object.keys(object)
+    .filter(key => object[key] != null)
+    .map(key => {
+      const value = object[key];
+      if (typeof value === 'number') {
+        return { key, value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value } };
+      }
+      return { key, value: { stringValue: String(value) } };
+    });
+}
+
+// Parse "key=value,key2=value2" as in OTEL_EXPORTER_OTLP_HEADERS
+function parseHeaders(value) {
+  const headers = {};
+  String(value || '').split(',').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) headers[decodeURIComponent(pair.slice(0, index).trim())] = decodeURIComponent(pair.slice(index + 1).trim());
+  });
+  return headers;
+}
+
+// A base URL gets the standard /v1/metrics path; a full path is kept
+function metricsEndpoint(url) {
+  const parsed = new URL(url);
+  if (parsed.pathname === '/' || parsed.pathname === '') parsed.pathname = '/v1/metrics';
+  return parsed.toString();
+}
+
+class OtlpExporter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      endpoint: metricsEndpoint(options.endpoint || 'http://localhost:4318'),
+      headers: options.headers || {},
+      exportInterval: options.exportInterval || 10000, // ms between exports
+      timeout: options.timeout || 10000, // ms per request
+      maxRetries: options.maxRetries != null ? options.maxRetries : 5,
+      retryDelay: options.retryDelay || 1000, // first retry backoff, doubled per attempt
+      maxRetryDelay: options.maxRetryDelay || 30000,
+      maxQueuedPolls: options.maxQueuedPolls || 3600,
+      definitions: options.definitions || DEFAULT_METRICS
+    };
+
+    const cpus = os.cpus();
+    this.resource = {
+      attributes: toAttributes({
+        'service.name': 'statsentry',
+        'service.version': version,
+        'host.name': os.hostname(),
+        'host.arch': ARCHITECTURES[os.arch()] || os.arch(),
+        'host.cpu.model.name': cpus.length > 0 ? cpus[0].model.trim() : null,
+        'os.type': os.platform() === 'win32' ? 'windows' : os.platform(),
+        'os.description': `${os.type()} ${os.release()}`
+      })
+    };
+
+    this.queue = []; // { time, points: [{ name, unit, attributes, value }] }
+    this.exporting = null; // promise of the export in flight
+    this.timer = null;
+    this.dropped = 0;
+  }
+
+  get description() {
+    return `Exporting OTLP metrics to ${this.options.endpoint}`;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.flush(), this.options.exportInterval);
+    this.timer.unref();
+    return Promise.resolve(this);
+  }
+
+  update(metrics) {
+    if (!metrics) return;
+    this.queue.push({ time: Date.now(), points: this._points(metrics) });
+    if (this.queue.length > this.options.maxQueuedPolls) {
+      this.dropped += this.queue.length - this.options.maxQueuedPolls;
+      this.queue.splice(0, this.queue.length - this.options.maxQueuedPolls);
+    }
+  }
+
+  // Export everything queued so far. Only one export runs at a time; polls
+  // arriving meanwhile wait for the next flush.
+  flush() {
+    if (this.exporting || this.queue.length === 0) return this.exporting || Promise.resolve();
+
+    const batch = this.queue.splice(0);
+    this.exporting = this._send(JSON.stringify(this._request(batch)))
+      .then(() => {
+        this.emit('export', batch.length);
+      })
+      .catch(err => {
+        // Keep the batch for the next flush unless the receiver rejected it
+        if (err.retryable) {
+          const room = Math.max(0, this.options.maxQueuedPolls - this.queue.length);
+          this.dropped += Math.max(0, batch.length - room);
+          this.queue.unshift(...batch.slice(Math.max(0, batch.length - room)));
+        }
+        this.emit('error', err);
+      })
+      .then(() => {
+        this.exporting = null;
+      });
+    return this.exporting;
+  }
+
+  // Send what is left; resolves when done or out of retries
+  close() {
+    clearInterval(this.timer);
+    const pending = this.exporting || Promise.resolve();
+    return pending.then(() => this.flush());
+  }
+
+  // One data point per reading, in base units
+  _points(metrics) {
+    const points = [];
+    const add = (key, unit, attributes, value) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return;
+      const [ucum, factor] = UNITS[unit] || [unit, 1];
+      points.push({ name: metricName(key), unit: ucum, attributes, value: value * factor });
+    };
+
+    // The GPU headline figures are the first GPU's, exported per GPU below
+    this.options.definitions.filter(d => d.group !== 'GPU').forEach(d => add(d.key, d.unit, {}, metrics[d.key]));
+    (metrics.cpuCoreUsage || []).forEach((usage, core) => add('cpuCoreUsage', '%', { 'cpu.core': core }, usage));
+    (metrics.cpuTemps || []).forEach(sensor => add('cpuSensorTemperature', '°C', { 'cpu.sensor': sensor.name }, sensor.value));
+    (metrics.gpus || []).forEach(gpu => {
+      GPU_FIELDS.filter(f => !f.text).forEach(field => {
+        const value = field.key.split('.').reduce((v, key) => (v == null ? null : v[key]), gpu);
+        add(`gpu.${field.key}`, field.unit, { 'gpu.index': gpu.index, 'gpu.name': gpu.name }, value);
+      });
+    });
+    (metrics.selectedSensors || []).forEach(sensor => {
+      add('sensor.value', '', {
+        'sensor.identifier': sensor.identifier,
+        'sensor.name': sensor.name,
+        'sensor.hardware': sensor.hardware,
+        'sensor.type': sensor.sensorType,
+        'sensor.unit': sensor.unit
+      }, sensor.value);
+    });
+    return points;
+  }
+
+  // ExportMetricsServiceRequest with one gauge per metric name
+  _request(batch) {
+    const metrics = new Map();
+    batch.forEach(poll => {
+      const timeUnixNano = `${poll.time}000000`;
+      poll.points.forEach(point => {
+        if (!metrics.has(point.name)) {
+          metrics.set(point.name, { name: point.name, unit: point.unit, gauge: { dataPoints: [] } });
+        }
+        metrics.get(point.name).gauge.dataPoints.push({
+          attributes: toAttributes(point.attributes),
+          timeUnixNano,
+          asDouble: point.value
+        });
+      });
+    });
+
+    return {
+      resourceMetrics: [{
+        resource: this.resource,
+        scopeMetrics: [{
+          scope: { name: 'statsentry', version },
+          metrics: [...metrics.values()]
+        }]
+      }]
+    };
+  }
+
+  // POST with retries; rejects with err.retryable set when it may succeed later
+  async _send(body) {
+    let delay = this.options.retryDelay;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._post(body);
+      } catch (err) {
+        if (!err.retryable || attempt >= this.options.maxRetries) throw err;
+        const wait = Math.min(err.retryAfter != null ? err.retryAfter : delay, this.options.maxRetryDelay);
+        delay = Math.min(delay * 2, this.options.maxRetryDelay);
+        this.emit('retry', err, wait);
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    }
+  }
+
+  _post(body) {
+    const url = new URL(this.options.endpoint);
+    const transport = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, {
+        method: 'POST',
+        headers: {
+          ...this.options.headers,
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        },
+        timeout: this.options.timeout
+      }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve();
+            return;
+          }
+          const text = Buffer.concat(chunks).toString().trim().slice(0, 200);
+          const err = new Error(`OTLP receiver answered ${res.statusCode}${text ? `: ${text}` : ''}`);
+          err.retryable = RETRYABLE_STATUS.includes(res.statusCode);
+          const retryAfter = parseInt(res.headers['retry-after'], 10);
+          if (!isNaN(retryAfter)) err.retryAfter = retryAfter * 1000;
+          reject(err);
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error(`OTLP request timed out after ${this.options.timeout}ms`)));
+      req.on('error', err => {
+        err.retryable = true;
+        reject(err);
+      });
+      req.end(body);
+    });
+  }
+}
+
+OtlpExporter.parseHeaders = parseHeaders;
+
+module.exports = OtlpExporter;
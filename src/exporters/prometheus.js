@@ -0,0 +1,274 @@
+// Prometheus metrics endpoint
+//
+// An opt-in HTTP listener that serves the latest poll on GET /metrics in the
+// Prometheus text exposition format (version 0.0.4). Every series carries a
+// `host` label. Readings are converted to base units (bytes, hertz...) and
+// named after their metric definition, e.g.
+//   statsentry_cpu_temp_celsius{host="rig-01"} 71.5
+//   statsentry_cpu_core_usage_percent{host="rig-01",core="3"} 12.1
+//   statsentry_gpu_temperature_celsius{host="rig-01",gpu="0",name="RTX 4090"} 64
+//   statsentry_mem_used_bytes{host="rig-01"} 8589934592
+//   statsentry_sensor_value{host="rig-01",identifier="/lpc/nct6798d/fan/1",...} 1180
+// plus self-metrics: poll duration, poll errors, provider probes and
+// failures, and the provider behind each metric (e.g. which temperature
+// source is active).
+const http = require('http');
+const os = require('os');
+const { DEFAULT_METRICS, GPU_FIELDS } = require('../metric-schema');
+
+const PREFIX = 'statsentry';
+
+// Display unit -> [Prometheus unit suffix, factor to the base unit]
+const UNITS = {
+  '%': ['percent', 1],
+  '°C': ['celsius', 1],
+  'MiB': ['bytes', 1024 * 1024],
+  'KiB/s': ['bytes_per_second', 1024],
+  'MHz': ['hertz', 1e6],
+  'W': ['watts', 1],
+  'RPM': ['rpm', 1],
+  '': ['', 1]
+};
+
+// Poll duration histogram buckets, in seconds
+const POLL_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// cpuUsage -> cpu_usage, memory.used -> memory_used
+function snakeCase(key) {
+  return key.replace(/\./g, '_').replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+// Metric name and scale for a key and display unit; the unit suffix is not
+// repeated when the key already ends with it (fanPercent -> fan_percent)
+function metricName(key, unit) {
+  const [suffix, factor] = UNITS[unit] || ['', 1];
+  const base = `${PREFIX}_${snakeCase(key)}`;
+  return { name: suffix && !base.endsWith(`_${suffix}`) ? `${base}_${suffix}` : base, factor };
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Collects samples for one scrape, grouped into families with HELP/TYPE
+class Exposition {
+  constructor() {
+    this.families = new Map();
+  }
+
+  add(name, type, help, labels, value) {
+    if (typeof value !== 'number') return;
+    if (!this.families.has(name)) this.families.set(name, { type, help, samples: [] });
+    this.families.get(name).samples.push({ name, labels, value });
+  }
+
+  // Extra sample lines of a family with their own names (histogram buckets)
+  addRaw(family, type, help, name, labels, value) {
+    if (!this.families.has(family)) this.families.set(family, { type, help, samples: [] });
+    this.families.get(family).samples.push({ name, labels, value });
+  }
+
+  toString() {
+    const lines = [];
+    this.families.forEach((family, name) => {
+      lines.push(`# HELP ${name} ${family.help}`);
+      lines.push(`# TYPE ${name} ${family.type}`);
+      family.samples.forEach(sample => {
+        const labels = Object.keys(sample.labels)
+          .map(key => `${key}="${escapeLabel(sample.labels[key])}"`)
+          .join(',');
+        lines.push(`${sample.name}${labels ? `{${labels}}` : ''} ${formatValue(sample.value)}`);
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+}
+
+class PrometheusExporter {
+  constructor(options = {}) {
+    this.options = {
+      host: options.host || '127.0.0.1',
+      port: options.port != null ? options.port : 9464,
+      hostname: options.hostname || os.hostname(), // value of the `host` label
+      registry: options.registry || null, // SensorRegistry, for provider stats
+      definitions: options.definitions || DEFAULT_METRICS
+    };
+
+    this.server = null;
+    this.latest = null; // metrics of the last successful poll
+    this.startTime = Date.now();
+    this.polls = { total: 0, errors: 0, lastTimestamp: null, lastDuration: null, sum: 0, buckets: POLL_BUCKETS.map(() => 0) };
+  }
+
+  // Start listening; resolves once the port is bound
+  start() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this);
+      });
+    });
+  }
+
+  // The address actually bound, e.g. http://127.0.0.1:9464/metrics
+  get url() {
+    const { address, port } = this.server.address();
+    const host = address.includes(':') ? `[${address}]` : address;
+    return `http://${host}:${port}/metrics`;
+  }
+
+  get description() {
+    return `Serving metrics on ${this.url}`;
+  }
+
+  // Record one poll: its metrics (null if it failed) and duration in seconds
+  update(metrics, poll = {}) {
+    this.polls.total++;
+    this.polls.lastTimestamp = Date.now();
+    if (typeof poll.duration === 'number') {
+      this.polls.lastDuration = poll.duration;
+      this.polls.sum += poll.duration;
+      POLL_BUCKETS.forEach((bound, i) => {
+        if (poll.duration <= bound) this.polls.buckets[i]++;
+      });
+    }
+    if (metrics) {
+      this.latest = metrics;
+    } else {
+      this.polls.errors++;
+    }
+  }
+
+  close() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  // The exposition text for the current state
+  render() {
+    const out = new Exposition();
+    const host = this.options.hostname;
+    const metrics = this.latest;
+
+    if (metrics) {
+      // Scalar metrics from their definitions. The GPU headline figures are
+      // the first GPU's, which is exported with the per-GPU series below.
+      this.options.definitions.filter(d => d.group !== 'GPU').forEach(d => {
+        const { name, factor } = metricName(d.key, d.unit);
+        const value = metrics[d.key];
+        out.add(name, 'gauge', `${d.group} ${d.label}`, { host }, typeof value === 'number' ? value * factor : null);
+      });
+
+      (metrics.cpuCoreUsage || []).forEach((usage, core) => {
+        out.add(`${PREFIX}_cpu_core_usage_percent`, 'gauge', 'Usage of one logical core', { host, core: String(core) }, usage);
+      });
+      (metrics.cpuTemps || []).forEach(sensor => {
+        out.add(`${PREFIX}_cpu_sensor_temperature_celsius`, 'gauge', 'CPU temperature sensor', { host, sensor: sensor.name }, sensor.value);
+      });
+
+      GPU_FIELDS.filter(f => !f.text).forEach(field => {
+        const { name, factor } = metricName(`gpu.${field.key}`, field.unit);
+        (metrics.gpus || []).forEach(gpu => {
+          const value = field.key.split('.').reduce((v, key) => (v == null ? null : v[key]), gpu);
+          const labels = { host, gpu: String(gpu.index), name: gpu.name || '' };
+          out.add(name, 'gauge', `GPU ${field.label}`, labels, typeof value === 'number' ? value * factor : null);
+        });
+      });
+
+      (metrics.selectedSensors || []).forEach(sensor => {
+        out.add(`${PREFIX}_sensor_value`, 'gauge', 'Sensor picked by identifier from the sensor tree, in its own unit', {
+          host,
+          identifier: sensor.identifier,
+          name: sensor.name,
+          hardware: sensor.hardware || '',
+          type: sensor.sensorType || '',
+          unit: sensor.unit || ''
+        }, sensor.value);
+      });
+
+      Object.keys(metrics.sources || {}).forEach(metric => {
+        const source = metrics.sources[metric];
+        out.add(`${PREFIX}_metric_source_info`, 'gauge', 'Provider that produced each metric in the last poll (1 = active)', {
+          host,
+          metric,
+          provider: source.provider,
+          simulated: String(Boolean(source.simulated))
+        }, 1);
+      });
+    }
+
+    // Self-metrics
+    const polls = this.polls;
+    const pollHelp = 'Time taken to read every sensor once';
+    POLL_BUCKETS.forEach((bound, i) => {
+      out.addRaw(`${PREFIX}_poll_duration_seconds`, 'histogram', pollHelp, `${PREFIX}_poll_duration_seconds_bucket`, { host, le: String(bound) }, polls.buckets[i]);
+    });
+    out.addRaw(`${PREFIX}_poll_duration_seconds`, 'histogram', pollHelp, `${PREFIX}_poll_duration_seconds_bucket`, { host, le: '+Inf' }, polls.total);
+    out.addRaw(`${PREFIX}_poll_duration_seconds`, 'histogram', pollHelp, `${PREFIX}_poll_duration_seconds_sum`, { host }, polls.sum);
+    out.addRaw(`${PREFIX}_poll_duration_seconds`, 'histogram', pollHelp, `${PREFIX}_poll_duration_seconds_count`, { host }, polls.total);
+    out.add(`${PREFIX}_last_poll_duration_seconds`, 'gauge', 'Duration of the most recent poll', { host }, polls.lastDuration);
+    out.add(`${PREFIX}_polls_total`, 'counter', 'Polls started', { host }, polls.total);
+    out.add(`${PREFIX}_poll_errors_total`, 'counter', 'Polls that failed', { host }, polls.errors);
+    out.add(`${PREFIX}_last_poll_timestamp_seconds`, 'gauge', 'Unix time of the most recent poll', { host },
+      polls.lastTimestamp === null ? null : polls.lastTimestamp / 1000);
+    out.add(`${PREFIX}_start_time_seconds`, 'gauge', 'Unix time the monitor started', { host }, this.startTime / 1000);
+
+    if (this.options.registry) {
+      this.options.registry.getStats().forEach(stats => {
+        const labels = { host, provider: stats.name, metric: stats.metric };
+        out.add(`${PREFIX}_provider_probes_total`, 'counter', 'Times a sensor provider was asked for a reading', labels, stats.probes);
+        out.add(`${PREFIX}_provider_failures_total`, 'counter', 'Provider probes that threw an error', labels, stats.failures);
+        out.add(`${PREFIX}_provider_empty_total`, 'counter', 'Provider probes that returned no reading', labels, stats.empty);
+      });
+    }
+
+    return out.toString();
+  }
+
+  _handle(req, res) {
+    const pathname = req.url.split('?')[0];
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain' });
+      res.end('Method not allowed\n');
+      return;
+    }
+    if (pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found. Metrics are served on /metrics\n');
+      return;
+    }
+
+    let body;
+    try {
+      body = this.render();
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`Error rendering metrics: ${err.message}\n`);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+}
+
+// Parse a --prometheus value: PORT or HOST:PORT; null if invalid
+function parseListenAddress(value) {
+  const match = String(value).trim().match(/^(?:(.*):)?(\d{1,5})$/);
+  if (!match || Number(match[2]) > 65535) return null;
+  return { host: match[1] ? match[1].replace(/^\[(.*)\]$/, '$1') : undefined, port: Number(match[2]) };
+}
+
+PrometheusExporter.parseListenAddress = parseListenAddress;
+
+module.exports = PrometheusExporter;
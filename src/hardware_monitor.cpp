@@ -4,6 +4,8 @@
 #include <pdhmsg.h>
 #include <comdef.h>
 #include <Wbemidl.h>
+#include <vector>
+#include <algorithm>
 #include "vendor/nvapi/nvapi.h"
 #pragma comment(lib, "wbemuuid.lib")
 #pragma comment(lib, "pdh.lib")
@@ -38,18 +40,163 @@ Napi::Value GetCpuUsage(const Napi::CallbackInfo& info) {
     return Napi::Number::New(env, usage);
 }
 
+// Per-logical-core CPU usage using PDH's \Processor(*) wildcard instance.
+// Returns an array indexed by logical processor number.
+Napi::Value GetCpuCoreUsage(const Napi::CallbackInfo& info) {
+    Napi::Env env = info.Env();
+    static PDH_HQUERY coreQuery = NULL;
+    static PDH_HCOUNTER coreCounter;
+    static bool initialized = false;
+
+    if (!initialized) {
+        if (PdhOpenQuery(NULL, 0, &coreQuery) != ERROR_SUCCESS) {
+            Napi::TypeError::New(env, "Failed to open PDH query").ThrowAsJavaScriptException();
+            return env.Null();
+        }
+        if (PdhAddCounterW(coreQuery, L"\\Processor(*)\\% Processor Time", 0, &coreCounter) != ERROR_SUCCESS) {
+            Napi::TypeError::New(env, "Failed to add PDH counter").ThrowAsJavaScriptException();
+            return env.Null();
+        }
+        initialized = true;
+        // First call to collect data
+        PdhCollectQueryData(coreQuery);
+        Sleep(100); // Wait a bit for next sample
+    }
+    PdhCollectQueryData(coreQuery);
+
+    // First call asks for the required buffer size
+    DWORD bufferSize = 0;
+    DWORD itemCount = 0;
+    std::vector<std::pair<int, double>> cores;
+    if (PdhGetFormattedCounterArrayW(coreCounter, PDH_FMT_DOUBLE, &bufferSize, &itemCount, NULL) == PDH_MORE_DATA) {
+        std::vector<BYTE> buffer(bufferSize);
+        PDH_FMT_COUNTERVALUE_ITEM_W* items = reinterpret_cast<PDH_FMT_COUNTERVALUE_ITEM_W*>(buffer.data());
+        if (PdhGetFormattedCounterArrayW(coreCounter, PDH_FMT_DOUBLE, &bufferSize, &itemCount, items) == ERROR_SUCCESS) {
+            for (DWORD i = 0; i < itemCount; ++i) {
+                // Skip the _Total instance; the others are named after the core number
+                if (items[i].szName[0] == L'_') continue;
+                cores.push_back(std::make_pair(_wtoi(items[i].szName), items[i].FmtValue.doubleValue));
+            }
+        }
+    }
+    std::sort(cores.begin(), cores.end());
+
+    Napi::Array result = Napi::Array::New(env, cores.size());
+    for (size_t i = 0; i < cores.size(); ++i) {
+        result.Set((uint32_t)i, Napi::Number::New(env, cores[i].second));
+    }
+    return result;
+}
+
 // Helper to get CPU temperature using systeminformation in Node.js (native stub returns 0.0)
 Napi::Value GetCpuTemperature(const Napi::CallbackInfo& info) {
     Napi::Env env = info.Env();
     return Napi::Number::New(env, 0.0);
 }
 
-// Get GPU usage and temperature using NVAPI
+// NVAPI utilization domains (see NvAPI_GPU_GetDynamicPstatesInfoEx)
+#define GPU_DOMAIN_GRAPHICS    0
+#define GPU_DOMAIN_FRAMEBUFFER 1
+#define GPU_DOMAIN_VIDEO       2
+
+// Utilization of one domain, or null if the GPU doesn't report it
+static Napi::Value DomainUtilization(Napi::Env env, const NV_GPU_DYNAMIC_PSTATES_INFO_EX& pstates, int domain) {
+    if (!pstates.utilization[domain].bIsPresent) return env.Null();
+    return Napi::Number::New(env, (double)pstates.utilization[domain].percentage);
+}
+
+// Telemetry for a single physical GPU. Anything the GPU or driver doesn't
+// report is left as null rather than 0.
+static Napi::Object ReadGpu(Napi::Env env, NvPhysicalGpuHandle handle, NvU32 index) {
+    Napi::Object gpu = Napi::Object::New(env);
+    gpu.Set("index", index);
+    gpu.Set("vendor", "nvidia");
+
+    NvAPI_ShortString name = {0};
+    if (NvAPI_GPU_GetFullName(handle, name) == NVAPI_OK) {
+        gpu.Set("name", name);
+    } else {
+        gpu.Set("name", env.Null());
+    }
+
+    // Temperature of the first (core) sensor
+    NV_GPU_THERMAL_SETTINGS thermal = {0};
+    thermal.version = NV_GPU_THERMAL_SETTINGS_VER;
+    if (NvAPI_GPU_GetThermalSettings(handle, NVAPI_THERMAL_TARGET_ALL, &thermal) == NVAPI_OK && thermal.count > 0) {
+        gpu.Set("temperature", (double)thermal.sensor[0].currentTemp);
+    } else {
+        gpu.Set("temperature", env.Null());
+    }
+
+    // Utilization per domain; the headline usage is the graphics engine,
+    // which is what Task Manager and nvidia-smi report as GPU utilization
+    Napi::Object utilization = Napi::Object::New(env);
+    NV_GPU_DYNAMIC_PSTATES_INFO_EX pstates = {0};
+    pstates.version = NV_GPU_DYNAMIC_PSTATES_INFO_EX_VER;
+    if (NvAPI_GPU_GetDynamicPstatesInfoEx(handle, &pstates) == NVAPI_OK) {
+        utilization.Set("graphics", DomainUtilization(env, pstates, GPU_DOMAIN_GRAPHICS));
+        utilization.Set("framebuffer", DomainUtilization(env, pstates, GPU_DOMAIN_FRAMEBUFFER));
+        utilization.Set("video", DomainUtilization(env, pstates, GPU_DOMAIN_VIDEO));
+        gpu.Set("usage", DomainUtilization(env, pstates, GPU_DOMAIN_GRAPHICS));
+    } else {
+        utilization.Set("graphics", env.Null());
+        utilization.Set("framebuffer", env.Null());
+        utilization.Set("video", env.Null());
+        gpu.Set("usage", env.Null());
+    }
+    gpu.Set("utilization", utilization);
+
+    // Dedicated video memory in MiB
+    Napi::Object memory = Napi::Object::New(env);
+    NV_GPU_MEMORY_INFO_EX memInfo = {0};
+    memInfo.version = NV_GPU_MEMORY_INFO_EX_VER;
+    if (NvAPI_GPU_GetMemoryInfoEx(handle, &memInfo) == NVAPI_OK && memInfo.dedicatedVideoMemory > 0) {
+        double totalMiB = (double)memInfo.dedicatedVideoMemory / (1024.0 * 1024.0);
+        double freeMiB = (double)memInfo.curAvailableDedicatedVideoMemory / (1024.0 * 1024.0);
+        memory.Set("used", totalMiB - freeMiB);
+        memory.Set("total", totalMiB);
+    } else {
+        memory.Set("used", env.Null());
+        memory.Set("total", env.Null());
+    }
+    gpu.Set("memory", memory);
+
+    // Current core and memory clocks in MHz (NVAPI reports kHz)
+    Napi::Object clocks = Napi::Object::New(env);
+    NV_GPU_CLOCK_FREQUENCIES clockFreqs = {0};
+    clockFreqs.version = NV_GPU_CLOCK_FREQUENCIES_VER;
+    clockFreqs.ClockType = NV_GPU_CLOCK_FREQUENCIES_CURRENT_FREQ;
+    if (NvAPI_GPU_GetAllClockFrequencies(handle, &clockFreqs) == NVAPI_OK) {
+        const auto& graphics = clockFreqs.domain[NVAPI_GPU_PUBLIC_CLOCK_GRAPHICS];
+        const auto& mem = clockFreqs.domain[NVAPI_GPU_PUBLIC_CLOCK_MEMORY];
+        clocks.Set("core", graphics.bIsPresent ? Napi::Number::New(env, graphics.frequency / 1000.0) : env.Null());
+        clocks.Set("memory", mem.bIsPresent ? Napi::Number::New(env, mem.frequency / 1000.0) : env.Null());
+    } else {
+        clocks.Set("core", env.Null());
+        clocks.Set("memory", env.Null());
+    }
+    gpu.Set("clocks", clocks);
+
+    // Fan speed in RPM; fails on passively cooled cards
+    NvU32 rpm = 0;
+    if (NvAPI_GPU_GetTachReading(handle, &rpm) == NVAPI_OK) {
+        gpu.Set("fanSpeed", (double)rpm);
+    } else {
+        gpu.Set("fanSpeed", env.Null());
+    }
+    gpu.Set("fanPercent", env.Null());
+
+    // The public NVAPI SDK has no power readout; nvidia-smi provides it
+    gpu.Set("power", env.Null());
+
+    return gpu;
+}
+
+// Get telemetry for every NVIDIA GPU using NVAPI. Returns an array (empty if
+// NVAPI isn't available) ordered by NVAPI's physical GPU index.
 Napi::Value GetGpuInfo(const Napi::CallbackInfo& info) {
     Napi::Env env = info.Env();
-    Napi::Object result = Napi::Object::New(env);
-    double usage = 0.0;
-    double temp = 0.0;
+    Napi::Array result = Napi::Array::New(env);
     NvAPI_Status status = NVAPI_OK;
     static bool nvapiInitialized = false;
     if (!nvapiInitialized) {
@@ -59,36 +206,18 @@ Napi::Value GetGpuInfo(const Napi::CallbackInfo& info) {
     if (nvapiInitialized) {
         NvPhysicalGpuHandle gpuHandles[NVAPI_MAX_PHYSICAL_GPUS] = {0};
         NvU32 gpuCount = 0;
-        if (NvAPI_EnumPhysicalGPUs(gpuHandles, &gpuCount) == NVAPI_OK && gpuCount > 0) {
-            // Get temperature
-            NV_GPU_THERMAL_SETTINGS thermal = {0};
-            thermal.version = NV_GPU_THERMAL_SETTINGS_VER;
-            if (NvAPI_GPU_GetThermalSettings(gpuHandles[0], NVAPI_THERMAL_TARGET_ALL, &thermal) == NVAPI_OK) {
-                temp = (double)thermal.sensor[0].currentTemp;
-            }
-            // Get utilization (usage) - average all present domains
-            NV_GPU_DYNAMIC_PSTATES_INFO_EX pstates = {0};
-            pstates.version = NV_GPU_DYNAMIC_PSTATES_INFO_EX_VER;
-            if (NvAPI_GPU_GetDynamicPstatesInfoEx(gpuHandles[0], &pstates) == NVAPI_OK) {
-                double total = 0.0;
-                int count = 0;
-                for (int i = 0; i < NVAPI_MAX_GPU_UTILIZATIONS; ++i) {
-                    if (pstates.utilization[i].bIsPresent) {
-                        total += pstates.utilization[i].percentage;
-                        count++;
-                    }
-                }
-                if (count > 0) usage = total / count;
+        if (NvAPI_EnumPhysicalGPUs(gpuHandles, &gpuCount) == NVAPI_OK) {
+            for (NvU32 i = 0; i < gpuCount; ++i) {
+                result.Set(i, ReadGpu(env, gpuHandles[i], i));
             }
         }
     }
-    result.Set("usage", usage);
-    result.Set("temperature", temp);
     return result;
 }
 
 Napi::Object Init(Napi::Env env, Napi::Object exports) {
     exports.Set(Napi::String::New(env, "getCpuUsage"), Napi::Function::New(env, GetCpuUsage));
+    exports.Set(Napi::String::New(env, "getCpuCoreUsage"), Napi::Function::New(env, GetCpuCoreUsage));
     exports.Set(Napi::String::New(env, "getCpuTemperature"), Napi::Function::New(env, GetCpuTemperature));
     exports.Set(Napi::String::New(env, "getGpuInfo"), Napi::Function::New(env, GetGpuInfo));
     return exports;
@@ -0,0 +1,307 @@
+// Segmented log files with rotation, compression and retention
+//
+// A logging session starts in `<name>.csv`. When the segment grows past
+// `maxSize` bytes or crosses an hour/day boundary (`interval`), it is closed
+// and the session continues in `<name>.002.csv`, `<name>.003.csv`... Every
+// segment starts with its own header, so each one can be opened on its own.
+// Closed segments are optionally gzipped to `<segment>.csv.gz`.
+//
+// While rotation is enabled, `<name>.index.json` lists the session's
+// segments in order with their time span and row count:
+//   { version, session, created, segments: [{ file, start, end, rows, bytes, compressed }] }
+// so a session split across segments can be read back as one (see replay.js).
+// The logger adds `<name>.summary.json` with the session statistics when the
+// session ends.
+//
+// Retention applies to every log in the directory that starts with `prefix`:
+// segments older than `maxAge` ms are deleted, then the oldest segments until
+// the total is under `maxTotalSize` bytes. The open segment is never deleted.
+// Indexes and summaries go once none of their session's segments are left.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const INDEX_VERSION = 1;
+const INTERVALS = ['hourly', 'daily'];
+
+class LogRotator {
+  constructor(options = {}) {
+    this.options = {
+      dir: options.dir,
+      fileName: options.fileName, // first segment, e.g. hw_monitor_<iso>.csv
+      prefix: options.prefix || 'hw_monitor_',
+      maxSize: options.maxSize || 0, // bytes, 0 = no size limit
+      interval: options.interval || null, // 'hourly' or 'daily'
+      compress: options.compress || false,
+      maxAge: options.maxAge || 0, // ms, 0 = keep forever
+      maxTotalSize: options.maxTotalSize || 0, // bytes, 0 = no limit
+      ...options
+    };
+    if (this.options.interval && !INTERVALS.includes(this.options.interval)) {
+      throw new Error(`Unknown rotation interval "${this.options.interval}" (expected one of: ${INTERVALS.join(', ')})`);
+    }
+
+    this.session = this.options.fileName.replace(/\.csv$/, '');
+    this.rotating = Boolean(this.options.maxSize || this.options.interval);
+    this.segments = []; // index entries, the last one is open
+    this.segmentCount = 0; // segments opened so far, for numbering
+    this.segmentBytes = 0;
+    this.segmentEnds = null; // time at which the open segment must rotate
+  }
+
+  get currentPath() {
+    const segment = this.segments[this.segments.length - 1];
+    return path.join(this.options.dir, segment.file);
+  }
+
+  get indexPath() {
+    return path.join(this.options.dir, `${this.session}.index.json`);
+  }
+
+  // Session statistics written when the session ends (see Logger)
+  get summaryPath() {
+    return path.join(this.options.dir, `${this.session}.summary.json`);
+  }
+
+  // The file that describes the whole session: the index when rotating,
+  // otherwise the single log file
+  get sessionPath() {
+    return this.rotating ? this.indexPath : this.currentPath;
+  }
+
+  // Create the directory and the first (empty) segment, and apply retention
+  open() {
+    if (!fs.existsSync(this.options.dir)) {
+      fs.mkdirSync(this.options.dir, { recursive: true });
+    }
+    this._openSegment(Date.now());
+    this.applyRetention();
+    return this;
+  }
+
+  // Append `text` to the open segment, rotating first if it is full or its
+  // time slot has passed. `header` is written at the top of each segment.
+  write(text, header) {
+    const now = Date.now();
+    const segment = this.segments[this.segments.length - 1];
+
+    if (segment.rows > 0 && this._shouldRotate(now, Buffer.byteLength(text))) {
+      this._closeSegment();
+      this._openSegment(now);
+      this.applyRetention();
+    }
+
+    const current = this.segments[this.segments.length - 1];
+    const data = (this.segmentBytes === 0 && header ? header : '') + text;
+    fs.appendFileSync(this.currentPath, data);
+    this.segmentBytes += Buffer.byteLength(data);
+
+    if (!current.start) current.start = new Date(now).toISOString();
+    current.end = new Date(now).toISOString();
+    current.rows++;
+    current.bytes = this.segmentBytes;
+  }
+
+  // Finish the session: record the final segment in the index. The last
+  // segment is compressed synchronously since the process is about to exit.
+  close() {
+    if (this.segments.length === 0) return;
+
+    if (this.options.compress && this.segments[this.segments.length - 1].rows > 0) {
+      const segment = this.segments[this.segments.length - 1];
+      const source = path.join(this.options.dir, segment.file);
+      try {
+        fs.writeFileSync(`${source}.gz`, zlib.gzipSync(fs.readFileSync(source)));
+        fs.unlinkSync(source);
+        segment.file += '.gz';
+        segment.compressed = true;
+      } catch (err) {
+        console.error('Error compressing log segment:', err.message);
+      }
+    }
+    this._writeIndex();
+  }
+
+  // Delete old segments by age, then by total size, oldest first
+  applyRetention() {
+    if (!this.options.maxAge && !this.options.maxTotalSize) return;
+
+    let files;
+    try {
+      files = fs.readdirSync(this.options.dir)
+        .filter(name => name.startsWith(this.options.prefix) && /\.csv(\.gz)?$/.test(name))
+        .map(name => {
+          const stat = fs.statSync(path.join(this.options.dir, name));
+          return { name, size: stat.size, mtime: stat.mtimeMs };
+        })
+        .sort((a, b) => a.mtime - b.mtime);
+    } catch (err) {
+      console.error('Error reading log directory:', err.message);
+      return;
+    }
+
+    const current = path.basename(this.currentPath);
+    const now = Date.now();
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    const removed = [];
+
+    files.forEach(file => {
+      if (file.name === current) return;
+      const expired = this.options.maxAge && now - file.mtime > this.options.maxAge;
+      const overSize = this.options.maxTotalSize && total > this.options.maxTotalSize;
+      if (!expired && !overSize) return;
+
+      try {
+        fs.unlinkSync(path.join(this.options.dir, file.name));
+        total -= file.size;
+        removed.push(file.name);
+      } catch (err) {
+        console.error(`Error deleting old log ${file.name}:`, err.message);
+      }
+    });
+
+    if (removed.length > 0) {
+      this._pruneIndexes(removed);
+      this._pruneSummaries();
+    }
+  }
+
+  _shouldRotate(now, bytes) {
+    if (this.options.maxSize && this.segmentBytes + bytes > this.options.maxSize) return true;
+    return this.segmentEnds !== null && now >= this.segmentEnds;
+  }
+
+  _openSegment(now) {
+    const number = ++this.segmentCount;
+    const file = number === 1
+      ? this.options.fileName
+      : `${this.session}.${number.toString().padStart(3, '0')}.csv`;
+
+    fs.writeFileSync(path.join(this.options.dir, file), '');
+    this.segments.push({ file, start: null, end: null, rows: 0, bytes: 0, compressed: false });
+    this.segmentBytes = 0;
+    this.segmentEnds = this._nextBoundary(now);
+    if (this.rotating) this._writeIndex();
+  }
+
+  // Close the open segment and compress it in the background. The index
+  // keeps pointing at the plain file until the .gz is complete.
+  _closeSegment() {
+    const segment = this.segments[this.segments.length - 1];
+    this._writeIndex();
+    if (!this.options.compress) return;
+
+    const source = path.join(this.options.dir, segment.file);
+    const target = `${source}.gz`;
+    pipeline(fs.createReadStream(source), zlib.createGzip(), fs.createWriteStream(`${target}.tmp`), err => {
+      if (err) {
+        console.error('Error compressing log segment:', err.message);
+        fs.unlink(`${target}.tmp`, () => {});
+        return;
+      }
+      try {
+        fs.renameSync(`${target}.tmp`, target);
+        fs.unlinkSync(source);
+        segment.file += '.gz';
+        segment.compressed = true;
+        this._writeIndex();
+      } catch (e) {
+        console.error('Error compressing log segment:', e.message);
+      }
+    });
+  }
+
+  // Start of the next hour or local day after `now`
+  _nextBoundary(now) {
+    if (!this.options.interval) return null;
+
+    const next = new Date(now);
+    if (this.options.interval === 'hourly') {
+      next.setMinutes(60, 0, 0);
+    } else {
+      next.setHours(24, 0, 0, 0);
+    }
+    return next.getTime();
+  }
+
+  _writeIndex() {
+    if (!this.rotating) return;
+
+    const index = {
+      version: INDEX_VERSION,
+      session: this.session,
+      created: this.segments[0].start || new Date().toISOString(),
+      segments: this.segments
+    };
+    try {
+      fs.writeFileSync(this.indexPath, JSON.stringify(index, null, 2));
+    } catch (err) {
+      console.error('Error writing log index:', err.message);
+    }
+  }
+
+  // Drop deleted segments from every index in the directory, and delete
+  // indexes with nothing left
+  _pruneIndexes(removed) {
+    this.segments = this.segments.filter(segment => !removed.includes(segment.file));
+
+    fs.readdirSync(this.options.dir)
+      .filter(name => name.startsWith(this.options.prefix) && name.endsWith('.index.json'))
+      .forEach(name => {
+        const indexPath = path.join(this.options.dir, name);
+        try {
+          const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+          const segments = index.segments.filter(segment => !removed.includes(segment.file));
+          if (segments.length === index.segments.length) return;
+
+          if (segments.length === 0 && indexPath !== this.indexPath) {
+            fs.unlinkSync(indexPath);
+          } else {
+            fs.writeFileSync(indexPath, JSON.stringify({ ...index, segments }, null, 2));
+          }
+        } catch (err) {
+          console.error(`Error updating log index ${name}:`, err.message);
+        }
+      });
+  }
+
+  // Delete summaries whose session has no segments left
+  _pruneSummaries() {
+    const names = fs.readdirSync(this.options.dir);
+    names
+      .filter(name => name.startsWith(this.options.prefix) && name.endsWith('.summary.json'))
+      .forEach(name => {
+        const session = name.slice(0, -'.summary.json'.length);
+        const hasSegments = names.some(other => other.startsWith(`${session}.`) && /\.csv(\.gz)?$/.test(other));
+        if (hasSegments || session === this.session) return;
+        try {
+          fs.unlinkSync(path.join(this.options.dir, name));
+        } catch (err) {
+          console.error(`Error deleting summary ${name}:`, err.message);
+        }
+      });
+  }
+}
+
+// Parse a size such as 500K, 50M or 1G into bytes; null if invalid
+function parseSize(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)i?b?$/i);
+  if (!match) return null;
+  const multiplier = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }[match[2].toLowerCase()];
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+// Parse a duration such as 12h, 7d or 2w into milliseconds; null if invalid
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([hdw])$/i);
+  if (!match) return null;
+  const multiplier = { h: 3600e3, d: 86400e3, w: 7 * 86400e3 }[match[2].toLowerCase()];
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+LogRotator.INTERVALS = INTERVALS;
+LogRotator.parseSize = parseSize;
+LogRotator.parseDuration = parseDuration;
+
+module.exports = LogRotator;
@@ -1,7 +1,14 @@
 // Logger module for PC hardware monitor
-const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const LogRotator = require('./log-rotator');
+const fs = require('fs');
+const TimeSeriesStore = require('./time-series');
+const SessionStats = require('./session-stats');
+const AlertEngine = require('./alerts');
+const SampleAnalyzer = require('./sample-analyzer');
+const Dashboard = require('./dashboard');
+const { DEFAULT_METRICS, GPU_FIELDS, columnName, withUnit, formatMetric, formatDuration, describeSchema } = require('./metric-schema');
 
 class Logger {
   constructor(options = {}) {
@@ -9,27 +16,68 @@ class Logger {
       logToFile: options.logToFile || false,
       logFilePath: options.logFilePath || path.join(__dirname, '../logs'),
       logFileName: options.logFileName || `hw_monitor_${new Date().toISOString().replace(/:/g, '-')}.csv`,
-      consoleFormat: options.consoleFormat || 'table', // 'table', 'csv', 'json', 'text'
+      consoleFormat: options.consoleFormat || 'table', // 'table', 'csv', 'json', 'text', 'none'
       interval: options.interval || 1000, // ms
+      // Segment rotation and retention, see log-rotator.js:
+      // { maxSize, interval, compress, maxAge, maxTotalSize }
+      rotation: options.rotation || {},
+      // Scalar metric definitions, see metric-schema.js
+      definitions: options.definitions || DEFAULT_METRICS,
+      // Raw window and rollup levels of the history, see time-series.js
+      history: options.history || {},
+      // Series thresholds for time-above and streak statistics, see
+      // session-stats.js
+      thresholds: options.thresholds || SessionStats.DEFAULT_THRESHOLDS,
+      // Alert rules, evaluated on every sample, see alerts.js
+      alerts: options.alerts || [],
+      // Throttling and sensor-fault detection limits, see sample-analyzer.js
+      analysis: options.analysis || {},
+      // Full-screen dashboard instead of the redrawn table, e.g.
+      // { replay: true }; false for the plain table, see dashboard.js
+      dashboard: options.dashboard || false,
       ...options
     };
+    this.definitions = this.options.definitions;
     
-    this.metrics = [];
+    // Session history, queryable by series and time range. Series are the
+    // defined metrics by key plus 'core.<n>', 'cpuTemp.<sensor>',
+    // 'gpu.<index>.<field>' and 'sensor.<identifier>'.
+    this.history = new TimeSeriesStore(this.options.history);
+    // Cores, sensors, GPUs and selected sensors seen so far, for labelling
+    // their series
+    this.seen = { cores: 0, sensors: [], gpus: new Map(), selected: [] };
+    this.sessionStats = new SessionStats({ interval: this.options.interval, thresholds: this.options.thresholds });
+    this.alerts = new AlertEngine({ rules: this.options.alerts });
+    this.analyzer = new SampleAnalyzer(this.options.analysis);
+    this.findings = []; // tags of the latest sample, e.g. 'throttling:gpu.0'
+    this.markers = []; // { time, label }
+    this.marker = null; // label of the latest sample's marker
+    this.pendingMarker = null; // label for the next sample
+    this.dashboard = this.options.dashboard
+      ? new Dashboard(this, { interval: this.options.interval, ...this.options.dashboard })
+      : null;
     this.startTime = Date.now();
     this.lastLogTime = 0;
+    this.recordedTime = null; // timestamp of the latest replayed sample
     
-    // Create log directory if it doesn't exist
+    // Per-core and per-sensor CSV columns are fixed by the first sample
+    this.csvLayout = null;
+    this.csvHeader = null;
+    this.csvHeaderPrinted = false;
+    this.schemaPrinted = false;
+    
+    // Create the log directory and first segment now; headers are written
+    // with the first sample of each segment
+    this.logFile = null;
     if (this.options.logToFile) {
       try {
-        if (!fs.existsSync(this.options.logFilePath)) {
-          fs.mkdirSync(this.options.logFilePath, { recursive: true });
-        }
+        this.logFile = new LogRotator({
+          ...this.options.rotation,
+          dir: this.options.logFilePath,
+          fileName: this.options.logFileName
+        }).open();
         
-        // Initialize log file with headers
-        const fullPath = path.join(this.options.logFilePath, this.options.logFileName);
-        fs.writeFileSync(fullPath, 'Timestamp,CPU Usage (%),CPU Temp (°C),GPU Usage (%),GPU Temp (°C)\n');
-        
-        console.log(`Logging to ${fullPath}`);
+        console.log(`Logging to ${this.logFile.sessionPath}`);
       } catch (err) {
         console.error('Error creating log file:', err);
         this.options.logToFile = false;
@@ -38,20 +86,41 @@ class Logger {
   }
   
   log(metrics) {
-    const timestamp = new Date().toISOString();
-    const { cpuUsage, cpuTemp, gpuUsage, gpuTemp } = metrics;
+    // Replayed samples carry their recorded timestamp; uptime and duration
+    // then follow the recording rather than the wall clock
+    if (metrics.timestamp) {
+      const time = Date.parse(metrics.timestamp);
+      if (this.recordedTime === null) this.startTime = time;
+      this.recordedTime = time;
+    }
+    const timestamp = metrics.timestamp || new Date().toISOString();
     
-    // Add to in-memory buffer (limited to last 100 entries)
-    this.metrics.push({ timestamp, cpuUsage, cpuTemp, gpuUsage, gpuTemp });
-    if (this.metrics.length > 100) this.metrics.shift();
+    const time = Date.parse(timestamp);
+    const seriesValues = this._getSeriesValues(metrics);
+    this.history.add(time, seriesValues);
+    this.sessionStats.add(time, seriesValues);
+    this.alerts.evaluate(time, seriesValues);
+    this.findings = this.analyzer.analyze(time, seriesValues, metrics);
+    // Replayed samples bring their own markers; one dropped meanwhile
+    // waits for the next sample
+    if (metrics.marker) {
+      this.marker = metrics.marker;
+    } else {
+      this.marker = this.pendingMarker;
+      this.pendingMarker = null;
+    }
+    if (this.marker) this.markers.push({ time, label: this.marker });
     
-    // Write to log file if enabled
+    // Write to log file if enabled; every segment starts with the schema
+    // preamble and the column header
     if (this.options.logToFile) {
-      const logLine = `${timestamp},${cpuUsage.toFixed(2)},${cpuTemp.toFixed(2)},${gpuUsage.toFixed(2)},${gpuTemp.toFixed(2)}\n`;
-      const fullPath = path.join(this.options.logFilePath, this.options.logFileName);
+      const logLine = this._formatCsvRow(timestamp, metrics) + '\n';
+      if (!this.csvHeader) {
+        this.csvHeader = this._formatCsvPreamble() + '\n' + this._formatCsvHeader() + '\n';
+      }
       
       try {
-        fs.appendFileSync(fullPath, logLine);
+        this.logFile.write(logLine, this.csvHeader);
       } catch (err) {
         console.error('Error writing to log file:', err);
       }
@@ -62,19 +131,54 @@ class Logger {
   }
   
   _outputToConsole(metrics) {
-    const { cpuUsage, cpuTemp, gpuUsage, gpuTemp } = metrics;
-    const timestamp = new Date().toISOString();
+    const values = this._getValues(metrics);
+    const { cpuUsage, cpuTemp, gpuUsage, gpuTemp } = values;
+    const cpuTempSource = this._getSource(metrics, 'cpuTemp');
+    const cpuCoreUsage = metrics.cpuCoreUsage || [];
+    const cpuTemps = metrics.cpuTemps || [];
+    const gpus = metrics.gpus || [];
+    const selectedSensors = metrics.selectedSensors || [];
+    const timestamp = metrics.timestamp || new Date().toISOString();
     
     switch (this.options.consoleFormat) {
+      case 'none': // history and statistics only, e.g. for reports
+        break;
+        
       case 'json':
-        console.log(JSON.stringify({ timestamp, cpuUsage, cpuTemp, gpuUsage, gpuTemp }));
+        if (!this.schemaPrinted) {
+          console.log(JSON.stringify({ schema: describeSchema(this.definitions, GPU_FIELDS), system: this._systemInfo() }));
+          this.schemaPrinted = true;
+        }
+        console.log(JSON.stringify({
+          timestamp, ...values, cpuCoreUsage, cpuTemps, gpus, selectedSensors,
+          sources: {
+            cpuUsage: this._getSource(metrics, 'cpuUsage'),
+            cpuTemp: cpuTempSource,
+            gpus: this._getSource(metrics, 'gpus'),
+            memory: this._getSource(metrics, 'memory'),
+            diskIo: this._getSource(metrics, 'diskIo'),
+            network: this._getSource(metrics, 'network'),
+            sensorTree: this._getSource(metrics, 'sensorTree')
+          },
+          findings: this.findings,
+          marker: this.marker
+        }));
         break;
         
       case 'csv':
-        console.log(`${timestamp},${cpuUsage.toFixed(2)},${cpuTemp.toFixed(2)},${gpuUsage.toFixed(2)},${gpuTemp.toFixed(2)}`);
+        if (!this.csvHeaderPrinted) {
+          console.log(this._formatCsvPreamble());
+          console.log(this._formatCsvHeader(metrics));
+          this.csvHeaderPrinted = true;
+        }
+        console.log(this._formatCsvRow(timestamp, metrics));
         break;
         
       case 'table':
+        if (this.dashboard) {
+          this.dashboard.update(metrics);
+          break;
+        }
         // Only update the table if enough time has passed (to reduce flickering)
         const now = Date.now();
         if (now - this.lastLogTime >= this.options.interval) {
@@ -82,7 +186,7 @@ class Logger {
           
           // Clear console and show header
           console.clear();
-          const uptime = this._formatTime((now - this.startTime) / 1000);
+          const uptime = this._formatTime((this._now() - this.startTime) / 1000);
           console.log(`\nPC Hardware Monitor - ${timestamp} (Uptime: ${uptime})\n`);
           
           // Display current metrics
@@ -90,13 +194,67 @@ class Logger {
           console.log('│ Component │   Usage   │    Temp   │');
           console.log('├───────────┼───────────┼───────────┤');
           console.log(`│ CPU       │ ${this._formatValue(cpuUsage, '%', 6)} │ ${this._formatValue(cpuTemp, '°C', 6)} │`);
-          console.log(`│ GPU       │ ${this._formatValue(gpuUsage, '%', 6)} │ ${this._formatValue(gpuTemp, '°C', 6)} │`);
+          if (gpus.length === 0) {
+            console.log(`│ GPU       │ ${this._formatValue(gpuUsage, '%', 6)} │ ${this._formatValue(gpuTemp, '°C', 6)} │`);
+          }
+          gpus.forEach(gpu => {
+            const label = `GPU ${gpu.index}`.padEnd(9);
+            console.log(`│ ${label} │ ${this._formatValue(gpu.usage, '%', 6)} │ ${this._formatValue(gpu.temperature, '°C', 6)} │`);
+          });
           console.log('└───────────┴───────────┴───────────┘');
           
+          // Firing alerts go right under the headline figures
+          const alerts = this.alerts.active();
+          if (alerts.length > 0) {
+            console.log(`Active alerts (${alerts.length}):`);
+            alerts.forEach(alert => console.log(`  ${this._describeAlert(alert)}`));
+          }
+          const findings = this.analyzer.active();
+          if (findings.length > 0) {
+            console.log(`Findings (${findings.length}):`);
+            findings.forEach(finding => console.log(`  ${finding.type.padEnd(10)} ${finding.detail} for ${formatDuration(finding.duration)}`));
+          }
+          
+          // One detail line per GPU: name, VRAM, clocks, fan and power
+          gpus.forEach(gpu => {
+            console.log(`GPU ${gpu.index}: ${this._describeGpu(gpu)}`);
+          });
+          console.log(`CPU usage source: ${this._getSource(metrics, 'cpuUsage').provider} | CPU temperature source: ${cpuTempSource.provider}`);
+          
+          // Per-core usage and per-sensor temperatures, so a single hot or
+          // pegged core isn't hidden by the averages above
+          if (cpuCoreUsage.length > 0) {
+            console.log('\nPer-core usage:');
+            this._printGrid(cpuCoreUsage.map((usage, i) => `#${i.toString().padEnd(3)}${this._formatValue(usage, '%', 8)}`), 6);
+          }
+          if (cpuTemps.length > 0) {
+            console.log('\nCPU temperature sensors:');
+            this._printGrid(cpuTemps.map(t => `${t.name.padEnd(14).slice(0, 14)}${this._formatValue(t.value, '°C', 9)}`), 3);
+          }
+          
+          // One line per group for everything outside the CPU/GPU box
+          // (memory, swap, disk, network...)
+          console.log('');
+          this._getGroups(this.definitions.filter(d => !d.headline)).forEach(([group, definitions]) => {
+            const cells = definitions.map(d => `${d.label} ${formatMetric(d, values[d.key])}`);
+            console.log(`${(group + ':').padEnd(8)} ${cells.join(' | ')}`);
+          });
+          
+          // Sensors picked by identifier, each with its own trend
+          const lastMinute = { from: this._now() - 60e3, resolution: 'raw' };
+          if (selectedSensors.length > 0) {
+            console.log('\nSelected sensors:');
+            selectedSensors.forEach(sensor => {
+              const history = this.history.values(`sensor.${sensor.identifier}`, lastMinute);
+              const value = `${this._formatNumber(sensor.value)} ${sensor.unit}`.trim();
+              console.log(`  ${this._sensorLabel(sensor).padEnd(32).slice(0, 32)} ${value.padStart(14)}  ${this._generateTrend(history)}`);
+            });
+          }
+          
           // Display trend graphs if we have enough data
-          if (this.metrics.length > 5) {
-            const cpuUsageTrend = this._generateTrend(this.metrics.map(m => m.cpuUsage));
-            const cpuTempTrend = this._generateTrend(this.metrics.map(m => m.cpuTemp));
+          if (this.history.count > 5) {
+            const cpuUsageTrend = this._generateTrend(this.history.values('cpuUsage', lastMinute));
+            const cpuTempTrend = this._generateTrend(this.history.values('cpuTemp', lastMinute));
             
             console.log('\nTrends (last minute):');
             console.log(`CPU Usage: ${cpuUsageTrend}`);
@@ -107,28 +265,272 @@ class Logger {
           console.log(`\nSystem: ${os.hostname()} | ${os.type()} ${os.release()} | ${os.cpus()[0].model}`);
           
           if (this.options.logToFile) {
-            console.log(`\nLogging to: ${path.join(this.options.logFilePath, this.options.logFileName)}`);
+            console.log(`\nLogging to: ${this.logFile.currentPath}`);
           }
           
           // Add note about admin privileges if CPU temp is from simulation
-          if (cpuTemp > 0 && (cpuTemp === Math.round(cpuTemp) || 
-              (cpuTemp.toFixed(2).endsWith('.00') || 
-               cpuTemp.toFixed(2).endsWith('.50')))) {
-            console.log('\nNote: CPU temperature may be simulated. Run with admin rights for accurate readings.');
+          if (cpuTempSource.provider.startsWith('synthetic')) {
+            console.log('\nNote: showing synthetic data (--synthetic), not sensor readings.');
+          } else if (cpuTempSource.simulated) {
+            console.log('\nNote: CPU temperature is simulated. Run with admin rights for accurate readings.');
           }
         }
         break;
         
-      default: // text
-        console.log(`[${timestamp}] CPU: ${cpuUsage.toFixed(2)}% | ${cpuTemp.toFixed(2)}°C | GPU: ${gpuUsage.toFixed(2)}% | ${gpuTemp.toFixed(2)}°C`);
+      default: { // text
+        const headline = key => formatMetric(this.definitions.find(d => d.key === key), values[key]);
+        let line = `[${timestamp}] CPU: ${headline('cpuUsage')} | ${headline('cpuTemp')}${cpuTempSource.simulated ? ' (simulated)' : ''}`;
+        if (gpus.length === 0) {
+          line += gpuUsage == null ? ' | GPU: N/A' : ` | GPU: ${headline('gpuUsage')} | ${headline('gpuTemp')}`;
+        }
+        const [usageField, tempField] = ['usage', 'temperature'].map(key => GPU_FIELDS.find(f => f.key === key));
+        gpus.forEach(gpu => {
+          line += ` | GPU${gpu.index}: ${formatMetric(usageField, gpu.usage)} | ${formatMetric(tempField, gpu.temperature)}`;
+        });
+        
+        // Flag the busiest core and hottest sensor rather than listing them all
+        // from the cores and sensors that have a reading this sample
+        const busiest = cpuCoreUsage.reduce((best, usage, i) =>
+          (typeof usage === 'number' && (best === -1 || usage > cpuCoreUsage[best]) ? i : best), -1);
+        if (busiest !== -1) {
+          line += ` | Busiest core: #${busiest} ${cpuCoreUsage[busiest].toFixed(2)}%`;
+        }
+        const hottest = cpuTemps.filter(t => typeof t.value === 'number')
+          .reduce((a, b) => (a === null || b.value > a.value ? b : a), null);
+        if (hottest) {
+          line += ` | Hottest sensor: ${hottest.name} ${hottest.value.toFixed(2)}°C`;
+        }
+        
+        this.definitions.filter(d => d.compact).forEach(d => {
+          line += ` | ${d.group} ${d.label}: ${formatMetric(d, values[d.key])}`;
+        });
+        selectedSensors.forEach(sensor => {
+          line += ` | ${this._sensorLabel(sensor)}: ${`${this._formatNumber(sensor.value)} ${sensor.unit}`.trim()}`;
+        });
+        if (this.findings.length > 0) line += ` | Findings: ${this.findings.join(', ')}`;
+        console.log(line);
+      }
+    }
+  }
+  
+  // Value of every defined metric on a sample, null where missing
+  _getValues(metrics) {
+    const values = {};
+    this.definitions.forEach(d => { values[d.key] = typeof metrics[d.key] === 'number' ? metrics[d.key] : null; });
+    return values;
+  }
+  
+  // Every numeric reading on a sample as named series values, noting new
+  // cores, sensors, GPUs and selected sensors along the way
+  _getSeriesValues(metrics) {
+    const values = this._getValues(metrics);
+    
+    (metrics.cpuCoreUsage || []).forEach((usage, i) => { values[`core.${i}`] = usage; });
+    this.seen.cores = Math.max(this.seen.cores, (metrics.cpuCoreUsage || []).length);
+    
+    (metrics.cpuTemps || []).forEach(t => {
+      values[`cpuTemp.${t.name}`] = t.value;
+      if (!this.seen.sensors.includes(t.name)) this.seen.sensors.push(t.name);
+    });
+    
+    (metrics.gpus || []).forEach(gpu => {
+      GPU_FIELDS.filter(f => !f.text).forEach(f => { values[`gpu.${gpu.index}.${f.key}`] = this._getPath(gpu, f.key); });
+      this.seen.gpus.set(gpu.index, gpu.name);
+    });
+    
+    (metrics.selectedSensors || []).forEach(s => {
+      values[`sensor.${s.identifier}`] = s.value;
+      if (!this.seen.selected.some(entry => entry.identifier === s.identifier)) {
+        this.seen.selected.push({ identifier: s.identifier, label: this._sensorLabel(s), unit: s.unit });
+      }
+    });
+    return values;
+  }
+  
+  // Definitions grouped by `group`, in definition order: [[group, definitions]]
+  _getGroups(definitions) {
+    const groups = new Map();
+    definitions.forEach(d => {
+      if (!groups.has(d.group)) groups.set(d.group, []);
+      groups.get(d.group).push(d);
+    });
+    return [...groups.entries()];
+  }
+  
+  // First lines of every CSV log: the schema it was written with and the
+  // machine it was written on
+  _formatCsvPreamble() {
+    return `#schema ${JSON.stringify(describeSchema(this.definitions, GPU_FIELDS))}\n` +
+      `#system ${JSON.stringify(this._systemInfo())}`;
+  }
+  
+  // Host, OS, CPU and memory of this machine, for reports
+  _systemInfo() {
+    const cpus = os.cpus();
+    return {
+      hostname: os.hostname(),
+      os: `${os.type()} ${os.release()}`,
+      arch: os.arch(),
+      cpu: cpus.length > 0 ? cpus[0].model : null,
+      logicalCores: cpus.length,
+      memory: Math.round(os.totalmem() / 1024 / 1024), // MiB
+      node: process.version
+    };
+  }
+  
+  // CSV columns: the defined metrics, then one per logical core, one per CPU
+  // temperature sensor, a block per GPU and one per selected sensor, as seen
+  // in the first sample
+  _getCsvLayout(metrics) {
+    if (!this.csvLayout) {
+      this.csvLayout = {
+        cores: (metrics.cpuCoreUsage || []).length,
+        sensors: (metrics.cpuTemps || []).map(t => t.name),
+        gpus: (metrics.gpus || []).map(g => g.index),
+        selected: (metrics.selectedSensors || []).map(s => ({ identifier: s.identifier, label: this._sensorLabel(s), unit: s.unit }))
+      };
     }
+    return this.csvLayout;
+  }
+  
+  _formatCsvHeader(metrics) {
+    const layout = this._getCsvLayout(metrics || {});
+    const columns = [
+      'Timestamp',
+      ...this.definitions.map(columnName),
+      'CPU Temp Source', 'CPU Temp Simulated'
+    ];
+    for (let i = 0; i < layout.cores; i++) columns.push(`Core ${i} Usage (%)`);
+    for (const name of layout.sensors) columns.push(`${name} Temp (°C)`);
+    for (const index of layout.gpus) {
+      for (const field of GPU_FIELDS) columns.push(`GPU${index} ${withUnit(field.label, field.unit)}`);
+    }
+    for (const sensor of layout.selected) {
+      columns.push(`${sensor.label}${sensor.unit ? ` (${sensor.unit})` : ''} [${sensor.identifier}]`);
+    }
+    // Last, so readers that stop at the known columns are unaffected
+    columns.push('Findings', 'Marker');
+    return columns.map(c => this._csvField(c)).join(',');
+  }
+  
+  _formatCsvRow(timestamp, metrics) {
+    const cpuTempSource = this._getSource(metrics, 'cpuTemp');
+    const layout = this._getCsvLayout(metrics);
+    const cores = metrics.cpuCoreUsage || [];
+    const temps = metrics.cpuTemps || [];
+    const gpus = metrics.gpus || [];
+    
+    const fields = [
+      timestamp,
+      ...this.definitions.map(d => this._formatNumber(metrics[d.key], '', d.precision)),
+      cpuTempSource.provider, cpuTempSource.simulated
+    ];
+    // Cores or sensors missing from this sample are left empty
+    for (let i = 0; i < layout.cores; i++) {
+      fields.push(typeof cores[i] === 'number' ? cores[i].toFixed(2) : '');
+    }
+    for (const name of layout.sensors) {
+      const sensor = temps.find(t => t.name === name);
+      fields.push(sensor ? sensor.value.toFixed(2) : '');
+    }
+    for (const index of layout.gpus) {
+      const gpu = gpus.find(g => g.index === index) || {};
+      for (const field of GPU_FIELDS) {
+        const value = this._getPath(gpu, field.key);
+        fields.push(field.text ? (value || '') : this._formatNumber(value, '', field.precision));
+      }
+    }
+    for (const { identifier } of layout.selected) {
+      const sensor = (metrics.selectedSensors || []).find(s => s.identifier === identifier);
+      fields.push(this._formatNumber(sensor && sensor.value, ''));
+    }
+    fields.push(this.findings.join(';'), this.marker || '');
+    return fields.map(f => this._csvField(String(f))).join(',');
+  }
+  
+  _csvField(value) {
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }
+  
+  // Dotted-path lookup for nested GPU fields such as 'memory.used'
+  _getPath(object, field) {
+    return field.split('.').reduce((value, key) => (value == null ? null : value[key]), object);
+  }
+  
+  _describeGpu(gpu) {
+    const parts = [gpu.name || 'Unknown GPU'];
+    if (gpu.memory && gpu.memory.total != null) {
+      parts.push(`VRAM ${this._formatNumber(gpu.memory.used, '?', 0)}/${this._formatNumber(gpu.memory.total, '?', 0)} MiB`);
+    }
+    if (gpu.clocks && (gpu.clocks.core != null || gpu.clocks.memory != null)) {
+      parts.push(`Core ${this._formatNumber(gpu.clocks.core, '?', 0)} MHz / Mem ${this._formatNumber(gpu.clocks.memory, '?', 0)} MHz`);
+    }
+    if (gpu.fanSpeed != null) parts.push(`Fan ${this._formatNumber(gpu.fanSpeed, '?', 0)} RPM`);
+    if (gpu.fanPercent != null) parts.push(`Fan ${this._formatNumber(gpu.fanPercent, '?', 0)}%`);
+    if (gpu.power != null) parts.push(`${this._formatNumber(gpu.power)} W`);
+    return parts.join(' | ');
+  }
+  
+  // "Hardware Sensor" label for a sensor picked from the sensor tree
+  _sensorLabel(sensor) {
+    return sensor.hardware ? `${sensor.hardware} ${sensor.name}` : sensor.name;
+  }
+  
+  _printGrid(cells, perRow) {
+    for (let i = 0; i < cells.length; i += perRow) {
+      console.log('  ' + cells.slice(i, i + perRow).join('  '));
+    }
+  }
+  
+  // Provenance of a reading; metrics without it are treated as unknown
+  _getSource(metrics, key) {
+    const source = metrics.sources && metrics.sources[key];
+    return {
+      provider: (source && source.provider) || 'unknown',
+      simulated: Boolean(source && source.simulated)
+    };
   }
   
   _formatValue(value, unit, length) {
-    const formatted = value.toFixed(2) + unit;
+    const formatted = value == null ? 'N/A' : value.toFixed(2) + unit;
     return formatted.padStart(length);
   }
   
+  // Number with fixed decimals, or a placeholder for readings a source
+  // couldn't provide
+  _formatNumber(value, placeholder = 'N/A', digits = 2) {
+    return typeof value === 'number' && !isNaN(value) ? value.toFixed(digits) : placeholder;
+  }
+  
+  // Unit of a history series, '' if unknown
+  _seriesUnit(key) {
+    const definition = this.definitions.find(d => d.key === key);
+    if (definition) return definition.unit;
+    if (key.startsWith('core.')) return '%';
+    if (key.startsWith('cpuTemp.')) return '°C';
+    const gpu = key.match(/^gpu\.\d+\.(.+)$/);
+    const field = gpu && GPU_FIELDS.find(f => f.key === gpu[1]);
+    if (field) return field.unit;
+    const sensor = this.seen.selected.find(entry => `sensor.${entry.identifier}` === key);
+    return sensor ? sensor.unit : '';
+  }
+  
+  // "CRITICAL cpuTemp > 90 (now 93.20°C, peak 95.10°C) for 1m 12s", or
+  // just the current value for an alert that has only just fired
+  _describeAlert(alert) {
+    const unit = this._seriesUnit(alert.key);
+    const value = v => `${this._formatNumber(v)}${unit === '%' || unit === '°C' ? unit : unit ? ` ${unit}` : ''}`;
+    const label = `${alert.severity.toUpperCase().padEnd(8)} ${alert.name}`;
+    return alert.duration > 0
+      ? `${label} (now ${value(alert.value)}, peak ${value(alert.peak)}) for ${formatDuration(alert.duration)}`
+      : `${label} (${value(alert.value)})`;
+  }
+  
+  // Current time for uptime/duration: the recording's clock during replay
+  _now() {
+    return this.recordedTime !== null ? this.recordedTime : Date.now();
+  }
+  
   _formatTime(seconds) {
     const hrs = Math.floor(seconds / 3600);
     const mins = Math.floor((seconds % 3600) / 60);
@@ -156,47 +558,110 @@ class Logger {
     }).join('');
   }
   
-  getSummary() {
-    if (this.metrics.length === 0) return null;
+  // Statistics for the whole session, or for the part of it within
+  // { from, to } (epoch ms). All figures are numbers (null where there were
+  // no readings); durations are in seconds. Each statistic is
+  //   { count, min, avg, max, stddev, p50, p95, p99 }
+  // Thresholds, gaps, alerts, findings and markers always cover the whole
+  // session.
+  getSummary(range = {}) {
+    if (this.history.count === 0) return null;
+    const stats = key => this.history.stats(key, range) || this._emptyStats();
+    
+    const metrics = this.definitions.map(d => ({
+      key: d.key, group: d.group, label: d.label, unit: d.unit, ...stats(d.key)
+    }));
+    
+    // Per-core usage, indexed by logical core
+    const cores = [];
+    for (let i = 0; i < this.seen.cores; i++) {
+      cores.push({ index: i, ...stats(`core.${i}`) });
+    }
+    
+    // Per-sensor temperatures, in the order sensors were first seen
+    const sensors = this.seen.sensors.map(name => ({ name, ...stats(`cpuTemp.${name}`) }));
+    
+    // Per-GPU statistics, keyed by GPU index
+    const gpus = [...this.seen.gpus.entries()].map(([index, name]) => ({
+      index,
+      name,
+      usage: stats(`gpu.${index}.usage`),
+      temp: stats(`gpu.${index}.temperature`),
+      memoryUsed: stats(`gpu.${index}.memory.used`),
+      power: stats(`gpu.${index}.power`)
+    }));
     
-    // Calculate averages and max values
-    const cpuUsageValues = this.metrics.map(m => m.cpuUsage);
-    const cpuTempValues = this.metrics.map(m => m.cpuTemp);
-    const gpuUsageValues = this.metrics.map(m => m.gpuUsage);
-    const gpuTempValues = this.metrics.map(m => m.gpuTemp);
+    // Selected sensors, keyed by identifier
+    const selectedSensors = this.seen.selected.map(entry => ({ ...entry, ...stats(`sensor.${entry.identifier}`) }));
     
+    const from = Math.max(range.from != null ? range.from : -Infinity, this.startTime);
+    const to = Math.min(range.to != null ? range.to : Infinity, this._now());
+    const sessionStats = this.sessionStats.summary();
     return {
-      samples: this.metrics.length,
-      duration: ((Date.now() - this.startTime) / 1000).toFixed(1) + 's',
+      start: new Date(from).toISOString(),
+      end: new Date(to).toISOString(),
+      samples: this.history.sampleCount(range),
+      duration: Math.max(0, to - from) / 1000,
+      interval: this.sessionStats.interval,
+      metrics,
       cpu: {
-        usage: {
-          avg: this._calculateAverage(cpuUsageValues).toFixed(2) + '%',
-          max: Math.max(...cpuUsageValues).toFixed(2) + '%',
-          min: Math.min(...cpuUsageValues).toFixed(2) + '%'
-        },
-        temp: {
-          avg: this._calculateAverage(cpuTempValues).toFixed(2) + '°C',
-          max: Math.max(...cpuTempValues).toFixed(2) + '°C',
-          min: Math.min(...cpuTempValues).toFixed(2) + '°C'
-        }
+        cores,
+        sensors
       },
-      gpu: {
-        usage: {
-          avg: this._calculateAverage(gpuUsageValues).toFixed(2) + '%',
-          max: Math.max(...gpuUsageValues).toFixed(2) + '%',
-          min: Math.min(...gpuUsageValues).toFixed(2) + '%'
-        },
-        temp: {
-          avg: this._calculateAverage(gpuTempValues).toFixed(2) + '°C',
-          max: Math.max(...gpuTempValues).toFixed(2) + '°C',
-          min: Math.min(...gpuTempValues).toFixed(2) + '°C'
-        }
-      }
+      gpus,
+      selectedSensors,
+      thresholds: sessionStats.thresholds.map(threshold => {
+        const definition = this.definitions.find(d => d.key === threshold.key);
+        return { ...threshold, unit: definition ? definition.unit : '' };
+      }),
+      gaps: sessionStats.gaps,
+      alerts: this.alerts.summary(),
+      findings: this.analyzer.summary(),
+      markers: this.markers.map(marker => ({ time: new Date(marker.time).toISOString(), label: marker.label }))
     };
   }
   
-  _calculateAverage(array) {
-    return array.reduce((a, b) => a + b, 0) / array.length;
+  // Write the summary as JSON next to the log ("<session>.summary.json").
+  // Returns the path, or null when not logging to a file.
+  writeSummary(summary = this.getSummary()) {
+    if (!this.logFile || !summary) return null;
+    
+    const file = this.logFile.summaryPath;
+    try {
+      fs.writeFileSync(file, JSON.stringify({ version: 1, ...summary }, null, 2));
+      return file;
+    } catch (err) {
+      console.error('Error writing summary:', err.message);
+      return null;
+    }
+  }
+  
+  // Mark the next sample, e.g. when a benchmark starts; returns the label
+  mark(label = null) {
+    this.pendingMarker = label || this.pendingMarker || `#${this.markers.length + 1}`;
+    return this.pendingMarker;
+  }
+  
+  // Poll at a new interval from now on
+  setInterval(interval) {
+    this.options.interval = interval;
+    this.sessionStats.interval = interval;
+  }
+  
+  // Finish the log: compress the last segment if configured and complete
+  // the index. Returns the path describing the session, or null.
+  close() {
+    if (this.dashboard) this.dashboard.stop();
+    if (!this.logFile) return null;
+    this.logFile.close();
+    return this.logFile.sessionPath;
+  }
+  
+  // Statistics of a series without readings
+  _emptyStats() {
+    const stats = { count: 0, min: null, avg: null, max: null, stddev: null };
+    TimeSeriesStore.PERCENTILES.forEach(p => { stats[`p${p}`] = null; });
+    return stats;
   }
 }
 
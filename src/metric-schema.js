@@ -0,0 +1,125 @@
+// Metric definitions for logs and displays
+//
+// The logger derives its CSV columns, JSON fields, table and text lines and
+// summary statistics from these definitions, so adding a metric only means
+// adding an entry here (and putting its value on the metrics sample).
+//
+// Scalar metrics, one value per sample:
+//   key        property on the metrics sample
+//   group      component it belongs to; a group is one line in the table
+//              view and one section in the summary
+//   label      name within the group; the CSV column is
+//              "<group> <label> (<unit>)"
+//   unit       display unit, '' for none
+//   precision  decimals in logs and on screen
+//   headline   shown in the CPU/GPU box of the table view instead of a group line
+//   compact    included in the one-line text output
+//   format     optional (value) => string for the table and text views
+//
+// Every log starts with a preamble describing the schema it was written
+// with (see describeSchema), so a reader can map columns back to metrics
+// even after definitions change. Logs without one are version 1, whose
+// columns match the defaults below.
+const SCHEMA_VERSION = 2;
+
+// KiB/s throughput, scaled to MiB/s when large
+function formatRate(kibPerSec) {
+  if (kibPerSec >= 1024) return `${(kibPerSec / 1024).toFixed(2)} MiB/s`;
+  return `${kibPerSec.toFixed(1)} KiB/s`;
+}
+
+// MiB, scaled to GiB when large
+function formatMiB(mib) {
+  if (mib >= 1024) return `${(mib / 1024).toFixed(1)} GiB`;
+  return `${mib.toFixed(0)} MiB`;
+}
+
+// Seconds as "1h 02m 03s", "4m 10s" or "12.0s"
+function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60).toString().padStart(2, '0');
+  return h > 0 ? `${h}h ${m.toString().padStart(2, '0')}m ${s}s` : `${m}m ${s}s`;
+}
+
+const DEFAULT_METRICS = [
+  { key: 'cpuUsage', group: 'CPU', label: 'Usage', unit: '%', precision: 2, headline: true },
+  { key: 'cpuTemp', group: 'CPU', label: 'Temp', unit: '°C', precision: 2, headline: true },
+  { key: 'gpuUsage', group: 'GPU', label: 'Usage', unit: '%', precision: 2, headline: true },
+  { key: 'gpuTemp', group: 'GPU', label: 'Temp', unit: '°C', precision: 2, headline: true },
+  { key: 'memUsage', group: 'Mem', label: 'Usage', unit: '%', precision: 2, compact: true },
+  { key: 'memUsed', group: 'Mem', label: 'Used', unit: 'MiB', precision: 2, format: formatMiB },
+  { key: 'memTotal', group: 'Mem', label: 'Total', unit: 'MiB', precision: 2, format: formatMiB },
+  { key: 'swapUsage', group: 'Swap', label: 'Usage', unit: '%', precision: 2, compact: true },
+  { key: 'swapUsed', group: 'Swap', label: 'Used', unit: 'MiB', precision: 2, format: formatMiB },
+  { key: 'swapTotal', group: 'Swap', label: 'Total', unit: 'MiB', precision: 2, format: formatMiB },
+  { key: 'diskRead', group: 'Disk', label: 'Read', unit: 'KiB/s', precision: 2, compact: true, format: formatRate },
+  { key: 'diskWrite', group: 'Disk', label: 'Write', unit: 'KiB/s', precision: 2, compact: true, format: formatRate },
+  { key: 'netRx', group: 'Net', label: 'Rx', unit: 'KiB/s', precision: 2, compact: true, format: formatRate },
+  { key: 'netTx', group: 'Net', label: 'Tx', unit: 'KiB/s', precision: 2, compact: true, format: formatRate }
+];
+
+// Per-GPU fields, by path into the GPU objects described in
+// providers/nvapi.js. Columns are "GPU<index> <label> (<unit>)".
+const GPU_FIELDS = [
+  { key: 'name', label: 'Name', unit: '', text: true },
+  { key: 'usage', label: 'Usage', unit: '%', precision: 2 },
+  { key: 'temperature', label: 'Temp', unit: '°C', precision: 2 },
+  { key: 'utilization.graphics', label: 'Graphics Util', unit: '%', precision: 2 },
+  { key: 'utilization.framebuffer', label: 'Framebuffer Util', unit: '%', precision: 2 },
+  { key: 'utilization.video', label: 'Video Util', unit: '%', precision: 2 },
+  { key: 'memory.used', label: 'Mem Used', unit: 'MiB', precision: 2 },
+  { key: 'memory.total', label: 'Mem Total', unit: 'MiB', precision: 2 },
+  { key: 'clocks.core', label: 'Core Clock', unit: 'MHz', precision: 2 },
+  { key: 'clocks.memory', label: 'Mem Clock', unit: 'MHz', precision: 2 },
+  { key: 'fanSpeed', label: 'Fan', unit: 'RPM', precision: 2 },
+  { key: 'fanPercent', label: 'Fan', unit: '%', precision: 2 },
+  { key: 'power', label: 'Power', unit: 'W', precision: 2 }
+];
+
+// "Label (unit)", or just the label for unitless fields
+function withUnit(label, unit) {
+  return unit ? `${label} (${unit})` : label;
+}
+
+function columnName(definition) {
+  return withUnit(`${definition.group} ${definition.label}`, definition.unit);
+}
+
+// Value with its unit for display, or N/A. Percent and degrees attach to
+// the number, other units are spaced.
+function formatMetric(definition, value) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return 'N/A';
+  if (definition.format) return definition.format(value);
+
+  const digits = definition.precision != null ? definition.precision : 2;
+  const unit = definition.unit || '';
+  const separator = unit === '' || unit === '%' || unit === '°C' ? '' : ' ';
+  return `${value.toFixed(digits)}${separator}${unit}`;
+}
+
+// The schema a log was written with, as stored in its preamble
+function describeSchema(metrics = DEFAULT_METRICS, gpuFields = GPU_FIELDS) {
+  const describe = ({ key, group, label, unit, precision }) => ({ key, group, label, unit, precision });
+  return {
+    format: 'hw-monitor',
+    version: SCHEMA_VERSION,
+    metrics: metrics.map(m => ({ ...describe(m), column: columnName(m) })),
+    gpuFields: gpuFields.map(f => ({
+      key: f.key, label: f.label, unit: f.unit, precision: f.precision, text: f.text, column: withUnit(f.label, f.unit)
+    }))
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  DEFAULT_METRICS,
+  GPU_FIELDS,
+  columnName,
+  withUnit,
+  formatMetric,
+  formatRate,
+  formatDuration,
+  describeSchema
+};
@@ -0,0 +1,292 @@
+// Minimal MQTT 3.1.1 client for publishing
+//
+// Only what the MQTT exporter needs: CONNECT with credentials and a last
+// will, QoS 0 PUBLISH (optionally retained), keepalive pings and a clean
+// DISCONNECT. Nothing is subscribed to. A dropped connection is retried with
+// exponential backoff; messages published while offline are dropped, since
+// every poll replaces the last one anyway.
+//
+// Connects to mqtt://[user:pass@]host[:port] or mqtts:// for TLS. Tests can
+// pass `createConnection` to return any duplex stream instead, such as one
+// end of an in-process broker.
+const net = require('net');
+const tls = require('tls');
+const { EventEmitter } = require('events');
+
+const PACKET = {
+  CONNECT: 1,
+  CONNACK: 2,
+  PUBLISH: 3,
+  PINGREQ: 12,
+  PINGRESP: 13,
+  DISCONNECT: 14
+};
+
+// CONNACK return codes
+const CONNACK_ERRORS = {
+  1: 'unacceptable protocol version',
+  2: 'client identifier rejected',
+  3: 'server unavailable',
+  4: 'bad user name or password',
+  5: 'not authorized'
+};
+
+class MqttError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'MqttError';
+    this.code = code;
+  }
+}
+
+// Length-prefixed UTF-8 string (or raw bytes for the will payload)
+function encodeString(value) {
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(data.length);
+  return Buffer.concat([length, data]);
+}
+
+// Fixed header: packet type and flags, then the remaining length as a
+// variable-length integer (7 bits per byte)
+function encodePacket(type, flags, body) {
+  const header = [(type << 4) | flags];
+  let length = body.length;
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    if (length > 0) byte |= 0x80;
+    header.push(byte);
+  } while (length > 0);
+  return Buffer.concat([Buffer.from(header), body]);
+}
+
+function encodeConnect({ clientId, username, password, keepalive, will }) {
+  let flags = 0x02; // clean session
+  const payload = [encodeString(clientId)];
+  if (will) {
+    flags |= 0x04 | (will.retain ? 0x20 : 0);
+    payload.push(encodeString(will.topic), encodeString(Buffer.from(String(will.payload), 'utf8')));
+  }
+  if (username != null) {
+    flags |= 0x80;
+    payload.push(encodeString(username));
+  }
+  if (password != null) {
+    flags |= 0x40;
+    payload.push(encodeString(password));
+  }
+  const variable = Buffer.concat([encodeString('MQTT'), Buffer.from([4, flags, keepalive >> 8, keepalive & 0xff])]);
+  return encodePacket(PACKET.CONNECT, 0, Buffer.concat([variable, ...payload]));
+}
+
+function encodePublish(topic, payload, retain) {
+  const body = Buffer.concat([encodeString(topic), Buffer.from(String(payload), 'utf8')]);
+  return encodePacket(PACKET.PUBLISH, retain ? 1 : 0, body);
+}
+
+// Split a buffer into complete packets; returns { packets, rest }
+function decodePackets(buffer) {
+  const packets = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    let length = 0;
+    let multiplier = 1;
+    let pos = offset + 1;
+    let complete = false;
+    while (pos < buffer.length && pos - offset <= 4) {
+      const byte = buffer[pos++];
+      length += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+      if (!(byte & 0x80)) {
+        complete = true;
+        break;
+      }
+    }
+    if (!complete || buffer.length - pos < length) break;
+    packets.push({ type: buffer[offset] >> 4, flags: buffer[offset] & 0x0f, body: buffer.subarray(pos, pos + length) });
+    offset = pos + length;
+  }
+  return { packets, rest: buffer.subarray(offset) };
+}
+
+class MqttClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const url = new URL(options.url || 'mqtt://localhost');
+    this.options = {
+      protocol: url.protocol.replace(':', ''),
+      host: url.hostname.replace(/^\[(.*)\]$/, '$1') || 'localhost',
+      port: Number(url.port) || (url.protocol === 'mqtts:' ? 8883 : 1883),
+      username: url.username ? decodeURIComponent(url.username) : undefined,
+      password: url.password ? decodeURIComponent(url.password) : undefined,
+      clientId: `statsentry-${process.pid}`,
+      keepalive: 60, // seconds between pings
+      connectTimeout: 10000, // ms for the broker to acknowledge CONNECT
+      reconnectDelay: 1000, // first reconnect backoff, doubled per failure
+      maxReconnectDelay: 60000,
+      will: null, // { topic, payload, retain }
+      createConnection: null, // () => duplex stream, instead of TCP/TLS
+      ...options
+    };
+
+    this.socket = null;
+    this.connected = false;
+    this.stopped = false;
+    this.buffer = Buffer.alloc(0);
+    this.reconnectDelay = this.options.reconnectDelay;
+    this.reconnectTimer = null;
+    this.connectTimer = null;
+    this.pingTimer = null;
+    this.awaitingPong = false;
+  }
+
+  // The broker address without credentials, for messages
+  get address() {
+    if (this.options.createConnection) return 'in-process broker';
+    const host = this.options.host.includes(':') ? `[${this.options.host}]` : this.options.host;
+    return `${this.options.protocol}://${host}:${this.options.port}`;
+  }
+
+  // Open the connection if it isn't open; emits 'connect' once the broker
+  // has accepted it
+  connect() {
+    if (this.socket || this.stopped || this.reconnectTimer) return;
+
+    const socket = this.options.createConnection
+      ? this.options.createConnection()
+      : this.options.protocol === 'mqtts'
+        ? tls.connect({ host: this.options.host, port: this.options.port, servername: this.options.host })
+        : net.connect({ host: this.options.host, port: this.options.port });
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+
+    socket.on('data', data => this._onData(socket, data));
+    socket.on('error', err => this._onClose(socket, new MqttError(err.message, err.code || 'ESOCKET')));
+    socket.on('close', () => this._onClose(socket, new MqttError('Connection closed', 'ECLOSED')));
+
+    this.connectTimer = setTimeout(() => {
+      this._drop(socket, new MqttError('Broker did not acknowledge the connection in time', 'ETIMEDOUT'));
+    }, this.options.connectTimeout);
+
+    socket.write(encodeConnect(this.options));
+  }
+
+  // Publish at QoS 0; returns false if the message was dropped while offline
+  publish(topic, payload, { retain = false } = {}) {
+    if (!this.connected) return false;
+    this.socket.write(encodePublish(topic, payload, retain));
+    return true;
+  }
+
+  // Disconnect for good. A clean DISCONNECT stops the broker from sending
+  // the last will, so publish any farewell message before calling this.
+  end() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    const socket = this.socket;
+    if (!socket) return Promise.resolve();
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        socket.destroy();
+        resolve();
+      }, 1000);
+      timer.unref();
+      socket.once('close', done);
+      if (this.connected) {
+        socket.end(encodePacket(PACKET.DISCONNECT, 0, Buffer.alloc(0)));
+      } else {
+        socket.destroy();
+      }
+      this._reset();
+    });
+  }
+
+  _onData(socket, data) {
+    if (socket !== this.socket) return;
+    const { packets, rest } = decodePackets(Buffer.concat([this.buffer, data]));
+    this.buffer = rest;
+    packets.forEach(packet => this._onPacket(socket, packet));
+  }
+
+  _onPacket(socket, packet) {
+    if (packet.type === PACKET.CONNACK) {
+      clearTimeout(this.connectTimer);
+      const code = packet.body[1];
+      if (code !== 0) {
+        this._drop(socket, new MqttError(`Broker refused the connection: ${CONNACK_ERRORS[code] || `code ${code}`}`, 'ECONNREFUSED'));
+        return;
+      }
+      this.connected = true;
+      this.reconnectDelay = this.options.reconnectDelay;
+      this._startPing(socket);
+      this.emit('connect');
+    } else if (packet.type === PACKET.PINGRESP) {
+      this.awaitingPong = false;
+    }
+    // Nothing is subscribed to, so other packets are ignored
+  }
+
+  // Ping every keepalive period; no answer by the next ping means the
+  // connection is dead even if the socket hasn't noticed
+  _startPing(socket) {
+    if (!this.options.keepalive) return;
+    this.pingTimer = setInterval(() => {
+      if (this.awaitingPong) {
+        this._drop(socket, new MqttError('Broker stopped answering pings', 'ETIMEDOUT'));
+        return;
+      }
+      this.awaitingPong = true;
+      socket.write(encodePacket(PACKET.PINGREQ, 0, Buffer.alloc(0)));
+    }, this.options.keepalive * 1000);
+    this.pingTimer.unref();
+  }
+
+  _drop(socket, reason) {
+    if (socket !== this.socket) return;
+    socket.destroy();
+    this._onClose(socket, reason);
+  }
+
+  _onClose(socket, reason) {
+    if (socket !== this.socket) return;
+    const wasConnected = this.connected;
+    this._reset();
+    this.emit('close', reason, wasConnected);
+    this._scheduleReconnect();
+  }
+
+  _reset() {
+    clearTimeout(this.connectTimer);
+    clearInterval(this.pingTimer);
+    this.socket = null;
+    this.connected = false;
+    this.awaitingPong = false;
+  }
+
+  // Reconnect with exponential backoff; the delay resets once the broker
+  // accepts a connection
+  _scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) return;
+
+    const delay = this.reconnectDelay;
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.options.maxReconnectDelay);
+    this.emit('reconnecting', delay);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+}
+
+MqttClient.decodePackets = decodePackets;
+
+module.exports = MqttClient;
+module.exports.MqttError = MqttError;
@@ -0,0 +1,21 @@
+// Loader for the optional native addon (PDH CPU usage, NVAPI GPU metrics)
+const path = require('path');
+
+const ADDON_PATH = path.join(__dirname, '..', 'build', 'Release', 'hardware_monitor.node');
+
+// Returns the addon, or null if it hasn't been built (no node-gyp/MSVC) or
+// can't load on this platform. The load error is kept for diagnostics.
+function loadNativeAddon(addonPath = ADDON_PATH) {
+  try {
+    return require(addonPath);
+  } catch (err) {
+    loadNativeAddon.lastError = err;
+    return null;
+  }
+}
+
+loadNativeAddon.lastError = null;
+
+module.exports = {
+  loadNativeAddon
+};
@@ -0,0 +1,70 @@
+// Command channel: runs a local command for each alert
+//
+// The command runs through the shell with the alert in environment
+// variables: STATSENTRY_ALERT_NAME, _SEVERITY, _STATE (firing, resolved or
+// test), _KEY, _VALUE, _PEAK, _THRESHOLD, _SINCE, _TIME, _DURATION, _HOST
+// and _MESSAGE, plus STATSENTRY_ALERT with the whole context as JSON. A
+// script can check STATSENTRY_ALERT_STATE to pause a render job on firing
+// and resume it on resolved. A non-zero exit status counts as a failure.
+const { spawn } = require('child_process');
+
+const ENV_FIELDS = ['name', 'severity', 'state', 'key', 'value', 'peak', 'threshold', 'since', 'time', 'duration', 'host', 'message'];
+
+function alertEnvironment(context) {
+  const env = { STATSENTRY_ALERT: JSON.stringify(context) };
+  ENV_FIELDS.forEach(field => {
+    env[`STATSENTRY_ALERT_${field.toUpperCase()}`] = context[field] == null ? '' : String(context[field]);
+  });
+  return env;
+}
+
+function createCommandChannel(name, options = {}) {
+  if (!options.command) {
+    throw new Error(`Channel "${name}": command channel needs a "command"`);
+  }
+  const timeout = options.timeout || 30000;
+
+  return {
+    name,
+    type: 'command',
+    description: options.command,
+    send(context) {
+      return new Promise((resolve, reject) => {
+        const child = spawn(options.command, {
+          shell: true,
+          cwd: options.cwd,
+          env: { ...process.env, ...alertEnvironment(context) },
+          stdio: ['ignore', 'ignore', 'pipe'],
+          windowsHide: true
+        });
+        let stderr = '';
+        child.stderr.on('data', data => { stderr = (stderr + data).slice(-500); });
+
+        const timer = setTimeout(() => {
+          child.kill();
+          const err = new Error(`Command timed out after ${timeout}ms`);
+          err.retryable = true;
+          reject(err);
+        }, timeout);
+
+        child.on('error', err => {
+          clearTimeout(timer);
+          reject(err);
+        });
+        child.on('exit', (code, signal) => {
+          clearTimeout(timer);
+          if (code === 0) {
+            resolve();
+            return;
+          }
+          const detail = stderr.trim().split(/\r?\n/).pop();
+          const err = new Error(`Command exited with ${signal ? `signal ${signal}` : `code ${code}`}${detail ? `: ${detail}` : ''}`);
+          err.retryable = true;
+          reject(err);
+        });
+      });
+    }
+  };
+}
+
+module.exports = { createCommandChannel, alertEnvironment };
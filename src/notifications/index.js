@@ -0,0 +1,247 @@
+// Alert notification channels
+//
+// Channels are named in a JSON file passed with --channels:
+//   {
+//     "channels": {
+//       "ops": { "type": "webhook", "url": "https://hooks.example.com/...", "body": { "text": "{{message}}" } },
+//       "pause-render": { "type": "command", "command": "pause-render.cmd", "minSeverity": "critical" },
+//       "journal": { "type": "journal", "file": "logs/alerts.jsonl" }
+//     }
+//   }
+// and alert rules route to them with `notify NAME,...` (all channels when a
+// rule doesn't say). Every channel also takes:
+//   rateLimit    "10/10m": at most 10 notifications per 10 minutes (default);
+//                the next one sent reports how many were suppressed
+//   dedup        "5m": the same alert in the same state is sent once per
+//                window (default 5m, "0" to send every transition)
+//   retries      attempts after the first failure (default 3)
+//   retryDelay   "1s": first backoff, doubled per attempt up to a minute
+//   minSeverity  info, warning or critical (default info)
+//
+// Each channel sends one notification at a time, in order, so a resolved
+// alert never overtakes its firing one.
+const fs = require('fs');
+const os = require('os');
+const { EventEmitter } = require('events');
+const AlertEngine = require('../alerts');
+const { formatDuration } = require('../metric-schema');
+const { createWebhookChannel } = require('./webhook');
+const { createCommandChannel } = require('./command');
+const { createJournalChannel } = require('./journal');
+
+const CHANNEL_TYPES = {
+  webhook: createWebhookChannel,
+  command: createCommandChannel,
+  journal: createJournalChannel
+};
+
+const MAX_RETRY_DELAY = 60000;
+
+// "10/10m" -> { count: 10, per: 600000 }; null if invalid
+function parseRateLimit(value) {
+  const match = String(value).trim().match(/^(\d+)\s*\/\s*(\S+)$/);
+  const per = match && AlertEngine.parseDuration(match[2]);
+  return match && per ? { count: Number(match[1]), per } : null;
+}
+
+// Channel and delivery policy from one entry of the config file
+function createChannel(name, config) {
+  const factory = CHANNEL_TYPES[config.type];
+  if (!factory) {
+    throw new Error(`Channel "${name}": unknown type "${config.type}" (expected ${Object.keys(CHANNEL_TYPES).join(', ')})`);
+  }
+  const option = (key, parse, fallback) => {
+    if (config[key] === undefined) return fallback;
+    const value = parse(config[key]);
+    if (value === null || value === undefined) throw new Error(`Channel "${name}": invalid ${key} "${config[key]}"`);
+    return value;
+  };
+
+  return {
+    channel: factory(name, config),
+    rateLimit: option('rateLimit', parseRateLimit, { count: 10, per: 600000 }),
+    dedup: option('dedup', AlertEngine.parseDuration, 300000),
+    retries: option('retries', v => (Number.isInteger(v) && v >= 0 ? v : null), 3),
+    retryDelay: option('retryDelay', AlertEngine.parseDuration, 1000),
+    minSeverity: option('minSeverity', v => (AlertEngine.SEVERITIES.includes(v) ? v : null), 'info')
+  };
+}
+
+// Channels from a --channels file
+function loadChannels(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read ${file}: ${err.message}`);
+  }
+  const channels = (config && config.channels) || {};
+  return Object.keys(channels).map(name => createChannel(name, channels[name]));
+}
+
+// Emits 'sent' (name, context), 'failed' (name, error, context), 'retry'
+// (name, error, delay) and 'suppressed' (name, reason, context) where reason
+// is 'duplicate' or 'rate limit'
+class Notifier extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.hostname = options.hostname || os.hostname();
+    this.seriesUnit = options.seriesUnit || (() => ''); // key -> display unit
+    this.channels = (options.channels || []).map(entry => ({
+      ...entry,
+      name: entry.channel.name,
+      queue: Promise.resolve(), // deliveries in order
+      sent: [], // wall-clock times of recent notifications, for the rate limit
+      lastSent: new Map(), // "<alert>|<state>|<since>" -> time, for de-duplication
+      firing: new Map(), // alert name -> since of the firing that went out, owed its resolved
+      suppressed: 0 // dropped by the rate limit since the last delivery
+    }));
+  }
+
+  has(name) {
+    return this.channels.some(entry => entry.name === name);
+  }
+
+  // Route an alert transition ('firing' or 'resolved') to its channels
+  notify(alert, state) {
+    const context = this._context(alert, state);
+    const now = Date.now();
+
+    this.channels
+      .filter(entry => !alert.notify || alert.notify.includes(entry.name))
+      .filter(entry => AlertEngine.SEVERITIES.indexOf(alert.severity) >= AlertEngine.SEVERITIES.indexOf(entry.minSeverity))
+      .forEach(entry => {
+        // Keyed by episode: the next firing of the same alert is news even
+        // within the window
+        const dedupKey = `${alert.name}|${state}|${alert.since}`;
+        for (const [key, time] of entry.lastSent) {
+          if (now - time >= entry.dedup) entry.lastSent.delete(key);
+        }
+        entry.sent = entry.sent.filter(time => now - time < entry.rateLimit.per);
+
+        // A resolved whose firing went out is always sent, so the receiver
+        // isn't left with an alert that never ends
+        const owed = state === 'resolved' && entry.firing.get(alert.name) === alert.since;
+        if (!owed) {
+          if (entry.lastSent.has(dedupKey)) {
+            this.emit('suppressed', entry.name, 'duplicate', context);
+            return;
+          }
+          if (entry.sent.length >= entry.rateLimit.count) {
+            entry.suppressed++;
+            this.emit('suppressed', entry.name, 'rate limit', context);
+            return;
+          }
+        }
+        // Counted from when it is queued, so a transition repeated while the
+        // first is still being delivered is a duplicate too
+        entry.sent.push(now);
+        entry.lastSent.set(dedupKey, now);
+        if (state === 'firing') entry.firing.set(alert.name, alert.since);
+        if (owed) entry.firing.delete(alert.name);
+
+        const delivery = { ...context, suppressed: entry.suppressed };
+        entry.suppressed = 0;
+        this._enqueue(entry, delivery).then(error => {
+          if (!error) return;
+          // Nothing was sent: give back the slot and let the next transition
+          // through, still owing the suppressed count
+          if (entry.lastSent.get(dedupKey) === now) entry.lastSent.delete(dedupKey);
+          if (state === 'firing' && entry.firing.get(alert.name) === alert.since) entry.firing.delete(alert.name);
+          const slot = entry.sent.indexOf(now);
+          if (slot !== -1) entry.sent.splice(slot, 1);
+          entry.suppressed += delivery.suppressed;
+        });
+      });
+  }
+
+  // Send a test notification through every channel, or the named ones,
+  // ignoring rate limits and de-duplication. Resolves with
+  // [{ name, type, ok, error }].
+  test(names = null) {
+    const entries = this.channels.filter(entry => !names || names.includes(entry.name));
+    const context = this._context({
+      name: 'Test notification',
+      severity: 'info',
+      key: null,
+      value: null,
+      peak: null,
+      threshold: null,
+      since: Date.now(),
+      time: Date.now(),
+      duration: 0
+    }, 'test');
+
+    return Promise.all(entries.map(entry => this._enqueue(entry, context)
+      .then(error => ({ name: entry.name, type: entry.channel.type, ok: !error, error }))));
+  }
+
+  // Resolves once every queued notification is delivered or given up on
+  flush() {
+    return Promise.all(this.channels.map(entry => entry.queue)).then(() => {});
+  }
+
+  // Queue a delivery; resolves with null when sent, or the last error
+  _enqueue(entry, context) {
+    const delivery = entry.queue.then(() => this._deliver(entry, context));
+    entry.queue = delivery.then(() => {});
+    return delivery;
+  }
+
+  // Send with retries, backing off exponentially; errors flagged as not
+  // retryable (e.g. a webhook answering 400) fail at once
+  async _deliver(entry, context) {
+    let delay = entry.retryDelay;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await entry.channel.send(context);
+        this.emit('sent', entry.name, context);
+        return null;
+      } catch (err) {
+        if (err.retryable === false || attempt >= entry.retries) {
+          this.emit('failed', entry.name, err, context);
+          return err;
+        }
+        this.emit('retry', entry.name, err, delay);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay = Math.min(delay * 2, MAX_RETRY_DELAY);
+      }
+    }
+  }
+
+  // Everything a channel may use: template fields, environment variables
+  _context(alert, state) {
+    const unit = alert.key ? this.seriesUnit(alert.key) : '';
+    const format = value => (typeof value === 'number' ? `${value.toFixed(2)}${unit === '%' || unit === '°C' ? unit : unit ? ` ${unit}` : ''}` : '');
+    const severity = alert.severity.toUpperCase();
+    const message = state === 'test'
+      ? `[TEST] Test notification from StatSentry on ${this.hostname}`
+      : state === 'firing'
+        ? `[${severity}] ${alert.name} on ${this.hostname}: ${format(alert.value)}`
+        : `[RESOLVED] ${alert.name} on ${this.hostname} after ${formatDuration(alert.duration)} (peak ${format(alert.peak)})`;
+
+    return {
+      name: alert.name,
+      severity: alert.severity,
+      state,
+      key: alert.key,
+      value: alert.value,
+      peak: alert.peak,
+      threshold: alert.threshold,
+      unit,
+      since: new Date(alert.since).toISOString(),
+      time: new Date(alert.time).toISOString(),
+      duration: alert.duration,
+      host: this.hostname,
+      message,
+      test: state === 'test'
+    };
+  }
+}
+
+Notifier.CHANNEL_TYPES = Object.keys(CHANNEL_TYPES);
+Notifier.createChannel = createChannel;
+Notifier.loadChannels = loadChannels;
+Notifier.parseRateLimit = parseRateLimit;
+
+module.exports = Notifier;
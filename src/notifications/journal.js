@@ -0,0 +1,40 @@
+// Journal channel: appends each alert as a JSON line to a file
+//
+// The file is only ever appended to, so it doubles as an audit trail of
+// what fired and when. Relative paths are relative to the working directory.
+const fs = require('fs');
+const path = require('path');
+
+function createJournalChannel(name, options = {}) {
+  if (!options.file) {
+    throw new Error(`Channel "${name}": journal channel needs a "file"`);
+  }
+  const file = path.resolve(options.file);
+
+  return {
+    name,
+    type: 'journal',
+    description: file,
+    send(context) {
+      return new Promise((resolve, reject) => {
+        fs.mkdir(path.dirname(file), { recursive: true }, mkdirErr => {
+          if (mkdirErr) {
+            mkdirErr.retryable = true;
+            reject(mkdirErr);
+            return;
+          }
+          fs.appendFile(file, JSON.stringify({ logged: new Date().toISOString(), ...context }) + '\n', err => {
+            if (err) {
+              err.retryable = true;
+              reject(err);
+            } else {
+              resolve();
+            }
+          });
+        });
+      });
+    }
+  };
+}
+
+module.exports = { createJournalChannel };
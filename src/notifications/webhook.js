@@ -0,0 +1,80 @@
+// Webhook channel: POSTs the alert as JSON
+//
+// Without a `body` template the whole alert context is sent. A template is
+// any JSON value whose strings may contain {{field}} placeholders; a string
+// that is exactly one placeholder takes the field's own type, so numbers
+// stay numbers:
+//   { "text": "{{message}}", "value": "{{value}}" }
+const http = require('http');
+const https = require('https');
+
+// Answers worth trying again; anything else is the request's fault
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+// Fill {{field}} placeholders in every string of a JSON template
+function renderTemplate(template, context) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*(\w+)\s*\}\}$/);
+    if (whole) return context[whole[1]] !== undefined ? context[whole[1]] : null;
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, field) => (context[field] == null ? '' : String(context[field])));
+  }
+  if (Array.isArray(template)) return template.map(item => renderTemplate(item, context));
+  if (template && typeof template === 'object') {
+    const result = {};
+    Object.keys(template).forEach(key => { result[key] = renderTemplate(template[key], context); });
+    return result;
+  }
+  return template;
+}
+
+function createWebhookChannel(name, options = {}) {
+  if (!options.url || !/^https?:\/\//.test(options.url)) {
+    throw new Error(`Channel "${name}": webhook needs an http(s) "url"`);
+  }
+  const url = new URL(options.url);
+  const method = (options.method || 'POST').toUpperCase();
+  const headers = options.headers || {};
+  const timeout = options.timeout || 10000;
+
+  return {
+    name,
+    type: 'webhook',
+    description: `${method} ${url.origin}${url.pathname}`,
+    send(context) {
+      const body = JSON.stringify(options.body !== undefined ? renderTemplate(options.body, context) : context);
+      const transport = url.protocol === 'https:' ? https : http;
+      return new Promise((resolve, reject) => {
+        const req = transport.request(url, {
+          method,
+          headers: {
+            ...headers,
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body)
+          },
+          timeout
+        }, res => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+              resolve();
+              return;
+            }
+            const text = Buffer.concat(chunks).toString().trim().slice(0, 200);
+            const err = new Error(`Webhook answered ${res.statusCode}${text ? `: ${text}` : ''}`);
+            err.retryable = RETRYABLE_STATUS.includes(res.statusCode);
+            reject(err);
+          });
+        });
+        req.on('timeout', () => req.destroy(new Error(`Webhook timed out after ${timeout}ms`)));
+        req.on('error', err => {
+          err.retryable = true;
+          reject(err);
+        });
+        req.end(body);
+      });
+    }
+  };
+}
+
+module.exports = { createWebhookChannel, renderTemplate };
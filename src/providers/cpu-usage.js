@@ -0,0 +1,131 @@
+// CPU usage providers: PDH through the native addon, with pure-JS fallbacks.
+// Each reading is the overall utilisation with the per-logical-core
+// utilisation attached as details.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Utilisation between two { idle, total } tick snapshots, in percent
+function usageBetween(previous, current) {
+  const total = current.total - previous.total;
+  const idle = current.idle - previous.idle;
+  if (total <= 0) return 0;
+  return Math.min(100, Math.max(0, (1 - idle / total) * 100));
+}
+
+// Parse the "cpu" and "cpuN" lines of /proc/stat into { total, cores }
+// snapshots. Fields are user nice system idle iowait irq softirq steal guest
+// guest_nice; guest time is already included in user/nice so it isn't added
+// again.
+function parseProcStat(content) {
+  let total = null;
+  const cores = [];
+
+  for (const line of content.split('\n')) {
+    const match = line.match(/^cpu(\d*)\s+(.*)$/);
+    if (!match) continue;
+
+    const fields = match[2].trim().split(/\s+/).map(Number);
+    const [user, nice, system, idle, iowait = 0, irq = 0, softirq = 0, steal = 0] = fields;
+    const times = {
+      idle: idle + iowait,
+      total: user + nice + system + idle + iowait + irq + softirq + steal
+    };
+
+    if (match[1] === '') {
+      total = times;
+    } else {
+      cores[parseInt(match[1], 10)] = times;
+    }
+  }
+
+  // An offline core leaves a gap in the numbering; keep it as null so the
+  // array stays dense and core N stays at index N
+  return total ? { total, cores: Array.from(cores, core => core || null) } : null;
+}
+
+// Same snapshots built from os.cpus()
+function readOsCpuTimes() {
+  const cores = os.cpus().map(cpu => {
+    const { user, nice, sys, idle, irq } = cpu.times;
+    return { idle, total: user + nice + sys + idle + irq };
+  });
+
+  const total = cores.reduce((acc, core) => {
+    acc.idle += core.idle;
+    acc.total += core.total;
+    return acc;
+  }, { idle: 0, total: 0 });
+
+  return { total, cores };
+}
+
+// Tracks tick snapshots between calls. The first call reports the average
+// since boot, later calls the utilisation since the previous call.
+function createSampler(readTimes) {
+  const zero = { idle: 0, total: 0 };
+  let previous = { total: zero, cores: [] };
+
+  return () => {
+    const current = readTimes();
+    if (!current) return null;
+
+    const reading = {
+      value: usageBetween(previous.total, current.total),
+      // Cores can come and go (CPU hotplug); a new core starts from zero
+      details: current.cores.map((core, i) => (core ? usageBetween(previous.cores[i] || zero, core) : null))
+    };
+    previous = current;
+    return reading;
+  };
+}
+
+// PDH "\Processor(_Total)\% Processor Time", same as Task Manager, plus
+// "\Processor(*)" per core when the addon exports it
+function createPdhProvider(native) {
+  return {
+    name: 'pdh',
+    metric: 'cpuUsage',
+    platform: 'win32',
+    priority: 10,
+    probe: async () => ({
+      value: native.getCpuUsage(),
+      details: typeof native.getCpuCoreUsage === 'function' ? native.getCpuCoreUsage() : null
+    })
+  };
+}
+
+// /proc/stat deltas on Linux
+function createProcStatProvider(options = {}) {
+  const statPath = path.join(options.procRoot || '/proc', 'stat');
+  const sample = createSampler(() => parseProcStat(fs.readFileSync(statPath, 'utf8')));
+
+  return {
+    name: 'proc-stat',
+    metric: 'cpuUsage',
+    platform: 'linux',
+    priority: 20,
+    probe: async () => sample()
+  };
+}
+
+// os.cpus() deltas, available everywhere Node runs
+function createOsCpusProvider() {
+  const sample = createSampler(readOsCpuTimes);
+
+  return {
+    name: 'os-cpus',
+    metric: 'cpuUsage',
+    platform: '*',
+    priority: 30,
+    probe: async () => sample()
+  };
+}
+
+module.exports = {
+  parseProcStat,
+  usageBetween,
+  createPdhProvider,
+  createProcStatProvider,
+  createOsCpusProvider
+};
@@ -0,0 +1,89 @@
+// Built-in sensor providers
+const windows = require('./windows');
+const linuxHwmon = require('./linux-hwmon');
+const cpuUsage = require('./cpu-usage');
+const { createNvapiProvider } = require('./nvapi');
+const { createNvidiaSmiProvider } = require('./nvidia-smi');
+const { createDrmProvider } = require('./linux-drm');
+const system = require('./system');
+const { createSimulatedCpuTempProvider } = require('./simulated');
+const { createSyntheticProviders } = require('./synthetic');
+
+// Register every built-in provider. Providers for other platforms are
+// registered too; the registry skips them when probing. Pass the loaded
+// native addon as `options.native` to enable the PDH and NVAPI backends, and
+// `options.sensorTree` to have the bridge open every hardware type.
+function registerDefaultProviders(registry, options = {}) {
+  if (options.native) {
+    registry.register(cpuUsage.createPdhProvider(options.native));
+    registry.register(createNvapiProvider(options.native));
+  }
+  registry.register(cpuUsage.createProcStatProvider({ procRoot: options.procRoot }));
+  registry.register(cpuUsage.createOsCpusProvider());
+  registry.register(createNvidiaSmiProvider({ command: options.nvidiaSmiPath }));
+  registry.register(createDrmProvider({ sysfsRoot: options.sysfsRoot }));
+
+  // Both LibreHardwareMonitor providers share one bridge process. The full
+  // sensor tree (GPU, storage, network...) is only opened on request since
+  // it makes every bridge read slower.
+  const bridge = windows.createBridgeSession({ exePath: options.bridgePath, full: options.sensorTree });
+  registry.register(windows.createLibreHardwareMonitorProvider({ session: bridge }));
+  registry.register(windows.createLibreHardwareMonitorTreeProvider({ session: bridge }));
+  registry.register(windows.createWmiThermalZoneProvider());
+  registry.register(windows.createWmiTemperatureProbeProvider());
+  registry.register(windows.createWmiThermalZoneInformationProvider());
+  registry.register(windows.createPowerShellCimProvider());
+  registry.register(linuxHwmon.createHwmonProvider({ sysfsRoot: options.sysfsRoot }));
+  registry.register(linuxHwmon.createThermalZoneProvider({ sysfsRoot: options.sysfsRoot }));
+  registry.register(createSimulatedCpuTempProvider());
+
+  registry.register(system.createMemoryProvider());
+  registry.register(system.createDiskIoProvider());
+  registry.register(system.createNetworkProvider());
+  return registry;
+}
+
+// Every GPU on the machine, e.g. an NVIDIA card next to an Intel iGPU. Each
+// vendor comes from its first provider with a reading (NVAPI, else
+// nvidia-smi, for NVIDIA; DRM for AMD and Intel), and the GPUs are numbered
+// 0, 1... in that order since each source numbers its own from 0. Resolves
+// to a registry reading with the providers joined by '+', or null.
+async function readGpus(registry, context = {}) {
+  const covered = new Set();
+  const readings = [];
+
+  for (const provider of registry.list('gpus')) {
+    if (provider.vendors && provider.vendors.every(vendor => covered.has(vendor))) continue;
+
+    const reading = await registry.readFrom(provider, context);
+    if (!reading) continue;
+    const gpus = reading.value.filter(gpu => !covered.has(gpu.vendor));
+    if (gpus.length === 0) continue;
+
+    gpus.forEach(gpu => covered.add(gpu.vendor));
+    readings.push({ ...reading, value: gpus });
+  }
+
+  if (readings.length === 0) return null;
+  return {
+    value: readings.flatMap(reading => reading.value).map((gpu, index) => ({ ...gpu, index })),
+    details: null,
+    provider: readings.map(reading => reading.provider).join('+'),
+    simulated: readings.some(reading => reading.simulated)
+  };
+}
+
+// Register only the synthetic CPU and GPU providers (see synthetic.js), so
+// every reading comes from the chosen profile and nothing falls through to
+// real hardware when a synthetic sensor drops out. Options: profile, seed,
+// interval, cores, gpus.
+function registerSyntheticProviders(registry, options = {}) {
+  createSyntheticProviders(options).forEach(provider => registry.register(provider));
+  return registry;
+}
+
+module.exports = {
+  readGpus,
+  registerDefaultProviders,
+  registerSyntheticProviders
+};
@@ -0,0 +1,140 @@
+// AMD and Intel GPU provider backed by Linux DRM sysfs
+// (/sys/class/drm/card*/device). NVIDIA cards are left to NVAPI/nvidia-smi.
+const path = require('path');
+const { DEFAULT_SYSFS_ROOT, readAttribute, readNumber, listDir } = require('./sysfs');
+const { readHwmonTemps } = require('./linux-hwmon');
+
+const VENDORS = {
+  '0x1002': 'amd',
+  '0x8086': 'intel',
+  '0x10de': 'nvidia'
+};
+
+const MIB = 1024 * 1024;
+
+// The active level of a pp_dpm_* table, marked with '*':
+//   0: 500Mhz
+//   1: 1800Mhz *
+function parseDpmClock(content) {
+  if (!content) return null;
+  const active = content.split('\n').find(line => line.trim().endsWith('*'));
+  if (!active) return null;
+  const match = active.match(/(\d+)\s*Mhz/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// First hwmon node under the device, where amdgpu (and discrete Intel cards)
+// expose temperature, fan and power
+function findHwmon(deviceDir) {
+  const hwmonDir = path.join(deviceDir, 'hwmon');
+  const [first] = listDir(hwmonDir).filter(name => name.startsWith('hwmon')).sort();
+  return first ? path.join(hwmonDir, first) : null;
+}
+
+// Temperature, fan and power from a GPU hwmon node. amdgpu labels its
+// temperatures edge/junction/mem; edge is the one comparable to other GPUs.
+function readHwmon(hwmon) {
+  const result = { temperature: null, fanSpeed: null, power: null };
+  if (!hwmon) return result;
+
+  const temps = readHwmonTemps(hwmon);
+  const edge = temps.find(temp => temp.label === 'edge') || temps[0];
+  if (edge) result.temperature = edge.value;
+
+  result.fanSpeed = readNumber(path.join(hwmon, 'fan1_input'));
+
+  // Power in microwatts; older kernels only have the average
+  const microwatts = readNumber(path.join(hwmon, 'power1_input')) ?? readNumber(path.join(hwmon, 'power1_average'));
+  if (microwatts !== null) result.power = microwatts / 1e6;
+
+  return result;
+}
+
+function readAmdGpu(cardDir, deviceDir, gpu) {
+  gpu.name = readAttribute(path.join(deviceDir, 'product_name')) || gpu.name;
+  gpu.utilization.graphics = readNumber(path.join(deviceDir, 'gpu_busy_percent'));
+  gpu.utilization.framebuffer = readNumber(path.join(deviceDir, 'mem_busy_percent'));
+  gpu.usage = gpu.utilization.graphics;
+
+  const vramUsed = readNumber(path.join(deviceDir, 'mem_info_vram_used'));
+  const vramTotal = readNumber(path.join(deviceDir, 'mem_info_vram_total'));
+  gpu.memory.used = vramUsed !== null ? vramUsed / MIB : null;
+  gpu.memory.total = vramTotal !== null ? vramTotal / MIB : null;
+
+  gpu.clocks.core = parseDpmClock(readAttribute(path.join(deviceDir, 'pp_dpm_sclk')));
+  gpu.clocks.memory = parseDpmClock(readAttribute(path.join(deviceDir, 'pp_dpm_mclk')));
+}
+
+// Intel only exposes frequencies: i915 on the card node, xe per GT tile
+function readIntelGpu(cardDir, deviceDir, gpu) {
+  gpu.clocks.core = readNumber(path.join(cardDir, 'gt_act_freq_mhz'))
+    ?? readNumber(path.join(cardDir, 'gt_cur_freq_mhz'))
+    ?? readNumber(path.join(deviceDir, 'tile0', 'gt0', 'freq0', 'act_freq'))
+    ?? readNumber(path.join(deviceDir, 'tile0', 'gt0', 'freq0', 'cur_freq'));
+}
+
+// Every AMD/Intel card under <root>/class/drm, in the shared GPU shape
+// (see nvapi.js)
+function readDrmGpus(sysfsRoot = DEFAULT_SYSFS_ROOT) {
+  const drmDir = path.join(sysfsRoot, 'class', 'drm');
+  const gpus = [];
+
+  // card0, card1... but not connectors such as card0-DP-1
+  const cards = listDir(drmDir)
+    .filter(name => /^card\d+$/.test(name))
+    .sort((a, b) => parseInt(a.slice(4), 10) - parseInt(b.slice(4), 10));
+
+  for (const card of cards) {
+    const cardDir = path.join(drmDir, card);
+    const deviceDir = path.join(cardDir, 'device');
+    const vendor = VENDORS[readAttribute(path.join(deviceDir, 'vendor'))];
+    if (vendor !== 'amd' && vendor !== 'intel') continue;
+
+    const gpu = {
+      index: parseInt(card.slice(4), 10),
+      name: `${vendor === 'amd' ? 'AMD' : 'Intel'} GPU (${card})`,
+      vendor,
+      usage: null,
+      temperature: null,
+      utilization: { graphics: null, framebuffer: null, video: null },
+      memory: { used: null, total: null },
+      clocks: { core: null, memory: null },
+      fanSpeed: null,
+      fanPercent: null,
+      power: null
+    };
+
+    if (vendor === 'amd') {
+      readAmdGpu(cardDir, deviceDir, gpu);
+    } else {
+      readIntelGpu(cardDir, deviceDir, gpu);
+    }
+
+    Object.assign(gpu, readHwmon(findHwmon(deviceDir)));
+    gpus.push(gpu);
+  }
+
+  return gpus;
+}
+
+function createDrmProvider(options = {}) {
+  const sysfsRoot = options.sysfsRoot || DEFAULT_SYSFS_ROOT;
+
+  return {
+    name: 'linux-drm',
+    metric: 'gpus',
+    platform: 'linux',
+    priority: 30,
+    vendors: ['amd', 'intel'],
+    probe: async () => {
+      const gpus = readDrmGpus(sysfsRoot);
+      return gpus.length > 0 ? gpus : null;
+    }
+  };
+}
+
+module.exports = {
+  parseDpmClock,
+  readDrmGpus,
+  createDrmProvider
+};
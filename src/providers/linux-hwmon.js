@@ -0,0 +1,159 @@
+// Linux CPU temperature providers backed by sysfs (hwmon and thermal zones)
+const path = require('path');
+const { DEFAULT_SYSFS_ROOT, readAttribute, listDir } = require('./sysfs');
+
+// Chips that report the CPU package/die temperature
+const CPU_CHIPS = ['k10temp', 'zenpower', 'coretemp', 'cpu_thermal', 'cpu-thermal'];
+
+// Thermal zone types that track the CPU, in order of preference
+const CPU_ZONE_TYPES = ['x86_pkg_temp', 'cpu-thermal', 'cpu_thermal', 'soc_thermal', 'acpitz'];
+
+// sysfs reports millidegrees Celsius
+function parseMilliCelsius(raw) {
+  if (raw === null) return null;
+  const value = parseInt(raw, 10);
+  if (isNaN(value)) return null;
+  const celsius = value / 1000;
+  return celsius > 0 && celsius < 120 ? celsius : null;
+}
+
+// The plausible temperatures of one hwmon node in temp1, temp2... temp10
+// order, e.g. [{ label: 'Tctl', value: 54.25 }]
+function readHwmonTemps(deviceDir) {
+  const inputs = listDir(deviceDir)
+    .filter(file => /^temp\d+_input$/.test(file))
+    .sort((a, b) => parseInt(a.slice(4), 10) - parseInt(b.slice(4), 10));
+  const temps = [];
+
+  for (const input of inputs) {
+    const value = parseMilliCelsius(readAttribute(path.join(deviceDir, input)));
+    if (value === null) continue;
+
+    const prefix = input.replace('_input', '');
+    const label = readAttribute(path.join(deviceDir, `${prefix}_label`)) || prefix;
+    temps.push({ label, value });
+  }
+
+  return temps;
+}
+
+// Every temperature sensor under <root>/class/hwmon, e.g.
+//   { chip: 'k10temp', label: 'Tctl', value: 54.25, device: 'hwmon2' }
+function readHwmonSensors(sysfsRoot = DEFAULT_SYSFS_ROOT) {
+  const hwmonDir = path.join(sysfsRoot, 'class', 'hwmon');
+  const sensors = [];
+
+  for (const device of listDir(hwmonDir).sort()) {
+    const deviceDir = path.join(hwmonDir, device);
+    const chip = readAttribute(path.join(deviceDir, 'name')) || device;
+    readHwmonTemps(deviceDir).forEach(({ label, value }) => sensors.push({ chip, label, value, device }));
+  }
+
+  return sensors;
+}
+
+// Every thermal zone under <root>/class/thermal, e.g.
+//   { type: 'x86_pkg_temp', value: 48, zone: 'thermal_zone1' }
+function readThermalZones(sysfsRoot = DEFAULT_SYSFS_ROOT) {
+  const thermalDir = path.join(sysfsRoot, 'class', 'thermal');
+  const zones = [];
+
+  for (const zone of listDir(thermalDir).filter(name => name.startsWith('thermal_zone')).sort()) {
+    const zoneDir = path.join(thermalDir, zone);
+    const value = parseMilliCelsius(readAttribute(path.join(zoneDir, 'temp')));
+    if (value === null) continue;
+
+    zones.push({ type: readAttribute(path.join(zoneDir, 'type')) || zone, value, zone });
+  }
+
+  return zones;
+}
+
+function average(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Sensors of the first CPU chip found, e.g. Tctl/Tdie/Tccd1 or Package id 0/Core N
+function selectCpuSensors(sensors) {
+  for (const chip of CPU_CHIPS) {
+    const chipSensors = sensors.filter(s => s.chip === chip);
+    if (chipSensors.length > 0) return chipSensors;
+  }
+  return [];
+}
+
+// Pick the single most representative CPU temperature from hwmon sensors
+function selectCpuTemperature(sensors) {
+  const chipSensors = selectCpuSensors(sensors);
+  if (chipSensors.length === 0) return null;
+
+  const byLabel = label => chipSensors.find(s => s.label === label);
+
+  // AMD: Tdie is the real die temperature, Tctl may carry a fan-control offset
+  const amd = byLabel('Tdie') || byLabel('Tctl');
+  if (amd) return amd.value;
+
+  // Intel: package temperature, otherwise the average of the cores
+  const pkg = chipSensors.find(s => /^Package id \d+$/.test(s.label));
+  if (pkg) return pkg.value;
+
+  const cores = chipSensors.filter(s => /^Core \d+$/.test(s.label));
+  if (cores.length > 0) return average(cores.map(s => s.value));
+
+  return chipSensors[0].value;
+}
+
+function selectCpuZone(zones) {
+  for (const type of CPU_ZONE_TYPES) {
+    const zone = zones.find(z => z.type === type);
+    if (zone) return zone.value;
+  }
+  return null;
+}
+
+// CPU temperature from hwmon chips (k10temp, zenpower, coretemp...), with
+// every sensor of that chip attached as details
+function createHwmonProvider(options = {}) {
+  const sysfsRoot = options.sysfsRoot || DEFAULT_SYSFS_ROOT;
+
+  return {
+    name: 'linux-hwmon',
+    metric: 'cpuTemp',
+    platform: 'linux',
+    priority: 10,
+    probe: async () => {
+      const sensors = readHwmonSensors(sysfsRoot);
+      const value = selectCpuTemperature(sensors);
+      if (value === null) return null;
+
+      return {
+        value,
+        details: selectCpuSensors(sensors).map(s => ({ name: s.label, value: s.value }))
+      };
+    }
+  };
+}
+
+// CPU temperature from ACPI/platform thermal zones, for machines without a
+// CPU hwmon driver (VMs, many ARM boards)
+function createThermalZoneProvider(options = {}) {
+  const sysfsRoot = options.sysfsRoot || DEFAULT_SYSFS_ROOT;
+
+  return {
+    name: 'linux-thermal-zone',
+    metric: 'cpuTemp',
+    platform: 'linux',
+    priority: 20,
+    probe: async () => selectCpuZone(readThermalZones(sysfsRoot))
+  };
+}
+
+module.exports = {
+  readHwmonTemps,
+  readHwmonSensors,
+  readThermalZones,
+  selectCpuSensors,
+  selectCpuTemperature,
+  createHwmonProvider,
+  createThermalZoneProvider
+};
@@ -0,0 +1,34 @@
+// NVIDIA GPU provider backed by NVAPI through the native addon
+//
+// Every GPU provider returns an array of GPUs in this shape, with null for
+// anything the source can't report:
+//   {
+//     index, name, vendor,
+//     usage,                                  // % (graphics engine)
+//     temperature,                            // °C
+//     utilization: { graphics, framebuffer, video }, // %
+//     memory: { used, total },                // MiB
+//     clocks: { core, memory },               // MHz
+//     fanSpeed,                               // RPM
+//     fanPercent,                             // % of maximum fan speed
+//     power                                   // W
+//   }
+
+function createNvapiProvider(native) {
+  return {
+    name: 'nvapi',
+    metric: 'gpus',
+    platform: 'win32',
+    priority: 10,
+    vendors: ['nvidia'],
+    probe: async () => {
+      const gpus = native.getGpuInfo();
+      // No NVIDIA GPU (or no driver): let the next provider try
+      return Array.isArray(gpus) && gpus.length > 0 ? gpus.map(gpu => ({ ...gpu, vendor: 'nvidia' })) : null;
+    }
+  };
+}
+
+module.exports = {
+  createNvapiProvider
+};
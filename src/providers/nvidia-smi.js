@@ -0,0 +1,109 @@
+// NVIDIA GPU provider backed by nvidia-smi, for Linux and for Windows
+// machines where the native addon isn't built
+const { execFile } = require('child_process');
+
+// Queried fields, in output order, and where each one goes in the GPU shape
+// (see nvapi.js)
+const QUERY_FIELDS = [
+  ['index', 'index'],
+  ['name', 'name'],
+  ['utilization.gpu', 'utilization.graphics'],
+  ['utilization.memory', 'utilization.framebuffer'],
+  ['temperature.gpu', 'temperature'],
+  ['memory.used', 'memory.used'],
+  ['memory.total', 'memory.total'],
+  ['clocks.gr', 'clocks.core'],
+  ['clocks.mem', 'clocks.memory'],
+  ['fan.speed', 'fanPercent'],
+  ['power.draw', 'power']
+];
+
+// nvidia-smi prints these for sensors a card doesn't have
+const UNAVAILABLE = /^\[?(N\/A|Not Supported|Unknown Error|Insufficient Permissions|GPU requires reset)\]?$/i;
+
+function parseNumber(raw) {
+  if (raw === undefined || raw === '' || UNAVAILABLE.test(raw)) return null;
+  const value = parseFloat(raw);
+  return isNaN(value) ? null : value;
+}
+
+function setPath(object, field, value) {
+  const keys = field.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => obj[key], object);
+  target[last] = value;
+}
+
+// Parse `--format=csv,noheader,nounits` output into the shared GPU shape.
+// Lines that don't have every field (warnings, truncated output) are skipped.
+function parseNvidiaSmiCsv(output) {
+  const gpus = [];
+
+  for (const line of output.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+
+    const values = line.split(',').map(v => v.trim());
+    if (values.length !== QUERY_FIELDS.length) continue;
+
+    const gpu = {
+      index: null,
+      name: null,
+      vendor: 'nvidia',
+      usage: null,
+      temperature: null,
+      utilization: { graphics: null, framebuffer: null, video: null },
+      memory: { used: null, total: null },
+      clocks: { core: null, memory: null },
+      fanSpeed: null,
+      fanPercent: null,
+      power: null
+    };
+
+    QUERY_FIELDS.forEach(([, field], i) => {
+      const raw = values[i];
+      setPath(gpu, field, field === 'name' ? (UNAVAILABLE.test(raw) ? null : raw) : parseNumber(raw));
+    });
+
+    if (gpu.index === null) continue;
+    gpu.usage = gpu.utilization.graphics;
+    gpus.push(gpu);
+  }
+
+  return gpus;
+}
+
+function createNvidiaSmiProvider(options = {}) {
+  const command = options.command || 'nvidia-smi';
+  const args = [
+    `--query-gpu=${QUERY_FIELDS.map(([field]) => field).join(',')}`,
+    '--format=csv,noheader,nounits'
+  ];
+
+  return {
+    name: 'nvidia-smi',
+    metric: 'gpus',
+    platform: ['linux', 'win32'],
+    priority: 20,
+    vendors: ['nvidia'],
+    probe: (context = {}) => new Promise((resolve) => {
+      execFile(command, args, { timeout: 3000 }, (err, stdout) => {
+        // ENOENT when nvidia-smi isn't installed, non-zero exit without a driver
+        if (err) {
+          if (context.debug) {
+            console.error('Error running nvidia-smi:', err.message);
+          }
+          return resolve(null);
+        }
+
+        const gpus = parseNvidiaSmiCsv(stdout);
+        resolve(gpus.length > 0 ? gpus : null);
+      });
+    })
+  };
+}
+
+module.exports = {
+  QUERY_FIELDS,
+  parseNvidiaSmiCsv,
+  createNvidiaSmiProvider
+};
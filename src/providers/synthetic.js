@@ -0,0 +1,209 @@
+// Synthetic CPU/GPU load and temperature, for demos and for exercising the
+// rest of the monitor on machines without sensors
+//
+// Unlike the simulated fallback, this source is chosen explicitly
+// (--synthetic PROFILE) and is fully deterministic: the same profile, seed
+// and interval always produce the same samples. Time advances by one
+// interval per CPU usage reading rather than following the wall clock, so a
+// slow machine or a paused terminal doesn't change the output.
+
+// Scripted load profiles
+//   idle      light background load
+//   ramp      load climbs from 0 to 100% over two minutes, then restarts
+//   square    alternating 30 s of full load and 30 s of idle
+//   throttle  sustained full load that heats past the throttle point; the
+//             CPU and GPU then pull back their heat output (and the GPU its
+//             clocks) until they cool down
+//   dropout   moderate load, but sensors drop out for a few samples at a time
+const PROFILES = ['idle', 'ramp', 'square', 'throttle', 'dropout'];
+
+const CPU_IDLE_TEMP = 38;
+const CPU_MAX_RISE = 67; // °C above idle at 100% heat output
+const CPU_TAU = 15; // s, thermal time constant
+const CPU_THROTTLE_TEMP = 95;
+const GPU_IDLE_TEMP = 34;
+const GPU_MAX_RISE = 60;
+const GPU_TAU = 25;
+const GPU_THROTTLE_TEMP = 87;
+const THROTTLE_HYSTERESIS = 5; // °C below the throttle point before recovering
+const THROTTLED_HEAT = 0.55; // fraction of full heat output while throttling
+
+// Small, fast seedable PRNG (mulberry32); returns floats in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Target load (0-100) for a profile at `t` seconds
+function profileLoad(profile, t) {
+  switch (profile) {
+    case 'ramp':
+      return (t % 120) / 120 * 100;
+    case 'square':
+      return t % 60 < 30 ? 100 : 5;
+    case 'throttle':
+      return t < 10 ? 5 : 100;
+    case 'dropout':
+      return 40 + 25 * Math.sin(t / 20);
+    default: // idle
+      return 4;
+  }
+}
+
+class SyntheticMachine {
+  constructor(options = {}) {
+    this.options = {
+      profile: options.profile || 'idle',
+      seed: options.seed != null ? options.seed : 1,
+      interval: options.interval || 1000, // ms of simulated time per sample
+      cores: options.cores || 8,
+      gpus: options.gpus != null ? options.gpus : 1,
+      ...options
+    };
+    if (!PROFILES.includes(this.options.profile)) {
+      throw new Error(`Unknown synthetic profile "${this.options.profile}" (expected one of: ${PROFILES.join(', ')})`);
+    }
+
+    this.random = createRandom(this.options.seed);
+    this.tick = -1;
+    this.cpu = { usage: 0, cores: [], temp: CPU_IDLE_TEMP, throttled: false };
+    this.gpus = [];
+    for (let i = 0; i < this.options.gpus; i++) {
+      this.gpus.push({ usage: 0, temp: GPU_IDLE_TEMP + i, throttled: false, clock: 0, power: 0 });
+    }
+    // Remaining samples each sensor stays dropped out for
+    this.dropouts = { cpuTemp: 0, gpus: this.gpus.map(() => 0) };
+  }
+
+  // Advance the simulated clock by one interval and update every component
+  step() {
+    this.tick++;
+    const dt = this.options.interval / 1000;
+    const t = this.tick * dt;
+    const load = profileLoad(this.options.profile, t);
+
+    // CPU: per-core load scattered around the profile, temperature following
+    // the heat output with a first-order lag
+    this.cpu.cores = [];
+    for (let i = 0; i < this.options.cores; i++) {
+      this.cpu.cores.push(clamp(load + this._noise(6), 0, 100));
+    }
+    this.cpu.usage = this.cpu.cores.reduce((a, b) => a + b, 0) / this.options.cores;
+    this.cpu.throttled = this._throttleState(this.cpu, CPU_THROTTLE_TEMP);
+    const cpuHeat = Math.pow(this.cpu.usage / 100, 1.2) * (this.cpu.throttled ? THROTTLED_HEAT : 1);
+    this.cpu.temp = this._approach(this.cpu.temp, CPU_IDLE_TEMP + CPU_MAX_RISE * cpuHeat, CPU_TAU, dt) + this._noise(0.3);
+
+    this.gpus.forEach((gpu, i) => {
+      gpu.usage = clamp(load * (1 - i * 0.15) + this._noise(3), 0, 100);
+      gpu.throttled = this._throttleState(gpu, GPU_THROTTLE_TEMP);
+      const heat = Math.pow(gpu.usage / 100, 1.1) * (gpu.throttled ? THROTTLED_HEAT : 1);
+      gpu.temp = this._approach(gpu.temp, GPU_IDLE_TEMP + GPU_MAX_RISE * heat, GPU_TAU, dt) + this._noise(0.3);
+      // Clocks boost with load and drop to a fixed lower clock when throttled
+      gpu.clock = gpu.throttled ? 1350 : Math.round(210 + 1740 * Math.min(1, gpu.usage / 40));
+      gpu.power = 15 + 205 * heat;
+    });
+
+    if (this.options.profile === 'dropout') {
+      this.dropouts.cpuTemp = this._nextDropout(this.dropouts.cpuTemp);
+      this.dropouts.gpus = this.dropouts.gpus.map(remaining => this._nextDropout(remaining));
+    }
+  }
+
+  // CPU usage with per-core details
+  readCpuUsage() {
+    this.step();
+    return { value: this.cpu.usage, details: this.cpu.cores.slice() };
+  }
+
+  // CPU package temperature with per-core sensors, or null during a dropout
+  readCpuTemp() {
+    if (this.dropouts.cpuTemp > 0) return null;
+
+    const details = [{ name: 'Package', value: this.cpu.temp }];
+    for (let i = 0; i < Math.min(this.options.cores, 4); i++) {
+      details.push({ name: `Core ${i}`, value: this.cpu.temp - 1.5 - i * 0.7 });
+    }
+    return { value: this.cpu.temp, details };
+  }
+
+  // GPU objects in the shape documented in nvapi.js. A dropped-out GPU
+  // reports its name but no readings, like a sensor that stopped answering.
+  readGpus() {
+    if (this.gpus.length === 0) return null;
+
+    return this.gpus.map((gpu, index) => {
+      const available = this.dropouts.gpus[index] === 0;
+      const reading = value => (available ? value : null);
+      return {
+        index,
+        name: `Synthetic GPU ${index}`,
+        vendor: 'synthetic',
+        usage: reading(gpu.usage),
+        temperature: reading(gpu.temp),
+        utilization: {
+          graphics: reading(gpu.usage),
+          framebuffer: reading(gpu.usage * 0.4),
+          video: reading(0)
+        },
+        memory: { used: reading(512 + gpu.usage * 60), total: 8192 },
+        clocks: { core: reading(gpu.clock), memory: reading(gpu.usage < 10 ? 405 : 7000) },
+        fanSpeed: reading(Math.round(clamp((gpu.temp - 40) * 60, 0, 3000))),
+        fanPercent: reading(clamp((gpu.temp - 40) * 2, 0, 100)),
+        power: reading(gpu.power)
+      };
+    });
+  }
+
+  // Symmetric noise in [-amplitude, amplitude)
+  _noise(amplitude) {
+    return (this.random() * 2 - 1) * amplitude;
+  }
+
+  _approach(current, target, tau, dt) {
+    return current + (target - current) * (1 - Math.exp(-dt / tau));
+  }
+
+  // Throttle at the limit, recover once cooled by the hysteresis margin
+  _throttleState(component, limit) {
+    if (component.temp >= limit) return true;
+    if (component.temp < limit - THROTTLE_HYSTERESIS) return false;
+    return component.throttled;
+  }
+
+  // 5% chance per sample of a 3-10 sample dropout
+  _nextDropout(remaining) {
+    if (remaining > 0) return remaining - 1;
+    return this.random() < 0.05 ? 3 + Math.floor(this.random() * 8) : 0;
+  }
+}
+
+// Providers for CPU usage, CPU temperature and GPUs backed by one machine.
+// They run on every platform, come before the real sensors and flag their
+// readings as simulated.
+function createSyntheticProviders(options = {}) {
+  const machine = new SyntheticMachine(options);
+  const common = { platform: '*', priority: 0, simulated: true };
+
+  return [
+    { ...common, name: 'synthetic-cpu-usage', metric: 'cpuUsage', probe: async () => machine.readCpuUsage() },
+    { ...common, name: 'synthetic-cpu-temp', metric: 'cpuTemp', probe: async () => machine.readCpuTemp() },
+    { ...common, name: 'synthetic-gpus', metric: 'gpus', probe: async () => machine.readGpus() }
+  ];
+}
+
+module.exports = {
+  PROFILES,
+  createRandom,
+  SyntheticMachine,
+  createSyntheticProviders
+};
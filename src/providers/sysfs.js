@@ -0,0 +1,36 @@
+// Small helpers for reading Linux sysfs attributes
+const fs = require('fs');
+
+const DEFAULT_SYSFS_ROOT = '/sys';
+
+// Read a sysfs attribute, or null if it doesn't exist or can't be read
+function readAttribute(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+// Read a numeric attribute, or null
+function readNumber(file) {
+  const raw = readAttribute(file);
+  if (raw === null) return null;
+  const value = parseFloat(raw);
+  return isNaN(value) ? null : value;
+}
+
+function listDir(dir) {
+  try {
+    return fs.readdirSync(dir);
+  } catch (e) {
+    return [];
+  }
+}
+
+module.exports = {
+  DEFAULT_SYSFS_ROOT,
+  readAttribute,
+  readNumber,
+  listDir
+};
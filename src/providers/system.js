@@ -0,0 +1,79 @@
+// Memory, disk I/O and network throughput providers backed by the
+// systeminformation package
+const si = require('systeminformation');
+
+const MIB = 1024 * 1024;
+const KIB = 1024;
+
+// Rates need two samples; systeminformation returns null on the first call
+function toKiBPerSec(bytesPerSec) {
+  return typeof bytesPerSec === 'number' ? bytesPerSec / KIB : null;
+}
+
+// RAM and swap. "Used" RAM excludes reclaimable cache (total - available),
+// which matches what Task Manager and `free` call used.
+function createMemoryProvider() {
+  return {
+    name: 'systeminformation-mem',
+    metric: 'memory',
+    platform: '*',
+    priority: 10,
+    probe: async () => {
+      const mem = await si.mem();
+      const used = mem.total - mem.available;
+      return {
+        memUsed: used / MIB,
+        memTotal: mem.total / MIB,
+        memUsage: mem.total > 0 ? (used / mem.total) * 100 : null,
+        swapUsed: mem.swapused / MIB,
+        swapTotal: mem.swaptotal / MIB,
+        swapUsage: mem.swaptotal > 0 ? (mem.swapused / mem.swaptotal) * 100 : null
+      };
+    }
+  };
+}
+
+// Read/write throughput across all block devices, in KiB/s. Not supported by
+// systeminformation on Windows.
+function createDiskIoProvider() {
+  return {
+    name: 'systeminformation-fs',
+    metric: 'diskIo',
+    platform: ['linux', 'darwin', 'freebsd', 'openbsd', 'netbsd'],
+    priority: 10,
+    probe: async () => {
+      const stats = await si.fsStats();
+      if (!stats || stats.rx_sec === null || stats.rx_sec === undefined) return null;
+      return {
+        diskRead: toKiBPerSec(stats.rx_sec),
+        diskWrite: toKiBPerSec(stats.wx_sec)
+      };
+    }
+  };
+}
+
+// Receive/transmit throughput summed over every non-loopback interface, in KiB/s
+function createNetworkProvider() {
+  return {
+    name: 'systeminformation-net',
+    metric: 'network',
+    platform: '*',
+    priority: 10,
+    probe: async () => {
+      const stats = (await si.networkStats('*'))
+        .filter(iface => iface.iface !== 'lo' && !/loopback/i.test(iface.iface));
+      const measured = stats.filter(iface => typeof iface.rx_sec === 'number');
+      if (measured.length === 0) return null;
+      return {
+        netRx: toKiBPerSec(measured.reduce((sum, iface) => sum + iface.rx_sec, 0)),
+        netTx: toKiBPerSec(measured.reduce((sum, iface) => sum + iface.tx_sec, 0))
+      };
+    }
+  };
+}
+
+module.exports = {
+  createMemoryProvider,
+  createDiskIoProvider,
+  createNetworkProvider
+};
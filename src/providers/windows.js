@@ -0,0 +1,243 @@
+// Windows CPU temperature providers
+const path = require('path');
+const { execFile } = require('child_process');
+const BridgeClient = require('../bridge-client');
+const SensorTree = require('../sensor-tree');
+
+const DEFAULT_BRIDGE_PATH = path.join(__dirname, '..', 'LibreHardwareMonitorBridge', 'bin', 'Release', 'net9.0', 'LibreHardwareMonitorBridge.exe');
+
+// Anything outside this range is a bogus or uninitialised sensor
+function isValidTemperature(value) {
+  return typeof value === 'number' && value > 0 && value < 120;
+}
+
+// Run a command and resolve with its stdout, or null if it failed
+function execForOutput(cmd, args, timeout, debug) {
+  return new Promise((resolve) => {
+    execFile(cmd, args, { timeout }, (err, stdout, stderr) => {
+      if (err) {
+        if (debug) {
+          console.error(`Error running ${path.basename(cmd)}:`, err.message);
+        }
+        return resolve(null);
+      }
+      resolve({ stdout, stderr });
+    });
+  });
+}
+
+// Query a single WMI value with wmic and convert it to Celsius
+function wmicQuery(query, pattern, toCelsius) {
+  return async (context = {}) => {
+    const wmicCommand = process.env.SystemRoot + "\\System32\\wbem\\wmic.exe";
+    const output = await execForOutput(wmicCommand, query, 2000, context.debug);
+    if (!output || !output.stdout) return null;
+
+    const match = output.stdout.match(pattern);
+    if (!match) return null;
+
+    const celsius = toCelsius(parseInt(match[1], 10));
+    return isValidTemperature(celsius) ? celsius : null;
+  };
+}
+
+// One-shot arguments and timeouts for each bridge request
+const ONE_SHOT = {
+  read: { args: [], timeout: 3000 },
+  tree: { args: ['--tree'], timeout: 10000 }
+};
+
+// Access to the LibreHardwareMonitor .NET bridge, shared by every provider
+// that reads from it so the driver and hardware are only opened once.
+//
+// The bridge runs as a long-lived child (see bridge-client.js). Bridge builds
+// that predate --serve exit on their own without announcing themselves; the
+// session then falls back to running the executable once per request. A
+// bridge that is merely slow to start, or that crashes or hangs later, is
+// restarted instead. Pass
+// `persistent: false` to force that mode, and `full: true` to have the bridge
+// open every hardware type (GPU, memory, storage, network) for the sensor
+// tree rather than just the CPU and motherboard.
+function createBridgeSession(options = {}) {
+  const exePath = options.exePath || DEFAULT_BRIDGE_PATH;
+  const serveArgs = options.full ? ['--serve', '--full'] : ['--serve'];
+  let persistent = options.persistent !== false;
+  let client = null;
+  let debug = false;
+
+  function getClient() {
+    if (!client) {
+      client = new BridgeClient({ command: exePath, args: serveArgs });
+      client.on('stderr', line => {
+        if (debug) console.log('LibreHWM Debug:', line);
+      });
+    }
+    return client;
+  }
+
+  async function requestOnce(method) {
+    const { args, timeout } = ONE_SHOT[method];
+    const output = await execForOutput(exePath, options.full ? [...args, '--full'] : args, timeout, debug);
+    if (!output) return null;
+
+    if (output.stderr && debug) {
+      // Log debug output to help diagnose issues
+      console.log("LibreHWM Debug:", output.stderr.substring(0, 500) + (output.stderr.length > 500 ? '...' : ''));
+    }
+    return JSON.parse(output.stdout);
+  }
+
+  return {
+    // Resolve with the bridge's result for `method` ('read' or 'tree')
+    request: async (method, context = {}) => {
+      debug = Boolean(context.debug);
+      if (!persistent) return requestOnce(method);
+
+      try {
+        return await getClient().request(method);
+      } catch (err) {
+        if (err.code !== 'ENOTREADY') throw err;
+
+        if (debug) {
+          console.log('LibreHWM bridge does not support --serve; running it once per reading');
+        }
+        persistent = false;
+        client.stop();
+        client = null;
+        return requestOnce(method);
+      }
+    },
+    close: () => {
+      if (client) client.stop();
+      client = null;
+    }
+  };
+}
+
+// CPU temperature from the LibreHardwareMonitor bridge, with every CPU
+// temperature sensor it found attached as details. Pass a shared
+// `session` (see createBridgeSession), or bridge options to open one.
+function createLibreHardwareMonitorProvider(options = {}) {
+  const session = options.session || createBridgeSession(options);
+
+  return {
+    name: 'librehardwaremonitor',
+    metric: 'cpuTemp',
+    platform: 'win32',
+    priority: 10,
+    probe: async (context = {}) => {
+      const result = await session.request('read', context);
+      if (!result || !isValidTemperature(result.cpuTemperature)) return null;
+
+      // Per-sensor readings (package, each core, CCDs) from newer bridge builds
+      const details = (result.cpuTemperatures || [])
+        .filter(sensor => isValidTemperature(sensor.value))
+        .map(sensor => ({ name: sensor.name, value: sensor.value }));
+
+      return { value: result.cpuTemperature, details };
+    },
+    close: session.close
+  };
+}
+
+// Every hardware node and sensor the bridge can see, as a SensorTree.
+// Bridge builds without the tree export answer with an error (persistent)
+// or a plain CPU reading (one-shot); both count as unavailable.
+function createLibreHardwareMonitorTreeProvider(options = {}) {
+  const session = options.session || createBridgeSession({ ...options, full: true });
+
+  return {
+    name: 'librehardwaremonitor-tree',
+    metric: 'sensorTree',
+    platform: 'win32',
+    priority: 10,
+    probe: async (context = {}) => {
+      const result = await session.request('tree', context);
+      if (!result || !Array.isArray(result.hardware)) return null;
+      return new SensorTree(result.hardware);
+    },
+    close: session.close
+  };
+}
+
+// MSAcpi_ThermalZoneTemperature reports tenths of Kelvin
+function createWmiThermalZoneProvider() {
+  return {
+    name: 'wmi-thermal-zone',
+    metric: 'cpuTemp',
+    platform: 'win32',
+    priority: 20,
+    probe: wmicQuery(
+      ["/namespace:\\root\\wmi", "PATH", "MSAcpi_ThermalZoneTemperature", "get", "CurrentTemperature", "/value"],
+      /CurrentTemperature=(\d+)/,
+      value => value / 10 - 273.15
+    )
+  };
+}
+
+// Standard WMI temperature probes, already in Celsius
+function createWmiTemperatureProbeProvider() {
+  return {
+    name: 'wmi-temperature-probe',
+    metric: 'cpuTemp',
+    platform: 'win32',
+    priority: 21,
+    probe: wmicQuery(
+      ["/namespace:\\root\\cimv2", "PATH", "Win32_TemperatureProbe", "get", "CurrentReading", "/value"],
+      /CurrentReading=(\d+)/,
+      value => value
+    )
+  };
+}
+
+// Thermal zone performance counters, in tenths of a degree
+function createWmiThermalZoneInformationProvider() {
+  return {
+    name: 'wmi-thermal-zone-information',
+    metric: 'cpuTemp',
+    platform: 'win32',
+    priority: 22,
+    probe: wmicQuery(
+      ["path", "Win32_PerfFormattedData_Counters_ThermalZoneInformation", "get", "Temperature", "/value"],
+      /Temperature=(\d+)/,
+      value => value / 10
+    )
+  };
+}
+
+// Same thermal zone as the first WMI query, but through PowerShell CIM for
+// systems where wmic has been removed
+function createPowerShellCimProvider() {
+  return {
+    name: 'powershell-cim',
+    metric: 'cpuTemp',
+    platform: 'win32',
+    priority: 30,
+    probe: async (context = {}) => {
+      const output = await execForOutput(
+        "powershell.exe",
+        ["-NoProfile", "-Command", "Get-CimInstance MSAcpi_ThermalZoneTemperature -Namespace root/wmi | Select-Object -ExpandProperty CurrentTemperature"],
+        3000,
+        context.debug
+      );
+      if (!output || !output.stdout) return null;
+
+      const match = output.stdout.match(/(\d+)/);
+      if (!match) return null;
+
+      const celsius = parseFloat(match[1]) / 10 - 273.15; // Convert from tenths of Kelvin
+      return isValidTemperature(celsius) ? celsius : null;
+    }
+  };
+}
+
+module.exports = {
+  isValidTemperature,
+  createBridgeSession,
+  createLibreHardwareMonitorProvider,
+  createLibreHardwareMonitorTreeProvider,
+  createWmiThermalZoneProvider,
+  createWmiTemperatureProbeProvider,
+  createWmiThermalZoneInformationProvider,
+  createPowerShellCimProvider
+};
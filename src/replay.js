@@ -0,0 +1,357 @@
+// Replay of recorded monitoring sessions
+//
+// Reads back either the CSV log written with --log (or `-f csv` output) or
+// the NDJSON stream printed by `-f json`, and turns every row into the same
+// metrics sample the live poller builds, with its recorded timestamp. The
+// samples can then be fed through Logger.log like live data.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { EventEmitter } = require('events');
+const { DEFAULT_METRICS, describeSchema } = require('./metric-schema');
+
+// Split one CSV line, honouring double-quoted fields
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function toNumber(field) {
+  if (field === undefined || field === '') return null;
+  const value = Number(field);
+  return Number.isNaN(value) ? null : value;
+}
+
+// Set a dotted path such as 'memory.used' on a GPU object
+function setPath(object, field, value) {
+  const keys = field.split('.');
+  let target = object;
+  keys.slice(0, -1).forEach(key => {
+    if (!target[key]) target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+}
+
+// Map each CSV header to a function that copies its field into a sample.
+// Column names come from the schema in the log's preamble (see
+// metric-schema.js); logs without one use the default schema.
+function csvColumnReaders(header, schema) {
+  const fixed = {
+    'Timestamp': (s, f) => { s.timestamp = f; },
+    'CPU Usage (%)': (s, f) => { s.cpuUsage = toNumber(f); },
+    'CPU Temp (°C)': (s, f) => { s.cpuTemp = toNumber(f); },
+    'GPU Usage (%)': (s, f) => { s.gpuUsage = toNumber(f); },
+    'GPU Temp (°C)': (s, f) => { s.gpuTemp = toNumber(f); },
+    'CPU Temp Source': (s, f) => { s.sources.cpuTemp.provider = f; },
+    'CPU Temp Simulated': (s, f) => { s.sources.cpuTemp.simulated = f === 'true'; },
+    'Marker': (s, f) => { s.marker = f || null; }
+  };
+  schema.metrics.forEach(({ key, column }) => {
+    fixed[column] = (s, f) => { s[key] = toNumber(f); };
+  });
+
+  return header.map(column => {
+    if (fixed[column]) return fixed[column];
+
+    let match = column.match(/^(.*?)(?: \((.*)\))? \[(.+)\]$/);
+    if (match) {
+      const [, label, unit, identifier] = match;
+      return (s, f) => {
+        s.selectedSensors.push({ identifier, name: label, hardware: null, sensorType: null, unit: unit || '', value: toNumber(f) });
+      };
+    }
+
+    match = column.match(/^Core (\d+) Usage \(%\)$/);
+    if (match) {
+      const core = parseInt(match[1], 10);
+      return (s, f) => { s.cpuCoreUsage[core] = toNumber(f); };
+    }
+
+    match = column.match(/^GPU(\d+) (.+)$/);
+    const gpuField = match && schema.gpuFields.find(field => field.column === match[2]);
+    if (gpuField) {
+      const index = parseInt(match[1], 10);
+      return (s, f) => {
+        let gpu = s.gpus.find(g => g.index === index);
+        if (!gpu) {
+          gpu = { index };
+          s.gpus.push(gpu);
+        }
+        setPath(gpu, gpuField.key, gpuField.text ? f || null : toNumber(f));
+      };
+    }
+
+    match = column.match(/^(.+) Temp \(°C\)$/);
+    if (match) {
+      const name = match[1];
+      return (s, f) => {
+        const value = toNumber(f);
+        if (value !== null) s.cpuTemps.push({ name, value });
+      };
+    }
+
+    return () => {}; // Unknown column, e.g. from a newer version
+  });
+}
+
+// A sample with every field the logger expects; recordings from older
+// versions simply leave the newer metrics empty
+function emptySample(schema) {
+  const sample = {
+    timestamp: null,
+    cpuCoreUsage: [],
+    cpuTemps: [],
+    gpuUsage: null,
+    gpuTemp: null,
+    gpus: [],
+    selectedSensors: [],
+    marker: null,
+    sources: {}
+  };
+  [...DEFAULT_METRICS, ...schema.metrics].forEach(({ key }) => { sample[key] = null; });
+  ['cpuUsage', 'cpuTemp', 'gpus', 'memory', 'diskIo', 'network', 'sensorTree'].forEach(key => {
+    sample.sources[key] = { provider: 'replay', simulated: false };
+  });
+  return sample;
+}
+
+// The schema in a `#schema {...}` preamble line, or the default (version 1)
+// schema for logs written before the preamble existed
+function readSchema(lines) {
+  const preamble = lines.find(line => line.startsWith('#schema '));
+  if (!preamble) return describeSchema();
+  return JSON.parse(preamble.slice('#schema '.length));
+}
+
+// Lines before the header (e.g. the startup banner captured with `-f csv`)
+// are skipped
+function parseCsvRecording(text) {
+  const lines = text.split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.startsWith('Timestamp,'));
+  if (headerIndex === -1) return [];
+
+  const schema = readSchema(lines.slice(0, headerIndex));
+  const readers = csvColumnReaders(parseCsvLine(lines[headerIndex]), schema);
+  const samples = [];
+  lines.slice(headerIndex + 1).forEach(line => {
+    if (!/^\d{4}-\d\d-\d\dT/.test(line)) return;
+
+    const sample = emptySample(schema);
+    parseCsvLine(line).forEach((field, i) => {
+      if (readers[i]) readers[i](sample, field);
+    });
+    samples.push(sample);
+  });
+  return samples;
+}
+
+// One JSON object per line; the schema preamble and anything else (banner,
+// notes) is skipped. Samples carry their metrics by key, so no column
+// mapping is needed.
+function parseNdjsonRecording(text) {
+  const schema = describeSchema();
+  const samples = [];
+  text.split(/\r?\n/).forEach(line => {
+    if (!line.startsWith('{')) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      return;
+    }
+    if (!record.timestamp) return;
+
+    const sample = emptySample(schema);
+    samples.push({
+      ...sample,
+      ...record,
+      sources: { ...sample.sources, ...record.sources }
+    });
+  });
+  return samples;
+}
+
+// Contents of a log file, gunzipped if it is a compressed segment
+function readLogText(file) {
+  const data = fs.readFileSync(file);
+  return (file.endsWith('.gz') ? zlib.gunzipSync(data) : data).toString('utf8').replace(/^﻿/, '');
+}
+
+// Segment files listed in a rotation index (see log-rotator.js). A segment
+// may have been compressed after the index was written, and segments
+// removed by retention are skipped.
+function indexSegments(indexFile) {
+  const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+  const dir = path.dirname(indexFile);
+
+  return (index.segments || [])
+    .map(segment => {
+      const file = path.join(dir, segment.file);
+      if (fs.existsSync(file)) return file;
+      if (fs.existsSync(`${file}.gz`)) return `${file}.gz`;
+      return null;
+    })
+    .filter(Boolean);
+}
+
+function parseRecording(text) {
+  const isCsv = text.split(/\r?\n/).some(line => line.startsWith('Timestamp,'));
+  return isCsv ? parseCsvRecording(text) : parseNdjsonRecording(text);
+}
+
+// Load a recording, detecting CSV or NDJSON from its content. `file` may be
+// a single log, a gzipped segment or a rotation index, in which case every
+// segment of the session is read. Samples are returned in timestamp order.
+function loadRecording(file) {
+  const files = file.endsWith('.index.json') ? indexSegments(file) : [file];
+  const samples = [];
+  files.forEach(segment => samples.push(...parseRecording(readLogText(segment))));
+
+  return samples
+    .filter(sample => !Number.isNaN(Date.parse(sample.timestamp)))
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
+
+// System description recorded with the log (a `#system {...}` preamble
+// line, or the `system` field of the JSON header line), or null for logs
+// that don't have one
+function loadSystemInfo(file) {
+  const [first] = file.endsWith('.index.json') ? indexSegments(file) : [file];
+  if (!first) return null;
+
+  for (const line of readLogText(first).split(/\r?\n/)) {
+    if (line.startsWith('Timestamp,')) break;
+    if (line.startsWith('#system ')) return JSON.parse(line.slice('#system '.length));
+    if (line.startsWith('{"schema"')) return JSON.parse(line).system || null;
+  }
+  return null;
+}
+
+// Typical spacing of samples (the median), in ms; null for fewer than two
+function sampleInterval(samples) {
+  const gaps = [];
+  for (let i = 1; i < samples.length; i++) {
+    gaps.push(Date.parse(samples[i].timestamp) - Date.parse(samples[i - 1].timestamp));
+  }
+  if (gaps.length === 0) return null;
+  gaps.sort((a, b) => a - b);
+  return gaps[Math.floor(gaps.length / 2)];
+}
+
+// Resolve a --seek value against the recording's first timestamp:
+//   +90s, +15m, +1h30m   offset from the start of the recording
+//   23:15 or 23:15:30    next time the local clock read that after the start
+//   2025-01-01T23:15:00Z absolute timestamp
+// Returns epoch milliseconds, or null if the value can't be parsed.
+function parseSeek(value, startTime) {
+  const offset = value.match(/^\+(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (offset && value.length > 1) {
+    const [, h = 0, m = 0, s = 0] = offset;
+    return startTime + ((Number(h) * 60 + Number(m)) * 60 + Number(s)) * 1000;
+  }
+
+  const clock = value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (clock && Number(clock[1]) < 24 && Number(clock[2]) < 60 && Number(clock[3] || 0) < 60) {
+    const date = new Date(startTime);
+    date.setHours(Number(clock[1]), Number(clock[2]), Number(clock[3] || 0), 0);
+    if (date.getTime() < startTime) date.setDate(date.getDate() + 1);
+    return date.getTime();
+  }
+
+  const absolute = Date.parse(value);
+  return Number.isNaN(absolute) ? null : absolute;
+}
+
+// Plays samples back with their recorded spacing divided by `speed`
+// (Infinity plays them back to back), emitting 'sample' for each and 'end'
+// when the recording runs out or stop() is called.
+class ReplayPlayer extends EventEmitter {
+  constructor(samples, options = {}) {
+    super();
+    this.samples = samples;
+    this.speed = options.speed || 1;
+    this.position = 0;
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  // Typical spacing of the recorded samples, in ms
+  get interval() {
+    return sampleInterval(this.samples);
+  }
+
+  // Skip to the first sample at or after `time` (epoch ms)
+  seek(time) {
+    const index = this.samples.findIndex(sample => Date.parse(sample.timestamp) >= time);
+    this.position = index === -1 ? this.samples.length : index;
+    return this;
+  }
+
+  start() {
+    this._next();
+    return this;
+  }
+
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    clearTimeout(this.timer);
+    clearImmediate(this.timer);
+    this.emit('end', this.position);
+  }
+
+  _next() {
+    if (this.stopped) return;
+    if (this.position >= this.samples.length) {
+      this.stop();
+      return;
+    }
+
+    const sample = this.samples[this.position++];
+    this.emit('sample', sample);
+
+    const next = this.samples[this.position];
+    const gap = next ? Math.max(0, Date.parse(next.timestamp) - Date.parse(sample.timestamp)) : 0;
+    const delay = this.speed === Infinity ? 0 : gap / this.speed;
+
+    // setImmediate keeps instant playback responsive to Ctrl+C
+    this.timer = delay > 0 ? setTimeout(() => this._next(), delay) : setImmediate(() => this._next());
+  }
+}
+
+module.exports = {
+  parseCsvLine,
+  parseCsvRecording,
+  parseNdjsonRecording,
+  loadRecording,
+  loadSystemInfo,
+  sampleInterval,
+  parseSeek,
+  ReplayPlayer
+};
@@ -0,0 +1,485 @@
+// Offline HTML report from recorded logs
+//
+//   node src/report.js [options] LOG...   (or: npm run report -- LOG...)
+//
+// Reads one or more logs (CSV, .csv.gz segments, rotation indexes or JSON
+// captures, see replay.js), merges them into one timeline and writes a
+// single self-contained HTML file: session statistics, time above
+// thresholds (breaches highlighted), gaps, the recording machine and an
+// inline SVG chart per metric. There are no scripts, stylesheets or fonts
+// to fetch, so the file can be attached to a ticket and opened anywhere.
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+const SessionStats = require('./session-stats');
+const { GPU_FIELDS, formatMetric, formatDuration } = require('./metric-schema');
+const { loadRecording, loadSystemInfo, sampleInterval } = require('./replay');
+
+const CHART_WIDTH = 880;
+const CHART_HEIGHT = 220;
+const MARGIN = { top: 12, right: 16, bottom: 28, left: 60 };
+const COLORS = ['#2b6cb0', '#dd6b20', '#38a169', '#805ad5', '#d53f8c', '#319795', '#b7791f', '#718096'];
+const BREACH_COLOR = '#e53e3e';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Axis label: whole numbers when large, otherwise up to two decimals
+function formatTick(value) {
+  if (Math.abs(value) >= 1000) return value.toFixed(0);
+  return String(Math.round(value * 100) / 100);
+}
+
+// Round a tick spacing up to 1, 2 or 5 times a power of ten
+function niceStep(span, count) {
+  const raw = span / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].find(m => m * magnitude >= raw);
+  return step * magnitude;
+}
+
+// Render a time-series chart as inline SVG.
+//   series      [{ name, points: [{ time, min, avg, max }] }]
+//   from, to    time axis range (epoch ms), shared by every chart
+//   step        expected spacing of points (ms); wider spaces are gaps
+//   thresholds  values drawn as dashed lines; the line above them is red
+//   unit        '%' pins the axis to 0-100
+//   id          unique prefix for the SVG clip paths
+// A single series also gets a min/max band when its points are rollups.
+function renderChart({ series, from, to, step, thresholds = [], unit = '', id }) {
+  const width = CHART_WIDTH - MARGIN.left - MARGIN.right;
+  const height = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+
+  // Value axis from the data and thresholds, padded a little
+  let low = Infinity;
+  let high = -Infinity;
+  series.forEach(s => s.points.forEach(p => {
+    low = Math.min(low, p.min);
+    high = Math.max(high, p.max);
+  }));
+  thresholds.forEach(value => {
+    low = Math.min(low, value);
+    high = Math.max(high, value);
+  });
+  if (unit === '%') {
+    low = 0;
+    high = Math.max(100, high);
+  } else {
+    const padding = (high - low) * 0.05 || 1;
+    low -= padding;
+    high += padding;
+  }
+  const yStep = niceStep(high - low, 4);
+  low = Math.floor(low / yStep) * yStep;
+  high = Math.ceil(high / yStep) * yStep;
+
+  const span = Math.max(1, to - from);
+  const x = time => MARGIN.left + ((time - from) / span) * width;
+  const y = value => MARGIN.top + (1 - (value - low) / (high - low)) * height;
+  const point = (time, value) => `${x(time).toFixed(1)},${y(value).toFixed(1)}`;
+
+  // Consecutive points closer than two steps apart form one run
+  const runs = points => {
+    const result = [];
+    points.forEach((p, i) => {
+      if (i === 0 || p.time - points[i - 1].time > 2 * step) result.push([]);
+      result[result.length - 1].push(p);
+    });
+    return result;
+  };
+
+  const parts = [];
+
+  // Grid and axes
+  for (let value = low; value <= high + yStep / 2; value += yStep) {
+    parts.push(`<line class="grid" x1="${MARGIN.left}" x2="${MARGIN.left + width}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}"/>`);
+    parts.push(`<text class="tick" x="${MARGIN.left - 6}" y="${(y(value) + 4).toFixed(1)}" text-anchor="end">${escapeHtml(formatTick(value))}</text>`);
+  }
+  const timeStep = niceTimeStep(span);
+  for (let time = Math.ceil(from / timeStep) * timeStep; time <= to; time += timeStep) {
+    parts.push(`<line class="grid" x1="${x(time).toFixed(1)}" x2="${x(time).toFixed(1)}" y1="${MARGIN.top}" y2="${MARGIN.top + height}"/>`);
+    parts.push(`<text class="tick" x="${x(time).toFixed(1)}" y="${MARGIN.top + height + 18}" text-anchor="middle">${formatClock(time, span)}</text>`);
+  }
+  parts.push(`<rect class="frame" x="${MARGIN.left}" y="${MARGIN.top}" width="${width}" height="${height}"/>`);
+
+  // Min/max band for a single series of rollups
+  if (series.length === 1 && series[0].points.some(p => p.min !== p.max)) {
+    runs(series[0].points).forEach(run => {
+      const upper = run.map(p => point(p.time, p.max));
+      const lower = run.slice().reverse().map(p => point(p.time, p.min));
+      parts.push(`<polygon class="band" fill="${COLORS[0]}" points="${[...upper, ...lower].join(' ')}"/>`);
+    });
+  }
+
+  // Lines, repeated in red where they are above the lowest threshold
+  const lines = series.map((s, i) => runs(s.points)
+    .map(run => (run.length === 1
+      ? `<circle cx="${x(run[0].time).toFixed(1)}" cy="${y(run[0].avg).toFixed(1)}" r="1.5" fill="${COLORS[i % COLORS.length]}"/>`
+      : `<polyline class="line" stroke="${COLORS[i % COLORS.length]}" points="${run.map(p => point(p.time, p.avg)).join(' ')}"/>`))
+    .join(''));
+  parts.push(...lines);
+
+  if (thresholds.length > 0) {
+    const limit = Math.min(...thresholds);
+    parts.push(`<clipPath id="${id}-above"><rect x="${MARGIN.left}" y="${MARGIN.top}" width="${width}" height="${Math.max(0, y(limit) - MARGIN.top).toFixed(1)}"/></clipPath>`);
+    parts.push(`<g clip-path="url(#${id}-above)">${lines.join('').replace(/(stroke|fill)="#[0-9a-f]{6}"/g, `$1="${BREACH_COLOR}"`)}</g>`);
+    thresholds.forEach(value => {
+      parts.push(`<line class="threshold" x1="${MARGIN.left}" x2="${MARGIN.left + width}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}"/>`);
+      parts.push(`<text class="tick threshold-label" x="${MARGIN.left + width - 4}" y="${(y(value) - 4).toFixed(1)}" text-anchor="end">&gt; ${escapeHtml(formatTick(value))}${escapeHtml(unit)}</text>`);
+    });
+  }
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" role="img">${parts.join('')}</svg>`;
+}
+
+// Time axis spacing giving about six ticks
+function niceTimeStep(span) {
+  const steps = [1, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200, 10800, 21600, 43200, 86400, 172800, 604800]
+    .map(s => s * 1000);
+  return steps.find(s => span / s <= 7) || steps[steps.length - 1];
+}
+
+// UTC clock time for an axis label; seconds only on short spans, the date
+// on spans longer than two days
+function formatClock(time, span) {
+  const iso = new Date(time).toISOString();
+  if (span > 2 * 86400e3) return `${iso.slice(5, 10)} ${iso.slice(11, 16)}`;
+  return span < 600e3 ? iso.slice(11, 19) : iso.slice(11, 16);
+}
+
+// Samples of every log, merged into one timeline; a sample recorded in more
+// than one file (overlapping captures) is kept once
+function loadLogs(files) {
+  const seen = new Set();
+  const samples = [];
+  files.forEach(file => loadRecording(file).forEach(sample => {
+    if (seen.has(sample.timestamp)) return;
+    seen.add(sample.timestamp);
+    samples.push(sample);
+  }));
+  return samples.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
+
+// Build the report for the given log files.
+//   title       heading of the page
+//   thresholds  [{ key, above }], see session-stats.js
+// Returns { html, summary }.
+function generateReport(files, options = {}) {
+  const samples = loadLogs(files);
+  if (samples.length === 0) {
+    throw new Error(`No samples found in ${files.join(', ')}`);
+  }
+
+  // Feed the samples through a silent logger for its history and statistics
+  const interval = sampleInterval(samples) || 1000;
+  const logger = new Logger({ consoleFormat: 'none', interval, thresholds: options.thresholds });
+  samples.forEach(sample => logger.log(sample));
+  const summary = logger.getSummary();
+  const thresholds = summary.thresholds;
+  const from = Date.parse(summary.start);
+  const to = Date.parse(summary.end);
+
+  const resolution = logger.history.resolutionFor();
+  const level = logger.history.levels.find(l => l.name === resolution);
+  const step = level ? level.step : interval;
+
+  let chartCount = 0;
+  const chart = (title, unit, series, keys) => {
+    const withData = series.filter(s => s.points.length > 0);
+    if (withData.length === 0) return '';
+    const limits = thresholds.filter(t => keys.includes(t.key)).map(t => t.above);
+    const svg = renderChart({ series: withData, from, to, step, thresholds: limits, unit, id: `chart${++chartCount}` });
+    const legend = withData.length > 1
+      ? `<div class="legend">${withData.map((s, i) => `<span><i style="background:${COLORS[i % COLORS.length]}"></i>${escapeHtml(s.name)}</span>`).join('')}</div>`
+      : '';
+    return `<figure><figcaption>${escapeHtml(title)}${unit ? ` (${escapeHtml(unit)})` : ''}</figcaption>${svg}${legend}</figure>`;
+  };
+  const points = key => logger.history.range(key, { resolution });
+
+  // One chart per defined metric; GPUs get their own charts per card
+  const charts = [];
+  const hasGpus = logger.seen.gpus.size > 0;
+  logger.definitions.forEach(d => {
+    if (d.group === 'GPU' && hasGpus) return;
+    charts.push(chart(`${d.group} ${d.label}`, d.unit, [{ name: d.label, points: points(d.key) }], [d.key]));
+  });
+  const cores = [];
+  for (let i = 0; i < logger.seen.cores; i++) cores.push({ name: `#${i}`, points: points(`core.${i}`) });
+  charts.push(chart('Per-core usage', '%', cores, []));
+  charts.push(chart('CPU temperature sensors', '°C',
+    logger.seen.sensors.map(name => ({ name, points: points(`cpuTemp.${name}`) })),
+    logger.seen.sensors.map(name => `cpuTemp.${name}`)));
+  [...logger.seen.gpus.entries()].forEach(([index, name]) => {
+    GPU_FIELDS.filter(f => !f.text).forEach(f => {
+      const key = `gpu.${index}.${f.key}`;
+      const keys = index === 0 && f.key === 'usage' ? [key, 'gpuUsage']
+        : index === 0 && f.key === 'temperature' ? [key, 'gpuTemp'] : [key];
+      charts.push(chart(`GPU ${index}${name ? ` (${name})` : ''} ${f.label}`, f.unit, [{ name: f.label, points: points(key) }], keys));
+    });
+  });
+  logger.seen.selected.forEach(s => {
+    const key = `sensor.${s.identifier}`;
+    charts.push(chart(`${s.label} [${s.identifier}]`, s.unit, [{ name: s.label, points: points(key) }], [key]));
+  });
+
+  const html = renderPage({
+    title: options.title || 'StatSentry report',
+    files,
+    systems: files.map(file => ({ file, system: safeSystemInfo(file) })),
+    summary,
+    logger,
+    resolution,
+    charts: charts.filter(Boolean)
+  });
+  return { html, summary };
+}
+
+function safeSystemInfo(file) {
+  try {
+    return loadSystemInfo(file);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Statistics table rows: [label, stats, format, keys]
+function statisticsRows(summary, logger) {
+  const rows = [];
+  const plain = unit => value => formatMetric({ unit }, value);
+  const hasGpus = summary.gpus.length > 0;
+
+  summary.metrics.forEach(m => {
+    if (m.group === 'GPU' && hasGpus) return;
+    const definition = logger.definitions.find(d => d.key === m.key);
+    rows.push([`${m.group} ${m.label}`, m, value => formatMetric(definition, value), [m.key]]);
+  });
+  summary.cpu.cores.forEach(c => rows.push([`Core #${c.index} Usage`, c, plain('%'), [`core.${c.index}`]]));
+  summary.cpu.sensors.forEach(t => rows.push([`${t.name} Temp`, t, plain('°C'), [`cpuTemp.${t.name}`]]));
+  summary.gpus.forEach(g => {
+    const label = `GPU ${g.index}`;
+    rows.push([`${label} Usage`, g.usage, plain('%'), [`gpu.${g.index}.usage`].concat(g.index === 0 ? ['gpuUsage'] : [])]);
+    rows.push([`${label} Temp`, g.temp, plain('°C'), [`gpu.${g.index}.temperature`].concat(g.index === 0 ? ['gpuTemp'] : [])]);
+    rows.push([`${label} Mem Used`, g.memoryUsed, plain('MiB'), [`gpu.${g.index}.memory.used`]]);
+    rows.push([`${label} Power`, g.power, plain('W'), [`gpu.${g.index}.power`]]);
+  });
+  summary.selectedSensors.forEach(s => rows.push([s.label, s, plain(s.unit), [`sensor.${s.identifier}`]]));
+  return rows.filter(([, stats]) => stats.count > 0);
+}
+
+function renderPage({ title, files, systems, summary, logger, resolution, charts }) {
+  const breached = keys => summary.thresholds.some(t => keys.includes(t.key) && t.time > 0);
+  const breaches = summary.thresholds.filter(t => t.time > 0).length;
+
+  const statsRows = statisticsRows(summary, logger).map(([label, stats, format, keys]) => `
+      <tr${breached(keys) ? ' class="breach"' : ''}>
+        <th>${escapeHtml(label)}</th><td>${stats.count}</td>
+        ${['min', 'avg', 'max', 'stddev', 'p50', 'p95', 'p99'].map(field => `<td>${escapeHtml(format(stats[field]))}</td>`).join('')}
+      </tr>`).join('');
+
+  const thresholdRows = summary.thresholds.map(t => {
+    const definition = logger.definitions.find(d => d.key === t.key);
+    const label = definition ? `${definition.group} ${definition.label}` : t.key;
+    const streak = t.longestStreak
+      ? `${formatDuration(t.longestStreak.duration)} from ${t.longestStreak.start}`
+      : '-';
+    return `
+      <tr${t.time > 0 ? ' class="breach"' : ''}>
+        <th>${escapeHtml(label)} &gt; ${escapeHtml(t.above)}${escapeHtml(t.unit)}</th>
+        <td>${formatDuration(t.time)}</td><td>${(t.fraction * 100).toFixed(1)}%</td><td>${escapeHtml(streak)}</td>
+      </tr>`;
+  }).join('');
+
+  const gaps = summary.gaps;
+  const gapRows = gaps.list.map(g => `
+      <tr><td>${escapeHtml(g.start)}</td><td>${escapeHtml(g.end)}</td><td>${formatDuration(g.duration)}</td></tr>`).join('');
+
+  const systemRows = systems.map(({ file, system }) => (system
+    ? `
+      <tr><th>${escapeHtml(path.basename(file))}</th><td>${escapeHtml(system.hostname)}</td><td>${escapeHtml(system.os)} (${escapeHtml(system.arch)})</td>
+        <td>${escapeHtml(system.cpu || 'N/A')}</td><td>${system.logicalCores}</td><td>${(system.memory / 1024).toFixed(1)} GiB</td><td>${escapeHtml(system.node)}</td></tr>`
+    : `
+      <tr><th>${escapeHtml(path.basename(file))}</th><td colspan="6">Not recorded (log written by an older version)</td></tr>`)).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font: 14px/1.4 system-ui, -apple-system, "Segoe UI", sans-serif; color: #1a202c; margin: 24px auto; max-width: 940px; padding: 0 16px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 17px; margin-top: 32px; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+  .meta { color: #4a5568; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; margin: 16px 0; }
+  .card { border: 1px solid #e2e8f0; border-radius: 6px; padding: 8px 14px; }
+  .card b { display: block; font-size: 18px; }
+  .card.alert { border-color: ${BREACH_COLOR}; color: ${BREACH_COLOR}; }
+  table { border-collapse: collapse; width: 100%; font-variant-numeric: tabular-nums; }
+  th, td { padding: 4px 8px; border-bottom: 1px solid #edf2f7; text-align: right; white-space: nowrap; }
+  th:first-child, thead th { text-align: left; }
+  tr.breach { background: #fff5f5; color: #c53030; }
+  figure { margin: 20px 0; }
+  figcaption { font-weight: 600; margin-bottom: 4px; }
+  svg { max-width: 100%; height: auto; }
+  .grid { stroke: #edf2f7; }
+  .frame { fill: none; stroke: #cbd5e0; }
+  .tick { font-size: 11px; fill: #718096; }
+  .line { fill: none; stroke-width: 1.5; }
+  .band { opacity: 0.15; stroke: none; }
+  .threshold { stroke: ${BREACH_COLOR}; stroke-dasharray: 4 3; }
+  .threshold-label { fill: ${BREACH_COLOR}; }
+  .legend span { margin-right: 12px; font-size: 12px; }
+  .legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${files.map(file => escapeHtml(file)).join('<br>')}<br>Generated ${new Date().toISOString()}</div>
+
+<div class="cards">
+  <div class="card">Start<b>${escapeHtml(summary.start)}</b></div>
+  <div class="card">Duration<b>${formatDuration(summary.duration)}</b></div>
+  <div class="card">Samples<b>${summary.samples}</b></div>
+  <div class="card">Interval<b>${summary.interval} ms</b></div>
+  <div class="card${breaches > 0 ? ' alert' : ''}">Threshold breaches<b>${breaches} of ${summary.thresholds.length}</b></div>
+  <div class="card${gaps.count > 0 ? ' alert' : ''}">Gaps<b>${gaps.count}</b></div>
+</div>
+
+<h2>System</h2>
+<table>
+  <thead><tr><th>Log</th><th>Host</th><th>OS</th><th>CPU</th><th>Logical cores</th><th>Memory</th><th>Node.js</th></tr></thead>
+  <tbody>${systemRows}
+  </tbody>
+</table>
+
+<h2>Statistics</h2>
+<table>
+  <thead><tr><th>Metric</th><th>Samples</th><th>Min</th><th>Avg</th><th>Max</th><th>Std dev</th><th>P50</th><th>P95</th><th>P99</th></tr></thead>
+  <tbody>${statsRows}
+  </tbody>
+</table>
+
+<h2>Thresholds</h2>
+<table>
+  <thead><tr><th>Threshold</th><th>Time above</th><th>Share</th><th>Longest streak</th></tr></thead>
+  <tbody>${thresholdRows}
+  </tbody>
+</table>
+
+<h2>Gaps</h2>
+${gaps.count === 0
+    ? '<p>No gaps: every sample arrived within twice the interval of the previous one.</p>'
+    : `<p>${gaps.count} gap${gaps.count === 1 ? '' : 's'}, ${formatDuration(gaps.missing)} missing in total.${gaps.count > gaps.list.length ? ` The first ${gaps.list.length} are listed.` : ''}</p>
+<table>
+  <thead><tr><th>From</th><th>To</th><th>Length</th></tr></thead>
+  <tbody>${gapRows}
+  </tbody>
+</table>`}
+
+<h2>Charts</h2>
+<p class="meta">Times are UTC. ${resolution === 'raw'
+    ? 'Every sample is plotted.'
+    : `Points are ${resolution} averages; the shaded band spans each period's min and max.`}
+Readings above a threshold are drawn in red.</p>
+${charts.join('\n')}
+</body>
+</html>
+`;
+}
+
+function parseArgs(argv) {
+  const result = { help: false, files: [], output: null, title: null, thresholds: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--help' || arg === '-h') {
+      result.help = true;
+    } else if (arg === '--output' || arg === '-o') {
+      if (i + 1 < argv.length) {
+        result.output = argv[++i];
+      }
+    } else if (arg === '--title') {
+      if (i + 1 < argv.length) {
+        result.title = argv[++i];
+      }
+    } else if (arg === '--threshold') {
+      if (i + 1 < argv.length) {
+        const threshold = SessionStats.parseThreshold(argv[++i]);
+        if (!threshold) {
+          throw new Error(`Invalid --threshold value: ${argv[i]} (expected e.g. cpuTemp=85)`);
+        }
+        result.thresholds.push(threshold);
+      }
+    } else {
+      result.files.push(arg);
+    }
+  }
+
+  return result;
+}
+
+// Command line entry point; returns the exit code
+function run(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+
+  if (args.help || args.files.length === 0) {
+    console.log(`
+Usage:
+  node src/report.js [options] LOG...
+
+Writes a self-contained HTML report (statistics, thresholds, gaps and
+charts) for one or more logs: CSV logs, .csv.gz segments, rotation
+.index.json files or JSON (-f json) captures. Several logs are merged into
+one timeline.
+
+Options:
+  --output, -o FILE        Report file (default: <first log>.report.html)
+  --title TEXT             Report heading (default: StatSentry report)
+  --threshold KEY=VALUE    Highlight time above VALUE for a series
+                           (repeatable; default: the monitor's defaults)
+  --help, -h               Show this help message
+
+Example:
+  node src/report.js logs/hw_monitor_2025-01-01T22-00-00.000Z.index.json -o soak.html
+    `);
+    return args.help ? 0 : 1;
+  }
+
+  const output = args.output ||
+    args.files[0].replace(/(\.index\.json|\.csv\.gz|\.csv|\.json|\.ndjson)?$/, '.report.html');
+
+  try {
+    const { html, summary } = generateReport(args.files, {
+      title: args.title,
+      thresholds: args.thresholds.length > 0 ? args.thresholds : undefined
+    });
+    fs.writeFileSync(output, html);
+    console.log(`Report for ${summary.samples} samples (${formatDuration(summary.duration)}) written to ${output}`);
+    return 0;
+  } catch (err) {
+    console.error(`Cannot create report: ${err.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = {
+  generateReport,
+  renderChart,
+  run
+};
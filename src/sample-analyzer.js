@@ -0,0 +1,328 @@
+// Throttling and sensor-fault detection over the sample stream
+//
+// Findings are either episodes with a start and an end, or single events:
+//   throttling     temperature pinned within `margin` of the limit (Tjmax)
+//                  while performance (CPU usage; GPU core clock) has dropped
+//                  by `drop` below its EWMA baseline for `minDuration`
+//   stuck          a temperature flat-lines for `flatWindow` although the
+//                  load it depends on moved by `flatLoadRange` points
+//   jump           a temperature steps faster than `maxRate` °C/s and stays
+//   spike          a temperature leaves its EWMA band (z-score above
+//                  `zThreshold` and at least `minDeviation` °C) for a single
+//                  sample and comes straight back: a glitch, not heat
+//   dropout        a temperature that was being read has no reading; the
+//                  CPU's per-sensor series only count while the CPU
+//                  temperature itself is still read
+//   simulated      a metric is served by the simulated fallback
+//   source-change  the provider of a metric changed mid-session; a
+//                  provider with nothing to read ('none') is a dropout,
+//                  not a change
+//
+// Jumps and spikes are decided one sample late, once it is known whether the
+// reading came back. Missing readings are skipped rather than treated as
+// values, so the first reading after a gap is measured against the last one
+// before it. The baseline for throttling only learns while the
+// temperature is below the pinned band, so throttled clocks never become
+// the new normal.
+
+const DEFAULT_OPTIONS = {
+  cpuLimit: 100, // °C, CPU Tjmax
+  gpuLimit: 90, // °C, GPU slowdown temperature
+  margin: 10, // °C below the limit that counts as pinned
+  drop: 0.2, // fraction below baseline that counts as throttled
+  recover: 0.1, // fraction below baseline that counts as recovered
+  minDuration: 5000, // ms a drop must last before it is a finding
+  maxRate: 20, // °C/s
+  zThreshold: 6,
+  minDeviation: 5, // °C
+  flatWindow: 60000, // ms
+  flatLoadRange: 20, // percentage points
+  alpha: 0.1, // EWMA weight of the newest sample
+  warmup: 10 // samples before EWMA statistics are trusted
+};
+
+// Findings beyond this many are counted but not listed
+const MAX_LISTED_FINDINGS = 100;
+
+// Exponentially weighted mean and variance
+class Ewma {
+  constructor(alpha) {
+    this.alpha = alpha;
+    this.mean = null;
+    this.variance = 0;
+    this.count = 0;
+  }
+
+  add(value) {
+    this.count++;
+    if (this.mean === null) {
+      this.mean = value;
+      return;
+    }
+    const diff = value - this.mean;
+    const increment = this.alpha * diff;
+    this.mean += increment;
+    this.variance = (1 - this.alpha) * (this.variance + diff * increment);
+  }
+
+  get stddev() {
+    return Math.sqrt(this.variance);
+  }
+}
+
+// Temperature series and the load each one follows
+function temperatureSeries(values) {
+  return Object.keys(values)
+    .filter(key => key === 'cpuTemp' || key.startsWith('cpuTemp.') || /^gpu\.\d+\.temperature$/.test(key))
+    .map(key => {
+      const gpu = key.match(/^gpu\.(\d+)\./);
+      return { key, load: gpu ? `gpu.${gpu[1]}.usage` : 'cpuUsage' };
+    });
+}
+
+// "cpuTemp.Core 1" -> "CPU Core 1", "gpu.0.temperature" -> "GPU 0"
+function describeSeries(key) {
+  if (key === 'cpuTemp' || key === 'cpu') return 'CPU';
+  if (key.startsWith('cpuTemp.')) return `CPU ${key.slice('cpuTemp.'.length)}`;
+  const gpu = key.match(/^gpu\.(\d+)/);
+  return gpu ? `GPU ${gpu[1]}` : key;
+}
+
+function round(value, digits = 1) {
+  return Number(value.toFixed(digits));
+}
+
+class SampleAnalyzer {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.temperatures = new Map(); // series -> { last, ewma, flat, candidate }
+    this.components = new Map(); // 'cpu' or 'gpu.<n>' -> throttling state
+    this.sources = new Map(); // metric -> last provider
+    this.open = new Map(); // "<type>|<series>" -> finding in progress
+    this.findings = [];
+    this.counts = {};
+    this.total = 0;
+    this.lastTime = null;
+  }
+
+  // Analyse one sample; returns the tags of the findings open on it or
+  // raised by it, e.g. ['throttling:gpu.0', 'spike:cpuTemp.Core 1']
+  analyze(time, values, metrics = {}) {
+    const raised = [];
+    this.lastTime = time;
+    this._checkTemperatures(time, values, raised);
+    this._checkThrottling(time, values);
+    this._checkSources(time, metrics.sources || {}, raised);
+
+    return [...this.open.values(), ...raised].map(finding => `${finding.type}:${finding.series}`);
+  }
+
+  // Findings in progress, with their duration so far
+  active() {
+    return [...this.open.values()].map(finding => ({
+      ...this._toSummary(finding),
+      duration: (this.lastTime - finding.start) / 1000
+    }));
+  }
+
+  // Counts per type and the findings themselves; durations are in seconds,
+  // timestamps are ISO strings. Findings still open end at null.
+  summary() {
+    return {
+      total: this.total,
+      counts: { ...this.counts },
+      findings: this.findings.map(finding => this._toSummary(finding))
+    };
+  }
+
+  _checkTemperatures(time, values, raised) {
+    const o = this.options;
+    const series = temperatureSeries(values);
+    // Series read before but absent from this sample have dropped out too
+    this.temperatures.forEach((state, key) => {
+      if (!(key in values)) series.push({ key, load: null });
+    });
+
+    series.forEach(({ key, load }) => {
+      const value = values[key];
+      let state = this.temperatures.get(key);
+      if (typeof value !== 'number') {
+        const covered = key.startsWith('cpuTemp.') && typeof values.cpuTemp !== 'number';
+        if (state && !covered) {
+          this._openFinding('dropout', key, time, `${describeSeries(key)} temperature stopped reporting`);
+        }
+        return;
+      }
+      this._close('dropout', key, time);
+      if (!state) {
+        state = { last: null, ewma: new Ewma(o.alpha), flat: null, candidate: null };
+        this.temperatures.set(key, state);
+      }
+
+      // Decide last sample's outlier now that we know where the reading went
+      const candidate = state.candidate;
+      if (candidate) {
+        state.candidate = null;
+        const step = Math.abs(candidate.value - candidate.before);
+        if (Math.abs(value - candidate.before) < step / 2) {
+          raised.push(this._event('spike', key, candidate.time,
+            `${describeSeries(key)} read ${round(candidate.value)}°C between ${round(candidate.before)} and ${round(value)}°C`));
+          // The glitch is not the reading to measure the next step from
+          state.last = { time: candidate.time, value: candidate.before };
+        } else {
+          if (candidate.rate > o.maxRate) {
+            raised.push(this._event('jump', key, candidate.time,
+              `${describeSeries(key)} jumped ${round(candidate.value - candidate.before)}°C in ${round(candidate.dt, 2)}s`));
+          }
+          // A new level: let the baseline follow it
+          state.ewma.add(candidate.value);
+        }
+      }
+
+      const last = state.last;
+      if (last) {
+        const dt = (time - last.time) / 1000;
+        const step = Math.abs(value - last.value);
+        const deviation = Math.abs(value - state.ewma.mean);
+        const rate = dt > 0 ? step / dt : 0;
+        const outlier = state.ewma.count >= o.warmup && step >= o.minDeviation && deviation >= o.minDeviation &&
+          deviation > o.zThreshold * state.ewma.stddev;
+        if (rate > o.maxRate || outlier) {
+          state.candidate = { time, value, before: last.value, rate, dt };
+        }
+      }
+      // Outliers stay out of the baseline they are measured against
+      if (!state.candidate) state.ewma.add(value);
+
+      // Flat-line: unchanged reading while the load moved
+      const loadValue = values[load];
+      if (!state.flat || value !== state.flat.value) {
+        this._close('stuck', key, time);
+        state.flat = { since: time, value, loadMin: loadValue, loadMax: loadValue };
+      } else if (typeof loadValue === 'number') {
+        state.flat.loadMin = state.flat.loadMin == null ? loadValue : Math.min(state.flat.loadMin, loadValue);
+        state.flat.loadMax = state.flat.loadMax == null ? loadValue : Math.max(state.flat.loadMax, loadValue);
+        const flat = state.flat;
+        if (time - flat.since >= o.flatWindow && flat.loadMax - flat.loadMin >= o.flatLoadRange) {
+          this._openFinding('stuck', key, flat.since,
+            `${describeSeries(key)} stuck at ${round(value)}°C while load ranged ${round(flat.loadMin, 0)}-${round(flat.loadMax, 0)}%`);
+        }
+      }
+      state.last = { time, value };
+    });
+  }
+
+  _checkThrottling(time, values) {
+    const o = this.options;
+    const components = [{ id: 'cpu', temp: 'cpuTemp', perf: 'cpuUsage', label: 'usage', unit: '%', limit: o.cpuLimit }];
+    Object.keys(values).forEach(key => {
+      const gpu = key.match(/^gpu\.(\d+)\.temperature$/);
+      if (!gpu) return;
+      const clock = `gpu.${gpu[1]}.clocks.core`;
+      components.push(typeof values[clock] === 'number'
+        ? { id: `gpu.${gpu[1]}`, temp: key, perf: clock, label: 'core clock', unit: ' MHz', limit: o.gpuLimit }
+        : { id: `gpu.${gpu[1]}`, temp: key, perf: `gpu.${gpu[1]}.usage`, label: 'usage', unit: '%', limit: o.gpuLimit });
+    });
+
+    components.forEach(c => {
+      const temp = values[c.temp];
+      const perf = values[c.perf];
+      if (typeof temp !== 'number' || typeof perf !== 'number') return;
+      let state = this.components.get(c.id);
+      if (!state) {
+        state = { baseline: new Ewma(o.alpha), since: null };
+        this.components.set(c.id, state);
+      }
+
+      const pinned = temp >= c.limit - o.margin;
+      const baseline = state.baseline.mean;
+      const episode = this.open.get(`throttling|${c.id}`);
+      if (episode) {
+        if (!pinned || perf >= baseline * (1 - o.recover)) {
+          this._close('throttling', c.id, time);
+          state.since = null;
+        } else {
+          episode.peakTemp = Math.max(episode.peakTemp, temp);
+          episode.minPerf = Math.min(episode.minPerf, perf);
+        }
+      } else if (pinned && state.baseline.count >= o.warmup && perf <= baseline * (1 - o.drop)) {
+        if (state.since === null) state.since = time;
+        if (time - state.since >= o.minDuration) {
+          const finding = this._openFinding('throttling', c.id, state.since,
+            `${describeSeries(c.id)} ${c.label} ${round(perf, 0)}${c.unit} against ${round(baseline, 0)}${c.unit} before, at ${round(temp)}°C`);
+          finding.peakTemp = temp;
+          finding.minPerf = perf;
+        }
+      } else {
+        state.since = null;
+      }
+
+      if (!pinned) state.baseline.add(perf);
+    });
+  }
+
+  _checkSources(time, sources, raised) {
+    Object.keys(sources).forEach(metric => {
+      const { provider, simulated } = sources[metric];
+      if (provider === 'none') return;
+      const previous = this.sources.get(metric);
+      this.sources.set(metric, provider);
+      if (previous !== undefined && previous !== provider) {
+        raised.push(this._event('source-change', metric, time, `${metric} source changed from ${previous} to ${provider}`));
+      }
+
+      // Synthetic data is simulated on purpose
+      if (simulated && !provider.startsWith('synthetic')) {
+        this._openFinding('simulated', metric, time, `${metric} is simulated, not read from a sensor`);
+      } else {
+        this._close('simulated', metric, time);
+      }
+    });
+  }
+
+  // Start an episode unless the same one is already open
+  _openFinding(type, series, start, detail) {
+    const id = `${type}|${series}`;
+    if (this.open.has(id)) return this.open.get(id);
+    const finding = { type, series, start, end: null, detail };
+    this.open.set(id, finding);
+    this._record(finding);
+    return finding;
+  }
+
+  _close(type, series, time) {
+    const id = `${type}|${series}`;
+    const finding = this.open.get(id);
+    if (!finding) return;
+    finding.end = time;
+    this.open.delete(id);
+  }
+
+  // A finding without duration
+  _event(type, series, time, detail) {
+    const finding = { type, series, start: time, end: time, detail };
+    this._record(finding);
+    return finding;
+  }
+
+  _record(finding) {
+    this.total++;
+    this.counts[finding.type] = (this.counts[finding.type] || 0) + 1;
+    if (this.findings.length < MAX_LISTED_FINDINGS) this.findings.push(finding);
+  }
+
+  _toSummary(finding) {
+    return {
+      type: finding.type,
+      series: finding.series,
+      start: new Date(finding.start).toISOString(),
+      end: finding.end === null ? null : new Date(finding.end).toISOString(),
+      duration: finding.end === null ? null : (finding.end - finding.start) / 1000,
+      detail: finding.detail
+    };
+  }
+}
+
+SampleAnalyzer.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = SampleAnalyzer;
@@ -0,0 +1,150 @@
+// Sensor provider registry
+//
+// Every hardware source (the LibreHardwareMonitor bridge, WMI, PowerShell, the
+// simulation fallback...) registers itself here with a name, the platform(s)
+// it runs on, a priority and a probe function. Reading a metric walks the
+// providers for that metric in priority order and returns the first usable
+// value together with its provenance, so callers never have to guess where a
+// number came from.
+
+class SensorRegistry {
+  constructor(options = {}) {
+    this.options = {
+      platform: options.platform || process.platform,
+      debug: options.debug || false,
+      ...options
+    };
+
+    this.providers = [];
+    // Probe outcomes per provider name: { probes, failures, empty }
+    this.probeStats = new Map();
+  }
+
+  // Register a provider:
+  //   name      - unique identifier, reported with every reading
+  //   metric    - which metric it produces (e.g. 'cpuTemp')
+  //   platform  - 'win32', 'linux', an array of them, or '*' for any
+  //   priority  - lower numbers are tried first
+  //   simulated - true if the value is not a real sensor reading
+  //   vendors   - GPU providers only: the vendors it can report, e.g. ['nvidia']
+  //   probe     - async (context) => value, or null/undefined if unavailable.
+  //               A probe may also return { value, details } to attach a
+  //               breakdown (e.g. per-core values) to the headline value.
+  //   close     - optional, releases long-lived resources (child processes)
+  register(provider) {
+    if (!provider || !provider.name || !provider.metric || typeof provider.probe !== 'function') {
+      throw new TypeError('Provider needs a name, a metric and a probe function');
+    }
+    if (this.providers.some(p => p.name === provider.name)) {
+      throw new Error(`Provider "${provider.name}" is already registered`);
+    }
+
+    this.providers.push({
+      platform: '*',
+      priority: 100,
+      simulated: false,
+      ...provider
+    });
+
+    // Keep registration order for providers of equal priority
+    this.providers.sort((a, b) => a.priority - b.priority);
+    return this;
+  }
+
+  unregister(name) {
+    this.providers = this.providers.filter(p => p.name !== name);
+    return this;
+  }
+
+  // Providers for a metric that can run on this platform, in probe order
+  list(metric) {
+    return this.providers.filter(p =>
+      (!metric || p.metric === metric) && this._supportsPlatform(p)
+    );
+  }
+
+  // Probe providers for `metric` until one returns a value. Resolves to
+  // { value, details, provider, simulated } or null when nothing produced a
+  // reading. `details` is whatever breakdown the provider attached, or null.
+  async read(metric, context = {}) {
+    for (const provider of this.list(metric)) {
+      const reading = await this.readFrom(provider, context);
+      if (reading) return reading;
+    }
+
+    return null;
+  }
+
+  // Probe one provider (an entry of list()), counting the outcome in its
+  // stats. Resolves to a reading as read() does, or null.
+  async readFrom(provider, context = {}) {
+    const stats = this._statsFor(provider);
+    stats.probes++;
+
+    let value;
+    try {
+      value = await provider.probe(context);
+    } catch (e) {
+      stats.failures++;
+      if (this.options.debug) {
+        console.error(`Provider ${provider.name} failed:`, e.message);
+      }
+      return null;
+    }
+
+    let details = null;
+    if (value && typeof value === 'object' && 'value' in value) {
+      details = value.details || null;
+      value = value.value;
+    }
+
+    if (value === null || value === undefined || Number.isNaN(value)) {
+      stats.empty++;
+      return null;
+    }
+
+    return {
+      value,
+      details,
+      provider: provider.name,
+      simulated: provider.simulated
+    };
+  }
+
+  // How often each provider was probed, threw (failures) or had no reading
+  // (empty): [{ name, metric, probes, failures, empty }]
+  getStats() {
+    return this.providers
+      .filter(p => this.probeStats.has(p.name))
+      .map(p => ({ name: p.name, metric: p.metric, ...this.probeStats.get(p.name) }));
+  }
+
+  // Release every provider's resources, e.g. before exiting
+  close() {
+    for (const provider of this.providers) {
+      if (typeof provider.close === 'function') {
+        try {
+          provider.close();
+        } catch (e) {
+          if (this.options.debug) {
+            console.error(`Provider ${provider.name} failed to close:`, e.message);
+          }
+        }
+      }
+    }
+  }
+
+  _statsFor(provider) {
+    if (!this.probeStats.has(provider.name)) {
+      this.probeStats.set(provider.name, { probes: 0, failures: 0, empty: 0 });
+    }
+    return this.probeStats.get(provider.name);
+  }
+
+  _supportsPlatform(provider) {
+    const platforms = Array.isArray(provider.platform) ? provider.platform : [provider.platform];
+    return platforms.includes('*') || platforms.includes(this.options.platform);
+  }
+}
+
+module.exports = SensorRegistry;
@@ -0,0 +1,137 @@
+// Queryable view of the full LibreHardwareMonitor sensor tree
+//
+// The bridge's "tree" request (or `--tree`) returns every hardware node with
+// its sensors and sub-hardware:
+//   { identifier, name, hardwareType, sensors: [...], subHardware: [...] }
+// where each sensor is { identifier, name, sensorType, value, min, max }.
+// SensorTree flattens that into sensors addressable by their identifier
+// (e.g. '/amdcpu/0/temperature/2' or '/gpu-nvidia/0/load/0') so any of them
+// can be picked for logging or charting.
+
+// Display units for LibreHardwareMonitor sensor types
+const SENSOR_UNITS = {
+  Voltage: 'V',
+  Current: 'A',
+  Power: 'W',
+  Clock: 'MHz',
+  Temperature: '°C',
+  Load: '%',
+  Frequency: 'Hz',
+  Fan: 'RPM',
+  Flow: 'L/h',
+  Control: '%',
+  Level: '%',
+  Factor: '',
+  Data: 'GB',
+  SmallData: 'MB',
+  Throughput: 'B/s',
+  TimeSpan: 's',
+  Energy: 'mWh',
+  Noise: 'dBA'
+};
+
+class SensorTree {
+  constructor(hardware = []) {
+    this.hardware = hardware;
+    this._sensors = [];
+    this._byIdentifier = new Map();
+
+    hardware.forEach(node => this._addHardware(node, []));
+  }
+
+  // Every sensor, in tree order, as
+  // { identifier, name, sensorType, unit, value, min, max, hardware,
+  //   hardwareType, hardwareIdentifier, path }
+  sensors() {
+    return this._sensors.slice();
+  }
+
+  get(identifier) {
+    return this._byIdentifier.get(identifier) || null;
+  }
+
+  // Current value of a sensor, or null if it is missing or has no reading
+  getValue(identifier) {
+    const sensor = this.get(identifier);
+    return sensor && typeof sensor.value === 'number' ? sensor.value : null;
+  }
+
+  // Sensors matching every given criterion. Types compare case-insensitively;
+  // `name` may be a string (substring match) or a RegExp.
+  find(filter = {}) {
+    const matches = (expected, actual) =>
+      expected == null || String(actual).toLowerCase() === String(expected).toLowerCase();
+
+    return this._sensors.filter(sensor => {
+      if (!matches(filter.hardwareType, sensor.hardwareType)) return false;
+      if (!matches(filter.sensorType, sensor.sensorType)) return false;
+      if (filter.name instanceof RegExp) return filter.name.test(sensor.name);
+      if (filter.name != null) return sensor.name.toLowerCase().includes(String(filter.name).toLowerCase());
+      return true;
+    });
+  }
+
+  // Readings for the requested identifiers, in the requested order. Sensors
+  // that are not in the tree are reported with a null value.
+  pick(identifiers) {
+    return identifiers.map(identifier => {
+      const sensor = this.get(identifier);
+      if (!sensor) {
+        return { identifier, name: identifier, hardware: null, sensorType: null, unit: '', value: null };
+      }
+      return {
+        identifier,
+        name: sensor.name,
+        hardware: sensor.hardware,
+        sensorType: sensor.sensorType,
+        unit: sensor.unit,
+        value: typeof sensor.value === 'number' ? sensor.value : null
+      };
+    });
+  }
+
+  // Indented listing of the hierarchy with identifiers and current values
+  format() {
+    const lines = [];
+    const walk = (node, depth) => {
+      const indent = '  '.repeat(depth);
+      lines.push(`${indent}${node.name} (${node.hardwareType}) ${node.identifier}`);
+      (node.sensors || []).forEach(sensor => {
+        const unit = SENSOR_UNITS[sensor.sensorType] || '';
+        const value = typeof sensor.value === 'number' ? `${sensor.value.toFixed(2)}${unit ? ' ' + unit : ''}` : 'N/A';
+        lines.push(`${indent}  ${sensor.identifier.padEnd(40)} ${`${sensor.sensorType}: ${sensor.name}`.padEnd(36)} ${value}`);
+      });
+      (node.subHardware || []).forEach(child => walk(child, depth + 1));
+    };
+    this.hardware.forEach(node => walk(node, 0));
+    return lines.join('\n');
+  }
+
+  _addHardware(node, parents) {
+    const path = [...parents, node.name];
+
+    (node.sensors || []).forEach(sensor => {
+      const entry = {
+        identifier: sensor.identifier,
+        name: sensor.name,
+        sensorType: sensor.sensorType,
+        unit: SENSOR_UNITS[sensor.sensorType] || '',
+        value: sensor.value,
+        min: sensor.min,
+        max: sensor.max,
+        hardware: node.name,
+        hardwareType: node.hardwareType,
+        hardwareIdentifier: node.identifier,
+        path: [...path, sensor.name].join(' / ')
+      };
+      this._sensors.push(entry);
+      this._byIdentifier.set(entry.identifier, entry);
+    });
+
+    (node.subHardware || []).forEach(child => this._addHardware(child, path));
+  }
+}
+
+SensorTree.SENSOR_UNITS = SENSOR_UNITS;
+
+module.exports = SensorTree;
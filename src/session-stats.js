@@ -0,0 +1,137 @@
+// Time-based session statistics: time above thresholds, the longest
+// continuous streak above each, and gaps between samples
+//
+// Each sample is taken to hold until the next one. When two samples are
+// more than twice the expected interval apart, the stretch between them is a
+// gap: the earlier sample only counts for one interval, and any streak in
+// progress ends there.
+//
+// Thresholds are { key, above } where `key` is a history series (see
+// Logger), e.g. { key: 'cpuTemp', above: 90 } or
+// { key: 'gpu.0.temperature', above: 83 }.
+
+const DEFAULT_THRESHOLDS = [
+  { key: 'cpuTemp', above: 80 },
+  { key: 'cpuTemp', above: 90 },
+  { key: 'gpuTemp', above: 80 },
+  { key: 'cpuUsage', above: 90 }
+];
+
+// Gaps beyond this many are counted but not listed
+const MAX_LISTED_GAPS = 100;
+
+class SessionStats {
+  constructor(options = {}) {
+    this.interval = options.interval || 1000; // expected ms between samples
+    this.thresholds = (options.thresholds || DEFAULT_THRESHOLDS).map(threshold => ({
+      ...threshold,
+      time: 0, // ms spent above
+      current: null, // streak in progress: { start, duration }
+      longest: null // { start, end, duration }
+    }));
+    this.gaps = { count: 0, missing: 0, longest: null, list: [] };
+    this.covered = 0; // ms accounted to samples
+    this.last = null; // { time, values } of the previous sample
+  }
+
+  // Account the time since the previous sample and update streaks. `values`
+  // maps series names to numbers, as stored in the history.
+  add(time, values) {
+    const last = this.last;
+    let credit = 0;
+    let gap = false;
+
+    if (last) {
+      const elapsed = time - last.time;
+      gap = elapsed > 2 * this.interval;
+      credit = gap ? this.interval : Math.max(0, elapsed);
+      if (gap) this._addGap(last.time, time);
+    }
+    this.covered += credit;
+
+    this.thresholds.forEach(threshold => {
+      const wasAbove = last !== null && this._isAbove(threshold, last.values);
+      const isAbove = this._isAbove(threshold, values);
+
+      if (wasAbove) {
+        threshold.time += credit;
+        threshold.current.duration += credit;
+      }
+      if (wasAbove && (!isAbove || gap)) {
+        this._endStreak(threshold, gap ? last.time + this.interval : time);
+      }
+      if (isAbove && !threshold.current) {
+        threshold.current = { start: time, duration: 0 };
+      }
+    });
+
+    this.last = { time, values };
+  }
+
+  // Numeric summary; times are in seconds, timestamps are ISO strings
+  //   thresholds: [{ key, above, time, fraction, longestStreak }]
+  //   gaps: { count, missing, longest, list }
+  summary() {
+    const toStreak = streak => streak && {
+      start: new Date(streak.start).toISOString(),
+      end: new Date(streak.end).toISOString(),
+      duration: streak.duration / 1000
+    };
+
+    return {
+      thresholds: this.thresholds.map(threshold => {
+        // A streak still running at the end counts up to the last sample
+        const current = threshold.current && { ...threshold.current, end: this.last.time };
+        const longest = current && (!threshold.longest || current.duration > threshold.longest.duration)
+          ? current
+          : threshold.longest;
+        return {
+          key: threshold.key,
+          above: threshold.above,
+          time: threshold.time / 1000,
+          fraction: this.covered > 0 ? threshold.time / this.covered : 0,
+          longestStreak: toStreak(longest)
+        };
+      }),
+      gaps: {
+        count: this.gaps.count,
+        missing: this.gaps.missing / 1000,
+        longest: toStreak(this.gaps.longest),
+        list: this.gaps.list.map(toStreak)
+      }
+    };
+  }
+
+  _isAbove(threshold, values) {
+    const value = values[threshold.key];
+    return typeof value === 'number' && value > threshold.above;
+  }
+
+  _endStreak(threshold, end) {
+    const streak = { ...threshold.current, end };
+    if (!threshold.longest || streak.duration > threshold.longest.duration) {
+      threshold.longest = streak;
+    }
+    threshold.current = null;
+  }
+
+  _addGap(start, end) {
+    const gap = { start, end, duration: end - start };
+    this.gaps.count++;
+    this.gaps.missing += gap.duration - this.interval;
+    if (!this.gaps.longest || gap.duration > this.gaps.longest.duration) this.gaps.longest = gap;
+    if (this.gaps.list.length < MAX_LISTED_GAPS) this.gaps.list.push(gap);
+  }
+}
+
+// Parse a --threshold value such as cpuTemp=85; null if invalid
+function parseThreshold(value) {
+  const match = String(value).trim().match(/^([\w.\/-]+)\s*[=>]\s*(-?\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+  return { key: match[1], above: parseFloat(match[2]) };
+}
+
+SessionStats.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+SessionStats.parseThreshold = parseThreshold;
+
+module.exports = SessionStats;
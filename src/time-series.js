@@ -0,0 +1,299 @@
+// Multi-resolution in-memory history of numeric series
+//
+// Every sample is a set of named values (e.g. { cpuUsage: 12.5,
+// 'core.3': 40.1 }). The store keeps:
+//   raw  every sample from the last `rawWindow` ms (at most `maxRawSamples`)
+//   1m   min/avg/max per minute for the last `retention` of that level
+//   1h   min/avg/max per hour, by default for a year
+// Each level drops its oldest entries as new ones arrive, so memory stays
+// bounded however long the session runs, while min, max, average and
+// standard deviation over the whole run stay exact (rollups keep count, sum
+// and sum of squares, not just averages).
+//
+// Percentiles are exact for ranges within the raw window. For the whole run
+// they come from a per-series quantile sketch accurate to 0.5% of the value;
+// other ranges have no percentiles.
+//
+// Queries name a series and a time range; by default they use the finest
+// level that still covers the start of the range. Rollup buckets are
+// included whole when their start falls in the range, so range edges are
+// only as precise as the level used.
+
+const PERCENTILES = [50, 95, 99];
+
+const DEFAULT_LEVELS = [
+  { name: '1m', step: 60e3, retention: 24 * 3600e3 },
+  { name: '1h', step: 3600e3, retention: 365 * 86400e3 }
+];
+
+// Log-bucketed quantile sketch (DDSketch): values are counted in buckets
+// whose width grows with the value, so any quantile is known to within
+// `accuracy` relative error. At most `maxBuckets` buckets per sign are kept;
+// beyond that the smallest magnitudes are merged.
+class QuantileSketch {
+  constructor(accuracy = 0.005, maxBuckets = 2048) {
+    this.gamma = (1 + accuracy) / (1 - accuracy);
+    this.logGamma = Math.log(this.gamma);
+    this.maxBuckets = maxBuckets;
+    this.positive = new Map(); // bucket index -> count
+    this.negative = new Map();
+    this.zeros = 0;
+    this.count = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  add(value) {
+    this.count++;
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+    if (Math.abs(value) < 1e-9) {
+      this.zeros++;
+      return;
+    }
+
+    const buckets = value > 0 ? this.positive : this.negative;
+    const index = Math.ceil(Math.log(Math.abs(value)) / this.logGamma);
+    buckets.set(index, (buckets.get(index) || 0) + 1);
+    if (buckets.size > this.maxBuckets) {
+      const [lowest, next] = [...buckets.keys()].sort((a, b) => a - b);
+      buckets.set(next, buckets.get(next) + buckets.get(lowest));
+      buckets.delete(lowest);
+    }
+  }
+
+  // Value at quantile q (0-1), or null when empty
+  quantile(q) {
+    if (this.count === 0) return null;
+
+    const rank = q * (this.count - 1);
+    const estimate = index => 2 * Math.pow(this.gamma, index) / (this.gamma + 1);
+    const ordered = [
+      ...[...this.negative.keys()].sort((a, b) => b - a).map(i => [-estimate(i), this.negative.get(i)]),
+      [0, this.zeros],
+      ...[...this.positive.keys()].sort((a, b) => a - b).map(i => [estimate(i), this.positive.get(i)])
+    ];
+
+    let seen = 0;
+    for (const [value, count] of ordered) {
+      seen += count;
+      if (seen > rank) return Math.min(this.max, Math.max(this.min, value));
+    }
+    return this.max;
+  }
+}
+
+// Percentile p (0-100) of sorted values, interpolating between ranks
+function percentile(sorted, p) {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+class TimeSeriesStore {
+  constructor(options = {}) {
+    this.options = {
+      rawWindow: options.rawWindow || 10 * 60e3, // ms
+      maxRawSamples: options.maxRawSamples || 3600,
+      levels: options.levels || DEFAULT_LEVELS,
+      ...options
+    };
+
+    this.raw = []; // { time, values }
+    this.rawTrimmed = false;
+    this.levels = this.options.levels.map(level => ({ ...level, buckets: [], trimmed: false }));
+    this.seriesKeys = []; // series names, in the order first seen
+    this.sketches = new Map(); // series name -> QuantileSketch over the whole run
+    this.count = 0; // samples added over the whole run
+    this.start = null;
+    this.end = null;
+  }
+
+  // Level names from finest to coarsest, e.g. ['raw', '1m', '1h']
+  get resolutions() {
+    return ['raw', ...this.levels.map(level => level.name)];
+  }
+
+  // Series names in the order they were first seen
+  keys() {
+    return this.seriesKeys.slice();
+  }
+
+  // Record one sample at `time` (epoch ms). Non-numeric values are skipped,
+  // so a sensor that drops out leaves a gap rather than a zero.
+  add(time, values) {
+    const readings = {};
+    Object.keys(values).forEach(key => {
+      const value = values[key];
+      if (typeof value !== 'number' || Number.isNaN(value)) return;
+      readings[key] = value;
+      if (!this.sketches.has(key)) {
+        this.seriesKeys.push(key);
+        this.sketches.set(key, new QuantileSketch());
+      }
+      this.sketches.get(key).add(value);
+    });
+
+    if (this.start === null) this.start = time;
+    this.end = Math.max(this.end === null ? time : this.end, time);
+    this.count++;
+
+    this.raw.push({ time, values: readings });
+    while (this.raw.length > 0 && (this.raw.length > this.options.maxRawSamples || this.raw[0].time < this.end - this.options.rawWindow)) {
+      this.raw.shift();
+      this.rawTrimmed = true;
+    }
+
+    this.levels.forEach(level => this._addToLevel(level, time, readings));
+  }
+
+  // Points of a series within [from, to]:
+  //   [{ time, min, avg, max, count, sumSquares }]
+  // `resolution` is 'raw', a level name, or 'auto' (default) for the finest
+  // level that covers `from`. Raw points have min = avg = max.
+  range(key, options = {}) {
+    const { from = -Infinity, to = Infinity } = options;
+    const resolution = options.resolution && options.resolution !== 'auto'
+      ? options.resolution
+      : this.resolutionFor(from);
+    const level = this._level(resolution);
+
+    if (!level) {
+      return this.raw
+        .filter(entry => entry.time >= from && entry.time <= to && key in entry.values)
+        .map(entry => {
+          const value = entry.values[key];
+          return { time: entry.time, min: value, avg: value, max: value, count: 1, sumSquares: value * value };
+        });
+    }
+
+    return this._buckets(level, from, to)
+      .filter(bucket => bucket.series[key])
+      .map(bucket => {
+        const { min, max, sum, count, sumSquares } = bucket.series[key];
+        return { time: bucket.start, min, avg: sum / count, max, count, sumSquares };
+      });
+  }
+
+  // Number of samples within [from, to], at the same resolution as range()
+  sampleCount(options = {}) {
+    const { from = -Infinity, to = Infinity } = options;
+    if (from === -Infinity && to === Infinity) return this.count;
+
+    const resolution = options.resolution && options.resolution !== 'auto'
+      ? options.resolution
+      : this.resolutionFor(from);
+    const level = this._level(resolution);
+    if (!level) return this.raw.filter(entry => entry.time >= from && entry.time <= to).length;
+    return this._buckets(level, from, to).reduce((sum, bucket) => sum + bucket.samples, 0);
+  }
+
+  // Plain values of a series within the range, e.g. for a sparkline
+  values(key, options = {}) {
+    return this.range(key, options).map(point => point.avg);
+  }
+
+  // Statistics of a series over [from, to], or null without readings:
+  //   { count, min, avg, max, stddev, p50, p95, p99 }
+  // Percentiles are null where they can't be computed (see above).
+  stats(key, options = {}) {
+    const { from = -Infinity, to = Infinity } = options;
+    const points = this.range(key, options);
+    if (points.length === 0) return null;
+
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    points.forEach(point => {
+      min = Math.min(min, point.min);
+      max = Math.max(max, point.max);
+      sum += point.avg * point.count;
+      sumSquares += point.sumSquares;
+      count += point.count;
+    });
+    const avg = sum / count;
+    // Population standard deviation; clamped since rounding can make the
+    // variance of a constant series slightly negative
+    const stddev = Math.sqrt(Math.max(0, sumSquares / count - avg * avg));
+
+    const result = { count, min, avg, max, stddev };
+    const resolution = options.resolution && options.resolution !== 'auto'
+      ? options.resolution
+      : this.resolutionFor(from);
+    const sorted = resolution === 'raw' ? points.map(point => point.avg).sort((x, y) => x - y) : null;
+    const sketch = from === -Infinity && to === Infinity ? this.sketches.get(key) : null;
+    PERCENTILES.forEach(p => {
+      if (sorted) result[`p${p}`] = percentile(sorted, p);
+      else if (sketch) result[`p${p}`] = sketch.quantile(p / 100);
+      else result[`p${p}`] = null;
+    });
+    return result;
+  }
+
+  // Finest level whose retained history reaches back to `from`
+  resolutionFor(from = -Infinity) {
+    if (!this.rawTrimmed || (this.raw.length > 0 && from >= this.raw[0].time)) return 'raw';
+
+    const level = this.levels.find(l =>
+      !l.trimmed || (l.buckets.length > 0 && from >= l.buckets[0].start));
+    return level ? level.name : this.levels[this.levels.length - 1].name;
+  }
+
+  // The rollup level with this name; null for 'raw'
+  _level(resolution) {
+    if (resolution === 'raw') return null;
+    const level = this.levels.find(l => l.name === resolution);
+    if (!level) {
+      throw new Error(`Unknown resolution "${resolution}" (expected one of: ${this.resolutions.join(', ')})`);
+    }
+    return level;
+  }
+
+  // Buckets of a level starting within [from, to]; the bucket containing
+  // `from` counts as starting in the range
+  _buckets(level, from, to) {
+    const first = Math.floor(from / level.step) * level.step;
+    return level.buckets.filter(bucket => bucket.start >= first && bucket.start <= to);
+  }
+
+  _addToLevel(level, time, readings) {
+    const start = Math.floor(time / level.step) * level.step;
+    let bucket = level.buckets[level.buckets.length - 1];
+    // A sample older than the open bucket (the clock stepped back) is folded
+    // into it rather than reopening history
+    if (!bucket || start > bucket.start) {
+      bucket = { start, samples: 0, series: {} };
+      level.buckets.push(bucket);
+    }
+    bucket.samples++;
+
+    Object.keys(readings).forEach(key => {
+      const value = readings[key];
+      const series = bucket.series[key];
+      if (!series) {
+        bucket.series[key] = { min: value, max: value, sum: value, sumSquares: value * value, count: 1 };
+        return;
+      }
+      series.min = Math.min(series.min, value);
+      series.max = Math.max(series.max, value);
+      series.sum += value;
+      series.sumSquares += value * value;
+      series.count++;
+    });
+
+    while (level.buckets.length > 0 && level.buckets[0].start + level.step <= this.end - level.retention) {
+      level.buckets.shift();
+      level.trimmed = true;
+    }
+  }
+}
+
+TimeSeriesStore.DEFAULT_LEVELS = DEFAULT_LEVELS;
+TimeSeriesStore.PERCENTILES = PERCENTILES;
+TimeSeriesStore.QuantileSketch = QuantileSketch;
+TimeSeriesStore.percentile = percentile;
+
+module.exports = TimeSeriesStore;
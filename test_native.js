@@ -1,6 +1,7 @@
 const path = require('path');
-const native = require('./build/Release/hardware_monitor.node');
-const { execFile, exec } = require('child_process');
+const { loadNativeAddon } = require('./src/native');
+const SensorRegistry = require('./src/sensor-registry');
+const { registerDefaultProviders } = require('./src/providers');
 const fs = require('fs');
 
 // Process command line arguments
@@ -57,208 +58,50 @@ try {
   console.error("Error copying LibreHardwareMonitorLib.dll:", err.message);
 }
 
-function getCpuTempFromLibreHW() {
-  return new Promise((resolve, reject) => {
-    const exePath = path.join(__dirname, 'src', 'LibreHardwareMonitorBridge', 'bin', 'Release', 'net9.0', 'LibreHardwareMonitorBridge.exe');
-    
-    // Run with elevated privileges if possible
-    const options = { timeout: 3000 };
-    execFile(exePath, [], options, (err, stdout, stderr) => {
-      if (err) {
-        console.error("Error running LibreHardwareMonitorBridge:", err.message);
-        return resolve(0.0);
-      }
+// The native addon is optional: without it CPU usage falls back to pure JS
+const native = loadNativeAddon();
 
-      try {
-        if (stderr) {
-          // Log debug output to help diagnose issues
-          console.log("LibreHWM Debug:", stderr.substring(0, 20000) + (stderr.length > 20000 ? '...' : ''));
-        }
-        
-        const result = JSON.parse(stdout);
-        if (result.cpuTemperature && result.cpuTemperature > 0 && result.cpuTemperature < 120) {
-          console.log(`Found CPU temperature: ${result.cpuTemperature.toFixed(2)}°C`);
-          return resolve(result.cpuTemperature);
-        } else {
-          // Temperature not found - fall back to WMI
-          return getCpuTempFromWMI().then(resolve);
-        }
-      } catch (e) {
-        console.error("Error parsing LibreHardwareMonitorBridge output:", e.message, stdout);
-        resolve(0.0);
-      }
-    });
-  });
+// Sensor sources, tried in priority order
+const sensors = registerDefaultProviders(new SensorRegistry({ debug: true }), { native });
+
+async function getCpuUsage() {
+  const reading = await sensors.read('cpuUsage');
+  return reading ? reading.value : 0;
 }
 
-function getCpuTempFromWMI() {
-  return new Promise((resolve) => {
-    // Try two different WMI methods for CPU temperature
-    const wmicCommand = process.env.SystemRoot + "\\System32\\wbem\\wmic.exe";
-    const msThermalZone = [
-      "/namespace:\\root\\wmi",
-      "PATH",
-      "MSAcpi_ThermalZoneTemperature",
-      "get",
-      "CurrentTemperature",
-      "/value"
-    ];
-    
-    execFile(wmicCommand, msThermalZone, { timeout: 2000 }, (err, stdout) => {
-      if (!err && stdout) {
-        const match = stdout.match(/CurrentTemperature=(\d+)/);
-        if (match) {
-          // Value is tenths of Kelvin
-          const kelvin = parseInt(match[1], 10) / 10;
-          const celsius = kelvin - 273.15;
-          if (celsius > 0 && celsius < 120) {
-            console.log(`Found CPU temperature from WMI: ${celsius.toFixed(2)}°C`);
-            return resolve(celsius);
-          }
-        }
-      }
-      
-      // Second attempt - query via standard WMI temperature sensors
-      const tempQuery = [
-        "/namespace:\\root\\cimv2",
-        "PATH",
-        "Win32_TemperatureProbe",
-        "get",
-        "CurrentReading",
-        "/value"
-      ];
-      
-      execFile(wmicCommand, tempQuery, { timeout: 2000 }, (err2, stdout2) => {
-        if (!err2 && stdout2) {
-          const match2 = stdout2.match(/CurrentReading=(\d+)/);
-          if (match2) {
-            const temp = parseInt(match2[1], 10);
-            if (temp > 0 && temp < 120) {
-              console.log(`Found CPU temperature from Win32_TemperatureProbe: ${temp.toFixed(2)}°C`);
-              return resolve(temp);
-            }
-          }
-        }
-        
-        // Last attempt - try hardware monitor class
-        const hwmonQuery = [
-          "path",
-          "Win32_PerfFormattedData_Counters_ThermalZoneInformation",
-          "get",
-          "Temperature",
-          "/value"
-        ];
-        
-        execFile(wmicCommand, hwmonQuery, { timeout: 2000 }, (err3, stdout3) => {
-          if (!err3 && stdout3) {
-            const match3 = stdout3.match(/Temperature=(\d+)/);
-            if (match3) {
-              const temp = parseInt(match3[1], 10) / 10;
-              if (temp > 0 && temp < 120) {
-                console.log(`Found CPU temperature from ThermalZoneInformation: ${temp.toFixed(2)}°C`);
-                return resolve(temp);
-              }
-            }
-          }
-          
-          resolve(0.0); // Nothing worked
-        });
-      });
-    });
-  });
+async function getGpus() {
+  const reading = await sensors.read('gpus');
+  return reading ? reading.value : [];
 }
 
-// Helper function to exec a command and return its output as a number
-function execCmdForTemperature(cmd, args, pattern, divisor = 1) {
-  return new Promise((resolve) => {
-    execFile(cmd, args, { timeout: 3000 }, (err, stdout) => {
-      if (err || !stdout) return resolve(0);
-      const match = stdout.match(pattern);
-      if (match && match[1]) {
-        const value = parseFloat(match[1]) / divisor;
-        if (value > 0 && value < 120) return resolve(value);
-      }
-      resolve(0);
-    });
-  });
+function formatGpus(gpus) {
+  if (gpus.length === 0) return 'GPU: N/A';
+  return gpus.map(gpu => {
+    const usage = gpu.usage != null ? `${gpu.usage.toFixed(2)}%` : 'N/A';
+    const temp = gpu.temperature != null ? `${gpu.temperature.toFixed(2)}°C` : 'N/A';
+    return `GPU${gpu.index} Usage: ${usage} | GPU${gpu.index} Temp: ${temp}`;
+  }).join(' | ');
 }
 
-// Fallback: Create a simulated temperature value based on CPU usage
-// - This is just a visual approximation, not accurate at all
-// - Only used when no real temp sensors are available
-function getMockupCpuTemp(cpuUsage) {
-  // A very simple thermal model assuming:
-  // - Idle temp around 35-40°C
-  // - Full load temp around 70-80°C (depends on cooling)
-  // - Using exponential relationship between load and temp rise
-  
-  const baseTempC = 37; // Base idle temperature in Celsius
-  const maxTempRiseC = 35; // Maximum temperature rise at 100% CPU
-  
-  // Non-linear relationship between CPU load and temperature
-  // Low CPU usage causes minimal temp rise, high usage causes exponential rise
-  const loadFactor = Math.pow(cpuUsage / 100, 1.5);
-  const temperatureC = baseTempC + (maxTempRiseC * loadFactor);
-  
-  // Add a small random fluctuation (+/- 1°C) to make it look more realistic
-  const fluctuation = (Math.random() * 2) - 1;
-  
-  return Math.min(95, Math.max(30, temperatureC + fluctuation));
+async function getCpuTemperature(cpuUsage) {
+  const reading = await sensors.read('cpuTemp', { cpuUsage, debug: true });
+  if (!reading) return { value: 0, provider: 'none', simulated: false };
+  console.log(`Found CPU temperature from ${reading.provider}: ${reading.value.toFixed(2)}°C`);
+  return reading;
 }
 
-async function getCpuTemperature() {
-  // Try LibreHardwareMonitor first
-  let temp = 0;
-  try {
-    temp = await getCpuTempFromLibreHW();
-    if (temp > 0) return temp;
-  } catch (e) {
-    console.error("LibreHardwareMonitor error:", e.message);
-  }
-  
-  // Then try WMI method
-  try {
-    temp = await getCpuTempFromWMI();
-    if (temp > 0) return temp;
-  } catch (e) {
-    console.error("WMI error:", e.message);
-  }
-  
-  // Fallback: Try powershell commands that might give CPU temperature
-  try {
-    // Try with PowerShell Get-CimInstance
-    temp = await execCmdForTemperature(
-      "powershell.exe", 
-      ["-NoProfile", "-Command", "Get-CimInstance MSAcpi_ThermalZoneTemperature -Namespace root/wmi | Select-Object -ExpandProperty CurrentTemperature"], 
-      /(\d+)/, 
-      10
-    );
-    if (temp > 0) {
-      temp = temp - 273.15; // Convert from Kelvin
-      if (temp > 0 && temp < 120) {
-        console.log(`Found CPU temperature from PowerShell CIM: ${temp.toFixed(2)}°C`);
-        return temp;
-      }
-    }
-  } catch (e) {
-    console.error("PowerShell error:", e.message);
-  }
-  
-  // Final fallback - return simulated temperature if all else fails
-  // This is not accurate but provides some visual indication
-  const cpuUsage = native.getCpuUsage();
-  const mockTemp = getMockupCpuTemp(cpuUsage);
-  return mockTemp;
+function formatTemp(reading) {
+  return `${reading.value.toFixed(2)}°C${reading.simulated ? ' (simulated)' : ''}`;
 }
 
 async function pollNativeMetrics() {
   if (isQuickTest) {
     // Just take a single reading and exit for quick test mode
     try {
-      const usage = native.getCpuUsage();
-      const temp = await getCpuTemperature();
-      const gpu = native.getGpuInfo();
-      console.log(`[${new Date().toISOString()}] CPU Usage: ${usage.toFixed(2)}% | CPU Temp: ${temp.toFixed(2)}°C | GPU Usage: ${gpu.usage.toFixed(2)}% | GPU Temp: ${gpu.temperature.toFixed(2)}°C`);
+      const usage = await getCpuUsage();
+      const temp = await getCpuTemperature(usage);
+      const gpus = await getGpus();
+      console.log(`[${new Date().toISOString()}] CPU Usage: ${usage.toFixed(2)}% | CPU Temp: ${formatTemp(temp)} | ${formatGpus(gpus)}`);
       // Exit after one reading in quick test mode
       process.exit(0);
     } catch (err) {
@@ -271,25 +114,26 @@ async function pollNativeMetrics() {
   // Regular poll interval for normal mode
   setInterval(async () => {
     try {
-      const usage = native.getCpuUsage();
-      const temp = await getCpuTemperature();
-      const gpu = native.getGpuInfo();
-      console.log(`[${new Date().toISOString()}] CPU Usage: ${usage.toFixed(2)}% | CPU Temp: ${temp.toFixed(2)}°C | GPU Usage: ${gpu.usage.toFixed(2)}% | GPU Temp: ${gpu.temperature.toFixed(2)}°C`);
+      const usage = await getCpuUsage();
+      const temp = await getCpuTemperature(usage);
+      const gpus = await getGpus();
+      console.log(`[${new Date().toISOString()}] CPU Usage: ${usage.toFixed(2)}% | CPU Temp: ${formatTemp(temp)} | ${formatGpus(gpus)}`);
     } catch (err) {
       console.error('Error fetching native metrics:', err);
     }
   }, 1000); // 1 second interval to match Task Manager
 }
 
-console.log('Native CPU/GPU polling started...');
+const [cpuUsageBackend] = sensors.list('cpuUsage');
+console.log(`Native CPU/GPU polling started (CPU usage backend: ${cpuUsageBackend.name}${native ? '' : ', native addon not available'})...`);
 pollNativeMetrics();
 
 if (isQuickTest) {
   // In quick test mode, just log the CPU temperature once and exit
   (async () => {
     try {
-      const temp = await getCpuTemperature();
-      console.log(`Quick test CPU temperature: ${temp.toFixed(2)}°C`);
+      const temp = await getCpuTemperature(await getCpuUsage());
+      console.log(`Quick test CPU temperature: ${formatTemp(temp)} from ${temp.provider}`);
     } catch (e) {
       console.error("Error in quick test:", e.message);
     }
@@ -0,0 +1,104 @@
+// Alert rule parsing, rule files (fixtures/alerts) and how the engine fires
+// and resolves with `for` and hysteresis
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const AlertEngine = require('../src/alerts');
+
+const { parseRule, parseDuration, loadRules, AlertRuleError } = AlertEngine;
+const rulesFile = name => path.join(__dirname, 'fixtures', 'alerts', name);
+
+test('a bare condition gets the defaults', () => {
+  assert.deepStrictEqual(parseRule('cpuTemp > 90'), {
+    name: 'cpuTemp > 90',
+    text: 'cpuTemp > 90',
+    key: 'cpuTemp',
+    op: '>',
+    value: 90,
+    clear: 90,
+    duration: 0,
+    severity: 'warning',
+    conditions: [],
+    notify: null
+  });
+});
+
+test('clauses can come in any order', () => {
+  const rule = parseRule('Pump slow: sensor./lpc/nct6798d/fan/2 < 800 severity CRITICAL clear at 850 for 1m30s notify ops,pause-render');
+  assert.strictEqual(rule.name, 'Pump slow');
+  assert.strictEqual(rule.key, 'sensor./lpc/nct6798d/fan/2');
+  assert.strictEqual(rule.op, '<');
+  assert.strictEqual(rule.clear, 850);
+  assert.strictEqual(rule.duration, 90000);
+  assert.strictEqual(rule.severity, 'critical');
+  assert.deepStrictEqual(rule.notify, ['ops', 'pause-render']);
+});
+
+test('while and and add guard conditions', () => {
+  const rule = parseRule('gpuUsage <= 5 for 10m while gpuTemp >= 80 and cpuTemp < -1.5');
+  assert.deepStrictEqual(rule.conditions, [
+    { key: 'gpuTemp', op: '>=', value: 80 },
+    { key: 'cpuTemp', op: '<', value: -1.5 }
+  ]);
+});
+
+test('mistakes are reported with the rule they are in', () => {
+  const cases = [
+    ['cpuTemp is hot', /Expected a condition such as cpuTemp > 90 in rule "cpuTemp is hot"/],
+    ['cpuTemp > 90 for soon', /Invalid duration "soon"/],
+    ['cpuTemp > 90 severity urgent', /Unknown severity "urgent" \(expected info, warning, critical\)/],
+    ['cpuTemp > 90 and gpuTemp > 80', /"and" must follow a "while" condition/],
+    ['cpuTemp > 90 while gpuTemp', /Expected a condition after "while"/],
+    ['cpuTemp > 90 forever', /Unexpected "forever"/],
+    ['cpuTemp > 90 clear 95', /Clear level 95 must be on the other side of the threshold 90/],
+    ['memUsage < 10 clear 5', /Clear level 5 must be on the other side of the threshold 10/]
+  ];
+  cases.forEach(([text, message]) => {
+    assert.throws(() => parseRule(text), error => error instanceof AlertRuleError && message.test(error.message));
+  });
+});
+
+test('durations accept units or plain seconds', () => {
+  assert.strictEqual(parseDuration('30s'), 30000);
+  assert.strictEqual(parseDuration('1h30m'), 5400000);
+  assert.strictEqual(parseDuration('1.5s'), 1500);
+  assert.strictEqual(parseDuration('45'), 45000);
+  assert.strictEqual(parseDuration('10ms'), null);
+  assert.strictEqual(parseDuration(''), null);
+});
+
+test('rule files skip blank lines and comments', () => {
+  const rules = loadRules(rulesFile('alerts.txt'));
+  assert.deepStrictEqual(rules.map(rule => rule.name), ['cpuTemp > 90', 'GPU idle but hot', 'cpuTemp > 95']);
+  assert.strictEqual(rules[1].severity, 'info');
+  assert.deepStrictEqual(rules[2].notify, ['ops', 'pause-render']);
+});
+
+test('errors in a rule file name the line', () => {
+  const file = rulesFile('broken.txt');
+  assert.throws(() => loadRules(file), { message: `${file}:3: Clear level 95 must be on the other side of the threshold 90 in rule "cpuTemp > 90 clear 95"` });
+});
+
+test('a rule fires after its duration and resolves at the clear level', () => {
+  const engine = new AlertEngine({ rules: ['cpuTemp > 90 for 2s clear 85'] });
+  const events = [];
+  engine.on('firing', alert => events.push(['firing', alert.time, alert.value]));
+  engine.on('resolved', alert => events.push(['resolved', alert.time, alert.peak, alert.duration]));
+
+  [[0, 91], [1000, 93], [2000, 95], [3000, 88], [4000, null], [5000, 84], [6000, 92]]
+    .forEach(([time, cpuTemp]) => engine.evaluate(time, { cpuTemp }));
+
+  assert.deepStrictEqual(events, [['firing', 2000, 95], ['resolved', 5000, 95, 3]]);
+  assert.deepStrictEqual(engine.active(), []);
+  const [summary] = engine.summary().rules;
+  assert.strictEqual(summary.fired, 1);
+  assert.strictEqual(summary.time, 3);
+});
+
+test('a while condition that stops holding resolves the alert', () => {
+  const engine = new AlertEngine({ rules: ['gpuUsage < 5 while gpuTemp > 80'] });
+  engine.evaluate(0, { gpuUsage: 1, gpuTemp: 85 });
+  assert.strictEqual(engine.active().length, 1);
+  engine.evaluate(1000, { gpuUsage: 1, gpuTemp: 70 });
+  assert.strictEqual(engine.active().length, 0);
+});
@@ -0,0 +1,85 @@
+// BridgeClient against a stand-in bridge (fixtures/fake-bridge.js) that can
+// start slowly, crash, hang or exit like a bridge build without --serve
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const path = require('path');
+const BridgeClient = require('../src/bridge-client');
+
+const FAKE_BRIDGE = path.join(__dirname, 'fixtures', 'fake-bridge.js');
+
+function createClient(t, bridgeArgs, options = {}) {
+  const client = new BridgeClient({
+    command: process.execPath,
+    args: [FAKE_BRIDGE, ...bridgeArgs],
+    timeout: 500,
+    readyTimeout: 5000,
+    restartDelay: 50,
+    ...options
+  });
+  // The restart backoff timer is unref'd; in the monitor the poll timer keeps
+  // the process alive while a crashed bridge waits to respawn
+  const keepAlive = setInterval(() => {}, 1000);
+  t.after(() => {
+    clearInterval(keepAlive);
+    client.stop();
+  });
+  return client;
+}
+
+const READING = {
+  cpuTemperature: 50.75,
+  cpuTemperatures: [
+    { name: 'CPU Package', identifier: '/intelcpu/0/temperature/0', value: 52.5 },
+    { name: 'CPU Core #1', identifier: '/intelcpu/0/temperature/1', value: 49 }
+  ]
+};
+
+test('requests made during a slow start wait for ready', async (t) => {
+  const client = createClient(t, ['--ready-delay', '600'], { timeout: 200 });
+  const restarts = [];
+  client.on('restart', reason => restarts.push(reason));
+
+  const results = await Promise.all([client.request('read'), client.request('read')]);
+  assert.deepStrictEqual(results, [READING, READING]);
+  assert.deepStrictEqual(restarts, []);
+});
+
+test('a bridge that crashes is restarted', async (t) => {
+  const client = createClient(t, ['--crash-after', '2']);
+  assert.deepStrictEqual(await client.request('read'), READING);
+
+  await assert.rejects(client.request('read'), { code: 'EEXIT' });
+  await once(client, 'ready');
+  assert.deepStrictEqual(await client.request('read'), READING);
+});
+
+test('a bridge that stops answering times out and is restarted', async (t) => {
+  const client = createClient(t, ['--hang-after', '2'], { timeout: 200 });
+  assert.deepStrictEqual(await client.request('read'), READING);
+
+  const restarted = once(client, 'restart');
+  await assert.rejects(client.request('read'), { code: 'ETIMEDOUT' });
+  const [reason] = await restarted;
+  assert.strictEqual(reason.code, 'ETIMEDOUT');
+
+  await once(client, 'ready');
+  assert.deepStrictEqual(await client.request('read'), READING);
+});
+
+test('a bridge that never becomes ready times out rather than looking one-shot', async (t) => {
+  const client = createClient(t, ['--no-ready'], { readyTimeout: 300 });
+  await assert.rejects(client.request('read'), { code: 'ETIMEDOUT' });
+});
+
+test('a bridge that exits before ready on its own does not speak the protocol', async (t) => {
+  const client = createClient(t, ['--one-shot']);
+  await assert.rejects(client.request('read'), { code: 'ENOTREADY' });
+});
+
+test('errors from the bridge are passed on without a restart', async (t) => {
+  const client = createClient(t, []);
+  client.on('restart', () => assert.fail('restarted'));
+  await assert.rejects(client.request('tree'), { code: 'EBRIDGE', message: 'unknown method tree' });
+  assert.deepStrictEqual(await client.request('read'), READING);
+});
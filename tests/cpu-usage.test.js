@@ -0,0 +1,16 @@
+// /proc/stat parsing and the per-core utilisation built from it
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseProcStat, usageBetween } = require('../src/providers/cpu-usage');
+
+test('an offline core is a null at its index rather than a hole', () => {
+  const snapshot = parseProcStat([
+    'cpu  300 0 100 600 0 0 0 0 0 0',
+    'cpu0 100 0 50 350 0 0 0 0 0 0',
+    'cpu2 200 0 50 250 0 0 0 0 0 0',
+    'intr 12345'
+  ].join('\n'));
+
+  assert.deepStrictEqual(snapshot.cores, [{ idle: 350, total: 500 }, null, { idle: 250, total: 500 }]);
+  assert.strictEqual(usageBetween({ idle: 0, total: 0 }, snapshot.total), 40);
+});
@@ -0,0 +1,168 @@
+// The full-screen dashboard against a fake terminal: line fitting, redrawing
+// only what changed, value colours, keys and giving the terminal back
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const Dashboard = require('../src/dashboard');
+const Logger = require('../src/logger');
+
+const ESC = '\x1b[';
+
+// A terminal that records what is written to it
+function fakeOutput() {
+  const output = new EventEmitter();
+  output.columns = 100;
+  output.rows = 30;
+  output.writes = [];
+  output.write = chunk => { output.writes.push(chunk); };
+  return output;
+}
+
+// A raw-mode keyboard; emit('data', key) presses a key
+function fakeInput() {
+  const input = new EventEmitter();
+  input.isTTY = true;
+  input.rawMode = false;
+  input.setRawMode = mode => { input.rawMode = mode; };
+  input.setEncoding = () => {};
+  input.resume = () => {};
+  input.pause = () => {};
+  return input;
+}
+
+function openDashboard(t, options = {}, loggerOptions = {}) {
+  const logger = new Logger({ consoleFormat: 'none', ...loggerOptions });
+  t.mock.method(logger, '_now', () => logger.startTime + 5000);
+  const output = fakeOutput();
+  const input = fakeInput();
+  const dashboard = new Dashboard(logger, { output, input, color: false, ...options });
+  t.after(() => {
+    dashboard.stop();
+    logger.close();
+  });
+  return { dashboard, logger, output, input };
+}
+
+const SAMPLE = { timestamp: '2025-03-01T10:00:00.000Z', cpuUsage: 40, cpuTemp: 60 };
+
+// Rows rewritten by one write, from their cursor moves
+const rowsIn = chunk => [...chunk.matchAll(/\x1b\[(\d+);1H/g)].map(match => Number(match[1]));
+
+test('fit cuts to visible characters and keeps the colour codes', () => {
+  const line = `${ESC}32mabc${ESC}0mdef`;
+  assert.strictEqual(Dashboard.fit(line, 4), `${ESC}32mabc${ESC}0md`);
+  assert.strictEqual(Dashboard.fit(line, 10), line);
+  // Codes past the cut still go out, so a colour is never left switched on
+  assert.strictEqual(Dashboard.fit(`ab${ESC}31mcd${ESC}0m`, 2), `ab${ESC}31m${ESC}0m`);
+});
+
+test('render rewrites only the lines that changed', (t) => {
+  const { dashboard, output } = openDashboard(t);
+  dashboard.update(SAMPLE);
+  assert.ok(output.writes.join('').startsWith(`${ESC}?1049h`));
+  assert.strictEqual(rowsIn(output.writes[output.writes.length - 1]).length, output.rows);
+
+  output.writes = [];
+  dashboard.update(SAMPLE);
+  assert.deepStrictEqual(output.writes, []);
+
+  dashboard.update({ ...SAMPLE, cpuTemp: 61 });
+  assert.strictEqual(output.writes.length, 1);
+  const [row] = rowsIn(output.writes[0]);
+  assert.deepStrictEqual(rowsIn(output.writes[0]), [row]);
+  assert.match(output.writes[0], /Temp\s+61\.00°C/);
+
+  // A full redraw clears the screen and writes every line again
+  output.writes = [];
+  dashboard.render(true);
+  assert.ok(output.writes[0].startsWith(`${ESC}2J`));
+  assert.strictEqual(rowsIn(output.writes[0]).length, output.rows);
+});
+
+test('values are levelled by their thresholds, then by unit', (t) => {
+  const thresholds = [{ key: 'cpuTemp', above: 80 }, { key: 'cpuTemp', above: 90 }, { key: 'cpuUsage', above: 90 }];
+  const { dashboard, logger } = openDashboard(t, {}, { thresholds, alerts: ['gpuTemp > 85'] });
+  const level = (key, unit, value) => dashboard._level(key, unit, value);
+
+  // Two thresholds: warn past the lowest, critical past the highest
+  assert.deepStrictEqual([79, 80, 90].map(v => level('cpuTemp', '°C', v)), ['ok', 'warn', 'crit']);
+  // One threshold: critical there, warn 10% below
+  assert.deepStrictEqual([80, 81, 90].map(v => level('cpuUsage', '%', v)), ['ok', 'warn', 'crit']);
+  // Per-core and per-sensor series follow the headline thresholds
+  assert.strictEqual(level('core.3', '%', 85), 'warn');
+  assert.strictEqual(level('cpuTemp.Core 1', '°C', 95), 'crit');
+  // No thresholds: by unit, and nothing for other units
+  assert.deepStrictEqual([69, 70, 90].map(v => level('memUsage', '%', v)), ['ok', 'warn', 'crit']);
+  assert.strictEqual(level('memUsed', 'MiB', 4096), null);
+  assert.strictEqual(level('cpuTemp', '°C', null), 'dim');
+
+  // A firing alert makes its series critical whatever the value
+  logger.alerts.evaluate(0, { gpuTemp: 88 });
+  assert.strictEqual(level('gpuTemp', '°C', 20), 'crit');
+});
+
+test('keys switch views, step the interval and quit', (t) => {
+  const { dashboard, input } = openDashboard(t, { interval: 1000 });
+  const intervals = [];
+  let quits = 0;
+  dashboard.on('interval', ms => intervals.push(ms));
+  dashboard.on('quit', () => quits++);
+  dashboard.update(SAMPLE);
+
+  input.emit('data', '2');
+  assert.strictEqual(dashboard.view, 'cores');
+  input.emit('data', '\t');
+  assert.strictEqual(dashboard.view, 'gpus');
+  input.emit('data', '\t');
+  assert.strictEqual(dashboard.view, 'overview');
+
+  ['+', '+', '+', '+', '+'].forEach(key => input.emit('data', key));
+  ['-', '-', '-', '-', '-', '-', '-'].forEach(key => input.emit('data', key));
+  // Up to the last step and no further, then down to the first
+  assert.deepStrictEqual(intervals, [2000, 5000, 10000, 5000, 2000, 1000, 500, 250]);
+  assert.deepStrictEqual(Dashboard.INTERVALS, [250, 500, 1000, 2000, 5000, 10000]);
+
+  input.emit('data', 'q');
+  input.emit('data', '\u0003');
+  assert.strictEqual(quits, 2);
+});
+
+test('the interval keys do nothing during replay', (t) => {
+  const { dashboard, input } = openDashboard(t, { replay: true });
+  dashboard.on('interval', () => assert.fail('interval changed'));
+  dashboard.update(SAMPLE);
+  input.emit('data', '+');
+  assert.deepStrictEqual(dashboard.messages.map(m => m.text), ['The interval is fixed during replay (see --speed)']);
+});
+
+test('space freezes the display on the current sample', (t) => {
+  const { dashboard, input, output } = openDashboard(t);
+  dashboard.update(SAMPLE);
+  input.emit('data', ' ');
+  assert.match(output.writes[output.writes.length - 1], /FROZEN/);
+
+  output.writes = [];
+  dashboard.update({ ...SAMPLE, cpuTemp: 75 });
+  assert.deepStrictEqual(output.writes, []);
+
+  input.emit('data', 'p');
+  dashboard.update({ ...SAMPLE, cpuTemp: 75 });
+  assert.match(output.writes.join(''), /75\.00°C/);
+});
+
+test('stop leaves the alternate screen and gives the keyboard back', (t) => {
+  const { dashboard, input, output } = openDashboard(t);
+  dashboard.update(SAMPLE);
+  assert.strictEqual(input.rawMode, true);
+  assert.strictEqual(input.listenerCount('data'), 1);
+
+  output.writes = [];
+  dashboard.stop();
+  assert.deepStrictEqual(output.writes, [`${ESC}0m${ESC}?25h${ESC}?1049l`]);
+  assert.strictEqual(input.rawMode, false);
+  assert.strictEqual(input.listenerCount('data'), 0);
+  assert.strictEqual(output.listenerCount('resize'), 0);
+
+  dashboard.stop();
+  assert.strictEqual(output.writes.length, 1);
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Stand-in for LibreHardwareMonitorBridge --serve, speaking the same
+// newline-delimited JSON protocol (see src/bridge-client.js)
+//
+//   --ready-delay <ms>   wait before announcing {"event":"ready"}
+//   --no-ready           never announce, like a bridge stuck opening hardware
+//   --one-shot           print one reading and exit, like builds before --serve
+//   --crash-after <n>    exit with code 1 on request n (counting from 1)
+//   --hang-after <n>     stop answering from request n
+//
+// Other arguments, such as the real bridge's --serve and --full, are ignored.
+const readline = require('readline');
+
+const args = process.argv.slice(2);
+const option = name => {
+  const i = args.indexOf(name);
+  return i === -1 ? null : args[i + 1];
+};
+const flag = name => args.includes(name);
+
+// The shape of LibreHardwareMonitorBridge's `read` (ReadCpuTemperatures in
+// Program.cs): the average of the CPU sensors and each sensor
+const reading = {
+  cpuTemperature: 50.75,
+  cpuTemperatures: [
+    { name: 'CPU Package', identifier: '/intelcpu/0/temperature/0', value: 52.5 },
+    { name: 'CPU Core #1', identifier: '/intelcpu/0/temperature/1', value: 49 }
+  ]
+};
+
+if (flag('--one-shot')) {
+  process.stdout.write(JSON.stringify(reading) + '\n');
+  process.exit(0);
+}
+
+const crashAfter = Number(option('--crash-after')) || Infinity;
+const hangAfter = Number(option('--hang-after')) || Infinity;
+let ready = false;
+let count = 0;
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  const { id, method } = JSON.parse(line);
+  // A real bridge doesn't read requests before the hardware is open
+  if (!ready) {
+    process.stdout.write(JSON.stringify({ id, error: 'not ready' }) + '\n');
+    return;
+  }
+  count++;
+  if (count >= crashAfter) process.exit(1);
+  if (count >= hangAfter) return;
+  const answer = method === 'read' ? { id, result: reading } : { id, error: `unknown method ${method}` };
+  process.stdout.write(JSON.stringify(answer) + '\n');
+}).on('close', () => process.exit(0));
+
+if (!flag('--no-ready')) {
+  setTimeout(() => {
+    ready = true;
+    process.stdout.write(JSON.stringify({ event: 'ready' }) + '\n');
+  }, Number(option('--ready-delay')) || 0);
+}
@@ -0,0 +1,103 @@
+// In-process stand-in for an MQTT broker, handed to MqttClient (or the MQTT
+// exporter) as `createConnection`. It understands just what the client
+// sends: CONNECT, PUBLISH, PINGREQ and DISCONNECT.
+//
+// Emits 'connect' with the parsed CONNECT packet, 'publish' with
+// { topic, payload, retain } and 'disconnect' on a clean DISCONNECT.
+const { Duplex } = require('stream');
+const { EventEmitter } = require('events');
+const MqttClient = require('../../src/mqtt-client');
+
+// Two connected stream ends: what is written to one is read from the other
+function streamPair() {
+  const ends = [];
+  const create = other => new Duplex({
+    read() {},
+    write(chunk, encoding, callback) {
+      ends[other].push(chunk);
+      callback();
+    },
+    final(callback) {
+      ends[other].push(null);
+      callback();
+    }
+  });
+  ends.push(create(1), create(0));
+  return ends;
+}
+
+function readString(body, offset) {
+  const length = body.readUInt16BE(offset);
+  return { value: body.subarray(offset + 2, offset + 2 + length).toString('utf8'), next: offset + 2 + length };
+}
+
+function parseConnect(body) {
+  let field = readString(body, 0);
+  const packet = { protocol: field.value, level: body[field.next], keepalive: body.readUInt16BE(field.next + 2) };
+  const flags = body[field.next + 1];
+  packet.cleanSession = Boolean(flags & 0x02);
+
+  field = readString(body, field.next + 4);
+  packet.clientId = field.value;
+  if (flags & 0x04) {
+    const topic = readString(body, field.next);
+    field = readString(body, topic.next);
+    packet.will = { topic: topic.value, payload: field.value, retain: Boolean(flags & 0x20) };
+  }
+  if (flags & 0x80) {
+    field = readString(body, field.next);
+    packet.username = field.value;
+  }
+  if (flags & 0x40) {
+    field = readString(body, field.next);
+    packet.password = field.value;
+  }
+  return packet;
+}
+
+class FakeBroker extends EventEmitter {
+  // `connack` is the CONNACK return code to answer with (0 = accepted)
+  constructor(options = {}) {
+    super();
+    this.connack = options.connack || 0;
+    this.connections = 0;
+    this.ends = null; // [client, broker] ends of the latest connection
+    this.createConnection = this.createConnection.bind(this);
+  }
+
+  createConnection() {
+    const [client, server] = streamPair();
+    this.connections++;
+    this.ends = [client, server];
+
+    let buffer = Buffer.alloc(0);
+    server.on('data', data => {
+      const { packets, rest } = MqttClient.decodePackets(Buffer.concat([buffer, data]));
+      buffer = rest;
+      packets.forEach(packet => this._onPacket(server, packet));
+    });
+    server.on('end', () => server.end());
+    return client;
+  }
+
+  // Cut the latest connection without a DISCONNECT, like a network failure
+  drop() {
+    this.ends.forEach(end => end.destroy());
+  }
+
+  _onPacket(server, { type, flags, body }) {
+    if (type === 1) {
+      this.emit('connect', parseConnect(body));
+      server.write(Buffer.from([0x20, 2, 0, this.connack]));
+    } else if (type === 3) {
+      const topic = readString(body, 0);
+      this.emit('publish', { topic: topic.value, payload: body.subarray(topic.next).toString('utf8'), retain: Boolean(flags & 1) });
+    } else if (type === 12) {
+      server.write(Buffer.from([0xd0, 0]));
+    } else if (type === 14) {
+      this.emit('disconnect');
+    }
+  }
+}
+
+module.exports = FakeBroker;
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// A bridge build from before --serve: whatever the arguments, prints one
+// reading and exits (see fake-bridge.js)
+process.argv.push('--one-shot');
+require('./fake-bridge');
@@ -0,0 +1,28 @@
+// Local stand-in for an OTLP/HTTP receiver. Records every request and
+// answers with the queued responses in turn, then 200.
+const http = require('http');
+
+// `responses`: [{ status, headers, body }] for the first requests
+async function startReceiver(responses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(text) });
+      const { status = 200, headers = {}, body = '{}' } = responses.shift() || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = startReceiver;
@@ -0,0 +1,93 @@
+// Linux DRM GPU provider against the fake sysfs trees in fixtures/sysfs: the
+// AMD desktop's amdgpu card and the Intel laptop's i915 card next to an
+// NVIDIA one, and how GPUs of several vendors are merged
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const SensorRegistry = require('../src/sensor-registry');
+const { readGpus } = require('../src/providers');
+const { parseDpmClock, readDrmGpus, createDrmProvider } = require('../src/providers/linux-drm');
+
+const root = name => path.join(__dirname, 'fixtures', 'sysfs', name);
+
+test('amdgpu: load, VRAM, DPM clocks and the edge temperature', () => {
+  assert.deepStrictEqual(readDrmGpus(root('amd')), [{
+    index: 0,
+    name: 'AMD Radeon RX 7900 XT',
+    vendor: 'amd',
+    usage: 37,
+    temperature: 52,
+    utilization: { graphics: 37, framebuffer: 12, video: null },
+    memory: { used: 2048, total: 20464 },
+    clocks: { core: 1800, memory: 1250 },
+    fanSpeed: 1210,
+    fanPercent: null,
+    power: 85
+  }]);
+});
+
+test('i915: the frequency, and temperatures in numeric order without implausible ones', () => {
+  // temp1 reads 0 and temp10 sorts before temp2 as text; temp2 is the one
+  const [gpu] = readDrmGpus(root('intel'));
+  assert.strictEqual(gpu.name, 'Intel GPU (card1)');
+  assert.strictEqual(gpu.clocks.core, 1300);
+  assert.strictEqual(gpu.temperature, 45);
+  assert.strictEqual(gpu.usage, null);
+});
+
+test('NVIDIA cards and connectors are skipped', () => {
+  assert.deepStrictEqual(readDrmGpus(root('amd')).map(gpu => gpu.vendor), ['amd']);
+  assert.deepStrictEqual(readDrmGpus(root('intel')).map(gpu => gpu.vendor), ['intel']);
+});
+
+test('the active DPM level is the one marked with *', () => {
+  assert.strictEqual(parseDpmClock('0: 500Mhz\n1: 1800Mhz *\n'), 1800);
+  assert.strictEqual(parseDpmClock('0: 500Mhz\n'), null);
+  assert.strictEqual(parseDpmClock(null), null);
+});
+
+test('no reading without an AMD or Intel card', async () => {
+  assert.strictEqual(await createDrmProvider({ sysfsRoot: root('vm') }).probe(), null);
+});
+
+// A stand-in NVIDIA provider that counts its probes
+function nvidiaProvider(name, priority, names) {
+  const provider = {
+    name,
+    metric: 'gpus',
+    platform: 'linux',
+    priority,
+    vendors: ['nvidia'],
+    probes: 0,
+    probe: async () => {
+      provider.probes++;
+      return names.map((gpuName, index) => ({ index, name: gpuName, vendor: 'nvidia' }));
+    }
+  };
+  return provider;
+}
+
+test('a hybrid laptop reports the NVIDIA card and the iGPU, numbered across vendors', async () => {
+  const registry = new SensorRegistry({ platform: 'linux' })
+    .register(nvidiaProvider('nvidia-smi', 20, ['RTX 4060 Laptop GPU']))
+    .register(createDrmProvider({ sysfsRoot: root('intel') }));
+
+  const reading = await readGpus(registry);
+  assert.strictEqual(reading.provider, 'nvidia-smi+linux-drm');
+  assert.deepStrictEqual(reading.value.map(gpu => [gpu.index, gpu.vendor, gpu.name]), [
+    [0, 'nvidia', 'RTX 4060 Laptop GPU'],
+    [1, 'intel', 'Intel GPU (card1)']
+  ]);
+});
+
+test('a vendor already reported is not probed again', async () => {
+  const nvapi = nvidiaProvider('nvapi', 10, ['RTX 4090']);
+  const smi = nvidiaProvider('nvidia-smi', 20, ['RTX 4090']);
+  const registry = new SensorRegistry({ platform: 'linux' }).register(nvapi).register(smi);
+
+  const reading = await readGpus(registry);
+  assert.strictEqual(reading.provider, 'nvapi');
+  assert.strictEqual(reading.value.length, 1);
+  assert.strictEqual(smi.probes, 0);
+  assert.strictEqual(await readGpus(new SensorRegistry({ platform: 'linux' })), null);
+});
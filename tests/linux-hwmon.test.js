@@ -0,0 +1,56 @@
+// Linux hwmon and thermal zone providers against fake sysfs trees in
+// fixtures/sysfs: an AMD desktop (k10temp next to an NVMe drive), an Intel
+// laptop (coretemp) and a VM with thermal zones only
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {
+  readHwmonSensors,
+  readThermalZones,
+  createHwmonProvider,
+  createThermalZoneProvider
+} = require('../src/providers/linux-hwmon');
+
+const root = name => path.join(__dirname, 'fixtures', 'sysfs', name);
+
+test('reads every hwmon temperature with its chip and label', () => {
+  assert.deepStrictEqual(readHwmonSensors(root('amd')), [
+    { chip: 'nvme', label: 'Composite', value: 41.85, device: 'hwmon0' },
+    { chip: 'k10temp', label: 'Tctl', value: 74.25, device: 'hwmon1' },
+    { chip: 'k10temp', label: 'Tdie', value: 64.25, device: 'hwmon1' },
+    { chip: 'k10temp', label: 'Tccd1', value: 61.5, device: 'hwmon1' }
+  ]);
+});
+
+test('orders inputs numerically and skips implausible readings', () => {
+  const labels = readHwmonSensors(root('intel')).map(sensor => sensor.label);
+  assert.deepStrictEqual(labels, ['Package id 0', 'Core 0', 'Core 8']);
+});
+
+test('AMD: Tdie wins over Tctl, which carries a fan-control offset', async () => {
+  const reading = await createHwmonProvider({ sysfsRoot: root('amd') }).probe();
+  assert.strictEqual(reading.value, 64.25);
+  assert.deepStrictEqual(reading.details.map(d => d.name), ['Tctl', 'Tdie', 'Tccd1']);
+});
+
+test('Intel: the package temperature is the headline', async () => {
+  const reading = await createHwmonProvider({ sysfsRoot: root('intel') }).probe();
+  assert.strictEqual(reading.value, 58);
+  assert.strictEqual(reading.details.length, 3);
+});
+
+test('no CPU chip means no hwmon reading', async () => {
+  assert.strictEqual(await createHwmonProvider({ sysfsRoot: root('vm') }).probe(), null);
+});
+
+test('thermal zones prefer the CPU zone over ACPI', async () => {
+  assert.deepStrictEqual(readThermalZones(root('vm')).map(zone => zone.type), ['acpitz', 'cpu-thermal']);
+  assert.strictEqual(await createThermalZoneProvider({ sysfsRoot: root('vm') }).probe(), 51.5);
+  assert.strictEqual(await createThermalZoneProvider({ sysfsRoot: root('intel') }).probe(), 58);
+});
+
+test('a missing sysfs root reads as nothing rather than throwing', async () => {
+  const missing = root('does-not-exist');
+  assert.deepStrictEqual(readHwmonSensors(missing), []);
+  assert.strictEqual(await createThermalZoneProvider({ sysfsRoot: missing }).probe(), null);
+});
@@ -0,0 +1,89 @@
+// Log rotation and retention in a scratch directory: old sessions are aged
+// out or trimmed to the size budget together with their indexes and
+// summaries, and the open segment always survives
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LogRotator = require('../src/log-rotator');
+
+const DAY = 86400e3;
+
+function scratchDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hw-monitor-logs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A file of `size` bytes last modified `age` ms ago
+function writeOld(dir, name, size, age) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, 'x'.repeat(size));
+  const time = new Date(Date.now() - age);
+  fs.utimesSync(file, time, time);
+}
+
+function writeIndex(dir, session, files) {
+  const index = { version: 1, session, created: null, segments: files.map(file => ({ file })) };
+  fs.writeFileSync(path.join(dir, `${session}.index.json`), JSON.stringify(index));
+}
+
+const list = dir => fs.readdirSync(dir).sort();
+
+test('segments older than maxAge go, with their index and summary', (t) => {
+  const dir = scratchDir(t);
+  writeOld(dir, 'hw_monitor_old.csv', 100, 10 * DAY);
+  writeOld(dir, 'hw_monitor_old.002.csv.gz', 100, 9 * DAY);
+  writeIndex(dir, 'hw_monitor_old', ['hw_monitor_old.csv', 'hw_monitor_old.002.csv.gz']);
+  fs.writeFileSync(path.join(dir, 'hw_monitor_old.summary.json'), '{}');
+  writeOld(dir, 'hw_monitor_recent.csv', 100, DAY);
+  writeOld(dir, 'notes.csv', 100, 30 * DAY);
+
+  new LogRotator({ dir, fileName: 'hw_monitor_new.csv', maxAge: 7 * DAY }).open();
+
+  assert.deepStrictEqual(list(dir), ['hw_monitor_new.csv', 'hw_monitor_recent.csv', 'notes.csv']);
+});
+
+test('the oldest segments go until the directory fits maxTotalSize', (t) => {
+  const dir = scratchDir(t);
+  writeOld(dir, 'hw_monitor_a.csv', 400, 3 * DAY);
+  writeOld(dir, 'hw_monitor_a.002.csv', 400, 2 * DAY);
+  writeIndex(dir, 'hw_monitor_a', ['hw_monitor_a.csv', 'hw_monitor_a.002.csv']);
+  writeOld(dir, 'hw_monitor_b.csv', 400, DAY);
+
+  new LogRotator({ dir, fileName: 'hw_monitor_c.csv', maxTotalSize: 1000 }).open();
+
+  assert.deepStrictEqual(list(dir), ['hw_monitor_a.002.csv', 'hw_monitor_a.index.json', 'hw_monitor_b.csv', 'hw_monitor_c.csv']);
+  const index = JSON.parse(fs.readFileSync(path.join(dir, 'hw_monitor_a.index.json'), 'utf8'));
+  assert.deepStrictEqual(index.segments, [{ file: 'hw_monitor_a.002.csv' }]);
+});
+
+test('the open segment is kept even when it alone is over budget', (t) => {
+  const dir = scratchDir(t);
+  const rotator = new LogRotator({ dir, fileName: 'hw_monitor_now.csv', maxTotalSize: 10, maxAge: 1 }).open();
+  rotator.write('a row that is well over ten bytes\n', 'Timestamp\n');
+  rotator.applyRetention();
+  assert.deepStrictEqual(list(dir), ['hw_monitor_now.csv']);
+});
+
+test('a full segment rotates to a numbered one with its own header', (t) => {
+  const dir = scratchDir(t);
+  const rotator = new LogRotator({ dir, fileName: 'hw_monitor_s.csv', maxSize: 40 }).open();
+  ['first row\n', 'second row\n', 'third row\n'].forEach(row => rotator.write(row, 'Timestamp,Value\n'));
+  rotator.close();
+
+  assert.deepStrictEqual(list(dir), ['hw_monitor_s.002.csv', 'hw_monitor_s.csv', 'hw_monitor_s.index.json']);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'hw_monitor_s.002.csv'), 'utf8'), 'Timestamp,Value\nthird row\n');
+  const index = JSON.parse(fs.readFileSync(rotator.sessionPath, 'utf8'));
+  assert.deepStrictEqual(index.segments.map(s => [s.file, s.rows]), [['hw_monitor_s.csv', 2], ['hw_monitor_s.002.csv', 1]]);
+});
+
+test('sizes and durations parse with their units', () => {
+  assert.strictEqual(LogRotator.parseSize('500K'), 500 * 1024);
+  assert.strictEqual(LogRotator.parseSize('1.5mb'), 1.5 * 1024 ** 2);
+  assert.strictEqual(LogRotator.parseSize('lots'), null);
+  assert.strictEqual(LogRotator.parseDuration('12h'), 12 * 3600e3);
+  assert.strictEqual(LogRotator.parseDuration('2w'), 14 * DAY);
+  assert.strictEqual(LogRotator.parseDuration('7'), null);
+});
@@ -0,0 +1,29 @@
+// The one-line text format with gaps in the per-core and per-sensor readings
+const test = require('node:test');
+const assert = require('node:assert');
+const Logger = require('../src/logger');
+
+// The line the text format prints for `metrics`
+function textLine(t, metrics) {
+  const logger = new Logger({ consoleFormat: 'text' });
+  t.after(() => logger.close());
+  const log = t.mock.method(console, 'log', () => {});
+  logger.log({ timestamp: '2025-03-01T10:00:00.000Z', cpuUsage: 40, cpuTemp: 60, ...metrics });
+  return log.mock.calls.map(call => call.arguments[0]).join('\n');
+}
+
+test('the busiest core skips cores without a reading', (t) => {
+  const line = textLine(t, { cpuCoreUsage: [12.5, , null, 80, 20] }); // #1 is a hole
+  assert.match(line, /Busiest core: #3 80\.00%/);
+});
+
+test('no busiest core when no core has a reading', (t) => {
+  const line = textLine(t, { cpuCoreUsage: [null, null] });
+  assert.doesNotMatch(line, /Busiest core/);
+});
+
+test('the hottest sensor skips sensors without a reading', (t) => {
+  const line = textLine(t, { cpuTemps: [{ name: 'Core 0', value: null }, { name: 'Core 1', value: 64 }] });
+  assert.match(line, /Hottest sensor: Core 1 64\.00°C/);
+  assert.doesNotMatch(textLine(t, { cpuTemps: [{ name: 'Core 0', value: null }] }), /Hottest sensor/);
+});
@@ -0,0 +1,172 @@
+// Notification policy (rate limit, de-duplication, retries) with a
+// stand-in channel, and the helpers behind channel configs
+const test = require('node:test');
+const assert = require('node:assert');
+const Notifier = require('../src/notifications');
+const { renderTemplate } = require('../src/notifications/webhook');
+
+// A channel whose sends fail while `failing` is set
+function fakeChannel(name) {
+  const channel = {
+    name,
+    type: 'fake',
+    failing: false,
+    sent: [],
+    send(context) {
+      if (channel.failing) {
+        const err = new Error('receiver rejected it');
+        err.retryable = false;
+        return Promise.reject(err);
+      }
+      channel.sent.push(context);
+      return Promise.resolve();
+    }
+  };
+  return channel;
+}
+
+function notifier(channel, policy = {}) {
+  const entry = Notifier.createChannel(channel.name, { type: 'journal', file: 'unused.jsonl', ...policy });
+  const instance = new Notifier({ hostname: 'rig-01', seriesUnit: () => '°C', channels: [{ ...entry, channel }] });
+  const events = [];
+  ['sent', 'failed', 'suppressed'].forEach(kind => {
+    instance.on(kind, (name, detail) => events.push(kind === 'suppressed' ? `${kind}: ${detail}` : kind));
+  });
+  return { instance, events };
+}
+
+const alert = name => ({
+  name,
+  severity: 'critical',
+  key: 'cpuTemp',
+  op: '>',
+  threshold: 90,
+  value: 93.2,
+  peak: 93.2,
+  since: 0,
+  time: 0,
+  duration: 0,
+  notify: null
+});
+
+test('rate limits parse as a count per duration', () => {
+  assert.deepStrictEqual(Notifier.parseRateLimit('10/10m'), { count: 10, per: 600000 });
+  assert.deepStrictEqual(Notifier.parseRateLimit(' 3 / 30s '), { count: 3, per: 30000 });
+  assert.strictEqual(Notifier.parseRateLimit('ten/10m'), null);
+  assert.strictEqual(Notifier.parseRateLimit('10/0'), null);
+  assert.strictEqual(Notifier.parseRateLimit('10'), null);
+});
+
+test('channel configs are checked when loaded', () => {
+  assert.throws(() => Notifier.createChannel('ops', { type: 'pager' }), /Channel "ops": unknown type "pager"/);
+  assert.throws(() => Notifier.createChannel('ops', { type: 'journal', file: 'a.jsonl', rateLimit: 'often' }),
+    { message: 'Channel "ops": invalid rateLimit "often"' });
+});
+
+test('templates fill placeholders and keep whole-field values typed', () => {
+  const context = { message: 'CPU hot', value: 93.2, unit: '°C', peak: null };
+  assert.deepStrictEqual(renderTemplate({
+    text: '{{message}} ({{ value }}{{unit}})',
+    value: '{{value}}',
+    peak: '{{peak}}',
+    missing: '{{nothing}}',
+    tags: ['alert', '{{unit}}'],
+    nested: { count: 1, flag: true }
+  }, context), {
+    text: 'CPU hot (93.2°C)',
+    value: 93.2,
+    peak: null,
+    missing: null,
+    tags: ['alert', '°C'],
+    nested: { count: 1, flag: true }
+  });
+});
+
+test('a repeated transition within the dedup window is suppressed', async () => {
+  const channel = fakeChannel('ops');
+  const { instance, events } = notifier(channel);
+  instance.notify(alert('cpuTemp > 90'), 'firing');
+  instance.notify(alert('cpuTemp > 90'), 'firing');
+  instance.notify(alert('cpuTemp > 90'), 'resolved');
+  await instance.flush();
+
+  assert.deepStrictEqual(events, ['suppressed: duplicate', 'sent', 'sent']);
+  assert.deepStrictEqual(channel.sent.map(c => c.state), ['firing', 'resolved']);
+  assert.strictEqual(channel.sent[0].message, '[CRITICAL] cpuTemp > 90 on rig-01: 93.20°C');
+});
+
+test('each firing episode is news, and its resolved always follows', async (t) => {
+  const channel = fakeChannel('ops');
+  const { instance, events } = notifier(channel, { dedup: '5m' });
+  let clock = 0;
+  t.mock.method(Date, 'now', () => clock);
+  const minutes = 60000;
+  [[0, 'firing', 0], [4, 'resolved', 0], [6, 'firing', 6], [8, 'resolved', 6]].forEach(([at, state, since]) => {
+    clock = at * minutes;
+    instance.notify({ ...alert('cpuTemp > 90'), since: since * minutes, time: clock }, state);
+  });
+  await instance.flush();
+
+  assert.deepStrictEqual(events, ['sent', 'sent', 'sent', 'sent']);
+  assert.deepStrictEqual(channel.sent.map(c => c.state), ['firing', 'resolved', 'firing', 'resolved']);
+});
+
+test('the rate limit does not hold back the resolved of a firing it let through', async () => {
+  const channel = fakeChannel('ops');
+  const { instance, events } = notifier(channel, { rateLimit: '1/10m' });
+  instance.notify(alert('cpuTemp > 90'), 'firing');
+  instance.notify(alert('gpuTemp > 85'), 'firing');
+  instance.notify(alert('gpuTemp > 85'), 'resolved');
+  instance.notify(alert('cpuTemp > 90'), 'resolved');
+  await instance.flush();
+
+  assert.deepStrictEqual(events, ['suppressed: rate limit', 'suppressed: rate limit', 'sent', 'sent']);
+  assert.deepStrictEqual(channel.sent.map(c => [c.name, c.state]), [['cpuTemp > 90', 'firing'], ['cpuTemp > 90', 'resolved']]);
+});
+
+test('a failed delivery does not suppress the next one as a duplicate', async () => {
+  const channel = fakeChannel('ops');
+  const { instance, events } = notifier(channel, { retries: 0 });
+  channel.failing = true;
+  instance.notify(alert('cpuTemp > 90'), 'firing');
+  await instance.flush();
+
+  channel.failing = false;
+  instance.notify(alert('cpuTemp > 90'), 'firing');
+  await instance.flush();
+
+  assert.deepStrictEqual(events, ['failed', 'sent']);
+  assert.strictEqual(channel.sent.length, 1);
+});
+
+test('a failed delivery gives its rate limit slot back', async () => {
+  const channel = fakeChannel('ops');
+  const { instance, events } = notifier(channel, { retries: 0, rateLimit: '1/10m' });
+  channel.failing = true;
+  instance.notify(alert('first'), 'firing');
+  instance.notify(alert('second'), 'firing'); // over the limit while the first is in flight
+  await instance.flush();
+
+  channel.failing = false;
+  instance.notify(alert('third'), 'firing');
+  instance.notify(alert('fourth'), 'firing');
+  await instance.flush();
+
+  assert.deepStrictEqual(events, ['suppressed: rate limit', 'failed', 'suppressed: rate limit', 'sent']);
+  assert.deepStrictEqual(channel.sent.map(c => [c.name, c.suppressed]), [['third', 1]]);
+});
+
+test('retryable failures are retried before giving up', async () => {
+  const channel = fakeChannel('ops');
+  let attempts = 0;
+  channel.send = () => {
+    attempts++;
+    return attempts < 3 ? Promise.reject(new Error('timeout')) : Promise.resolve();
+  };
+  const { instance, events } = notifier(channel, { retries: 2, retryDelay: '0.01s' });
+  instance.notify(alert('cpuTemp > 90'), 'firing');
+  await instance.flush();
+
+  assert.strictEqual(attempts, 3);
+  assert.deepStrictEqual(events, ['sent']);
+});
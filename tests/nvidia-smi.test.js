@@ -0,0 +1,59 @@
+// nvidia-smi CSV parsing against recorded output in fixtures/nvidia-smi: a
+// desktop with two GPUs, a laptop GPU without fan or power readings and a
+// datacenter card that prints a warning ahead of the rows
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { QUERY_FIELDS, parseNvidiaSmiCsv, createNvidiaSmiProvider } = require('../src/providers/nvidia-smi');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'nvidia-smi', `${name}.csv`), 'utf8');
+
+test('fixtures carry one column per queried field', () => {
+  const row = fixture('desktop-two-gpus').split('\n')[0];
+  assert.strictEqual(row.split(',').length, QUERY_FIELDS.length);
+});
+
+test('parses every GPU with its readings', () => {
+  const gpus = parseNvidiaSmiCsv(fixture('desktop-two-gpus'));
+  assert.strictEqual(gpus.length, 2);
+  assert.deepStrictEqual(gpus[0], {
+    index: 0,
+    name: 'NVIDIA GeForce RTX 4090',
+    vendor: 'nvidia',
+    usage: 97,
+    temperature: 78,
+    utilization: { graphics: 97, framebuffer: 41, video: null },
+    memory: { used: 18342, total: 24564 },
+    clocks: { core: 2730, memory: 10501 },
+    fanSpeed: null,
+    fanPercent: 64,
+    power: 412.37
+  });
+  assert.deepStrictEqual(gpus.map(gpu => gpu.index), [0, 1]);
+  assert.strictEqual(gpus[1].fanPercent, 0);
+});
+
+test('[N/A] and [Not Supported] read as missing values', () => {
+  const [gpu] = parseNvidiaSmiCsv(fixture('laptop-unsupported'));
+  assert.strictEqual(gpu.name, 'NVIDIA GeForce RTX 3050 Laptop GPU');
+  assert.strictEqual(gpu.temperature, 51);
+  assert.strictEqual(gpu.fanPercent, null);
+  assert.strictEqual(gpu.power, null);
+});
+
+test('warnings and truncated rows are skipped', () => {
+  const gpus = parseNvidiaSmiCsv(fixture('datacenter-warning'));
+  assert.strictEqual(gpus.length, 1);
+  assert.strictEqual(gpus[0].name, 'Tesla T4');
+  assert.strictEqual(gpus[0].usage, 0);
+});
+
+test('empty output means no GPUs', () => {
+  assert.deepStrictEqual(parseNvidiaSmiCsv(''), []);
+});
+
+test('a missing nvidia-smi probes as unavailable', async () => {
+  const provider = createNvidiaSmiProvider({ command: path.join(__dirname, 'fixtures', 'no-such-nvidia-smi') });
+  assert.strictEqual(await provider.probe(), null);
+});
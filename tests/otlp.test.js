@@ -0,0 +1,105 @@
+// OTLP exporter against a local receiver (fixtures/otlp-receiver.js):
+// request shape and units, retries, and what happens to a batch that fails
+const test = require('node:test');
+const assert = require('node:assert');
+const OtlpExporter = require('../src/exporters/otlp');
+const startReceiver = require('./fixtures/otlp-receiver');
+
+const SAMPLE = {
+  cpuTemp: 71.5,
+  cpuUsage: null,
+  memUsed: 1024,
+  cpuCoreUsage: [12.5],
+  gpus: [{ index: 0, name: 'RTX 4090', temperature: 64, clocks: { core: 2730 } }]
+};
+
+async function receiver(t, responses) {
+  const server = await startReceiver(responses);
+  t.after(() => server.close());
+  return server;
+}
+
+// Gauges of an export request by metric name
+function metricsOf(request) {
+  const [{ scopeMetrics: [{ metrics }] }] = request.body.resourceMetrics;
+  return new Map(metrics.map(metric => [metric.name, metric]));
+}
+
+const attribute = (attributes, key) => attributes.find(a => a.key === key).value;
+
+test('queued polls are posted as one request with a gauge per metric', async (t) => {
+  const server = await receiver(t);
+  const exporter = new OtlpExporter({ endpoint: server.endpoint, headers: { 'x-api-key': 'secret' } });
+  exporter.update(SAMPLE);
+  exporter.update({ ...SAMPLE, cpuTemp: 72 });
+  await exporter.flush();
+
+  assert.strictEqual(server.requests.length, 1);
+  const [request] = server.requests;
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.url, '/v1/metrics');
+  assert.strictEqual(request.headers['content-type'], 'application/json');
+  assert.strictEqual(request.headers['x-api-key'], 'secret');
+  assert.deepStrictEqual(attribute(request.body.resourceMetrics[0].resource.attributes, 'service.name'), { stringValue: 'statsentry' });
+
+  const metrics = metricsOf(request);
+  const temp = metrics.get('statsentry.cpu.temp');
+  assert.strictEqual(temp.unit, 'Cel');
+  assert.deepStrictEqual(temp.gauge.dataPoints.map(p => p.asDouble), [71.5, 72]);
+  assert.strictEqual(metrics.has('statsentry.cpu.usage'), false);
+  assert.strictEqual(metrics.get('statsentry.mem.used').gauge.dataPoints[0].asDouble, 1024 ** 3);
+  assert.strictEqual(metrics.get('statsentry.gpu.clocks.core').gauge.dataPoints[0].asDouble, 2730e6);
+
+  const [gpuPoint] = metrics.get('statsentry.gpu.temperature').gauge.dataPoints;
+  assert.deepStrictEqual(attribute(gpuPoint.attributes, 'gpu.index'), { intValue: '0' });
+  assert.deepStrictEqual(attribute(gpuPoint.attributes, 'gpu.name'), { stringValue: 'RTX 4090' });
+  assert.deepStrictEqual(attribute(metrics.get('statsentry.cpu.core.usage').gauge.dataPoints[0].attributes, 'cpu.core'), { intValue: '0' });
+});
+
+test('a busy receiver is retried after Retry-After', async (t) => {
+  const server = await receiver(t, [{ status: 503, headers: { 'Retry-After': '0' }, body: 'overloaded' }]);
+  const exporter = new OtlpExporter({ endpoint: server.endpoint, retryDelay: 5000 });
+  const retries = [];
+  exporter.on('retry', (err, wait) => retries.push([err.message, wait]));
+
+  exporter.update(SAMPLE);
+  await exporter.flush();
+  assert.deepStrictEqual(retries, [['OTLP receiver answered 503: overloaded', 0]]);
+  assert.strictEqual(server.requests.length, 2);
+  assert.strictEqual(exporter.queue.length, 0);
+});
+
+test('a rejected batch is dropped rather than resent', async (t) => {
+  const server = await receiver(t, [{ status: 400, body: 'bad request' }]);
+  const exporter = new OtlpExporter({ endpoint: server.endpoint });
+  const errors = [];
+  exporter.on('error', err => errors.push(err));
+
+  exporter.update(SAMPLE);
+  await exporter.flush();
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].retryable, false);
+  assert.strictEqual(exporter.queue.length, 0);
+});
+
+test('polls are kept for later while the receiver is down, up to maxQueuedPolls', async (t) => {
+  const server = await receiver(t);
+  await server.close();
+  const exporter = new OtlpExporter({ endpoint: server.endpoint, maxRetries: 0, maxQueuedPolls: 2 });
+  const errors = [];
+  exporter.on('error', err => errors.push(err));
+
+  exporter.update(SAMPLE);
+  exporter.update(SAMPLE);
+  exporter.update(SAMPLE);
+  await exporter.flush();
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].retryable, true);
+  assert.strictEqual(exporter.queue.length, 2);
+  assert.strictEqual(exporter.dropped, 1);
+});
+
+test('OTEL_EXPORTER_OTLP_HEADERS-style headers are parsed', () => {
+  assert.deepStrictEqual(OtlpExporter.parseHeaders('api-key=abc%3D, x-team = ops,broken'), { 'api-key': 'abc=', 'x-team': 'ops' });
+  assert.deepStrictEqual(OtlpExporter.parseHeaders(undefined), {});
+});
@@ -0,0 +1,107 @@
+// Prometheus exporter scraped over HTTP on a free port: names and units,
+// label escaping, the poll duration histogram and the HTTP edges
+const test = require('node:test');
+const assert = require('node:assert');
+const PrometheusExporter = require('../src/exporters/prometheus');
+
+const SAMPLE = {
+  cpuTemp: 71.5,
+  cpuUsage: null,
+  memUsed: 2048,
+  cpuCoreUsage: [12.5, null],
+  cpuTemps: [{ name: 'Core "0"', value: 70 }],
+  gpus: [{ index: 0, name: 'RTX 4090\\Ti\nOC', temperature: 64, memory: { used: 512 }, clocks: { core: 2730 } }],
+  sources: { cpuTemp: { provider: 'linux-hwmon', simulated: false } }
+};
+
+async function startExporter(t, options = {}) {
+  const exporter = new PrometheusExporter({ port: 0, hostname: 'rig-01', ...options });
+  await exporter.start();
+  t.after(() => exporter.close());
+  return exporter;
+}
+
+// The sample lines of a scrape by series, e.g. 'statsentry_cpu_temp_celsius{host="rig-01"}' -> '71.5'
+async function scrape(exporter) {
+  const res = await fetch(exporter.url);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8');
+  const text = await res.text();
+  const series = new Map(text.split('\n').filter(line => line && !line.startsWith('#')).map(line => {
+    const split = line.lastIndexOf(' ');
+    return [line.slice(0, split), line.slice(split + 1)];
+  }));
+  return { text, series };
+}
+
+test('readings are named after their definitions and converted to base units', async (t) => {
+  const exporter = await startExporter(t);
+  exporter.update(SAMPLE, { duration: 0.02 });
+  const { text, series } = await scrape(exporter);
+
+  assert.match(text, /^# HELP statsentry_cpu_temp_celsius CPU Temp\n# TYPE statsentry_cpu_temp_celsius gauge\n/m);
+  assert.strictEqual(series.get('statsentry_cpu_temp_celsius{host="rig-01"}'), '71.5');
+  assert.strictEqual(series.get('statsentry_mem_used_bytes{host="rig-01"}'), String(2048 * 1024 * 1024));
+  assert.strictEqual(series.get('statsentry_cpu_core_usage_percent{host="rig-01",core="0"}'), '12.5');
+  assert.strictEqual(series.get('statsentry_metric_source_info{host="rig-01",metric="cpuTemp",provider="linux-hwmon",simulated="false"}'), '1');
+  // Missing readings are left out rather than exported as 0
+  assert.doesNotMatch(text, /statsentry_cpu_usage_percent/);
+  assert.doesNotMatch(text, /core="1"/);
+});
+
+test('label values are escaped', async (t) => {
+  const exporter = await startExporter(t);
+  exporter.update(SAMPLE, { duration: 0.02 });
+  const { series } = await scrape(exporter);
+
+  const gpu = 'host="rig-01",gpu="0",name="RTX 4090\\\\Ti\\nOC"';
+  assert.strictEqual(series.get(`statsentry_gpu_temperature_celsius{${gpu}}`), '64');
+  assert.strictEqual(series.get(`statsentry_gpu_memory_used_bytes{${gpu}}`), String(512 * 1024 * 1024));
+  assert.strictEqual(series.get(`statsentry_gpu_clocks_core_hertz{${gpu}}`), '2730000000');
+  assert.strictEqual(series.get('statsentry_cpu_sensor_temperature_celsius{host="rig-01",sensor="Core \\"0\\""}'), '70');
+});
+
+test('the poll duration histogram is cumulative, with +Inf equal to the count', async (t) => {
+  const exporter = await startExporter(t);
+  [0.03, 0.2, 3, 20].forEach(duration => exporter.update(SAMPLE, { duration }));
+  exporter.update(null, { duration: 0.004 });
+  const { series } = await scrape(exporter);
+
+  const bucket = le => Number(series.get(`statsentry_poll_duration_seconds_bucket{host="rig-01",le="${le}"}`));
+  assert.deepStrictEqual(['0.01', '0.05', '0.25', '1', '5', '10', '+Inf'].map(bucket), [1, 2, 3, 3, 4, 4, 5]);
+  assert.strictEqual(series.get('statsentry_poll_duration_seconds_count{host="rig-01"}'), '5');
+  assert.strictEqual(Number(series.get('statsentry_poll_duration_seconds_sum{host="rig-01"}')), 23.234);
+  assert.strictEqual(series.get('statsentry_poll_errors_total{host="rig-01"}'), '1');
+});
+
+test('only GET and HEAD on /metrics are served', async (t) => {
+  const exporter = await startExporter(t);
+  const base = exporter.url.replace(/\/metrics$/, '');
+
+  const missing = await fetch(`${base}/`);
+  assert.strictEqual(missing.status, 404);
+  assert.match(await missing.text(), /served on \/metrics/);
+
+  const post = await fetch(exporter.url, { method: 'POST' });
+  assert.strictEqual(post.status, 405);
+  assert.strictEqual(post.headers.get('allow'), 'GET, HEAD');
+  await post.text();
+
+  const head = await fetch(exporter.url, { method: 'HEAD' });
+  assert.strictEqual(head.status, 200);
+  assert.strictEqual(await head.text(), '');
+  assert.strictEqual((await fetch(`${exporter.url}?debug=1`).then(res => res.status)), 200);
+});
+
+test('listens on the loopback interface unless told otherwise', async (t) => {
+  const exporter = await startExporter(t);
+  assert.strictEqual(exporter.server.address().address, '127.0.0.1');
+  assert.match(exporter.url, /^http:\/\/127\.0\.0\.1:\d+\/metrics$/);
+});
+
+test('--prometheus takes a port or host:port', () => {
+  assert.deepStrictEqual(PrometheusExporter.parseListenAddress('9464'), { host: undefined, port: 9464 });
+  assert.deepStrictEqual(PrometheusExporter.parseListenAddress('0.0.0.0:9100'), { host: '0.0.0.0', port: 9100 });
+  assert.deepStrictEqual(PrometheusExporter.parseListenAddress('[::1]:9100'), { host: '::1', port: 9100 });
+  assert.strictEqual(PrometheusExporter.parseListenAddress('70000'), null);
+});
@@ -0,0 +1,71 @@
+// Reading recordings back: the `#schema` preamble maps CSV columns to
+// metrics even when a newer version renamed them, logs without a preamble
+// use the version 1 columns, and NDJSON skips its schema header line
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadRecording, loadSystemInfo, parseCsvLine, parseCsvRecording, parseSeek } = require('../src/replay');
+
+const recording = name => path.join(__dirname, 'fixtures', 'recordings', name);
+
+test('columns are mapped through the schema in the preamble', () => {
+  const [first, second] = loadRecording(recording('renamed-columns.csv'));
+  assert.strictEqual(first.timestamp, '2025-03-01T10:00:00.000Z');
+  assert.strictEqual(first.cpuUsage, 12.5);
+  assert.strictEqual(first.cpuTemp, 48.25);
+  assert.strictEqual(first.memUsage, 41);
+  assert.strictEqual(first.pumpSpeed, 1980);
+  assert.deepStrictEqual(first.gpus, [{ index: 0, name: 'NVIDIA GeForce RTX 4090', temperature: 55 }]);
+  assert.strictEqual(first.marker, null);
+  assert.strictEqual(second.marker, 'load start');
+});
+
+test('samples are returned in timestamp order', () => {
+  const times = loadRecording(recording('renamed-columns.csv')).map(sample => sample.timestamp);
+  assert.deepStrictEqual(times, ['2025-03-01T10:00:00.000Z', '2025-03-01T10:00:01.000Z']);
+});
+
+test('a log without a preamble is read with the version 1 columns', () => {
+  const [sample] = loadRecording(recording('version-1.csv'));
+  assert.strictEqual(sample.memUsage, 30.25);
+  assert.strictEqual(sample.gpuTemp, 35);
+  assert.deepStrictEqual(sample.gpus, [{ index: 0, temperature: 35 }]);
+  assert.strictEqual(sample.sources.cpuTemp.provider, 'replay');
+});
+
+test('the system description comes from the preamble or the JSON header', () => {
+  assert.strictEqual(loadSystemInfo(recording('renamed-columns.csv')).hostname, 'bench-rig');
+  assert.strictEqual(loadSystemInfo(recording('session.ndjson')).logicalCores, 32);
+  assert.strictEqual(loadSystemInfo(recording('version-1.csv')), null);
+});
+
+test('NDJSON recordings skip the schema header line', () => {
+  const samples = loadRecording(recording('session.ndjson'));
+  assert.strictEqual(samples.length, 1);
+  assert.strictEqual(samples[0].cpuTemp, 48.25);
+  assert.deepStrictEqual(samples[0].gpus, []);
+});
+
+test('a sample without a CPU temperature stays a gap rather than 0°C', () => {
+  const [sample] = parseCsvRecording('Timestamp,CPU Usage (%),CPU Temp (°C)\n2025-03-01T10:00:00.000Z,42.00,\n');
+  assert.strictEqual(sample.cpuUsage, 42);
+  assert.strictEqual(sample.cpuTemp, null);
+});
+
+test('a sample without a CPU usage stays a gap rather than 0%', () => {
+  const [sample] = parseCsvRecording('Timestamp,CPU Usage (%),CPU Temp (°C)\n2025-03-01T10:00:00.000Z,,48.00\n');
+  assert.strictEqual(sample.cpuUsage, null);
+  assert.strictEqual(sample.cpuTemp, 48);
+});
+
+test('quoted CSV fields keep their commas and quotes', () => {
+  assert.deepStrictEqual(parseCsvLine('a,"b, c","say ""hi""",'), ['a', 'b, c', 'say "hi"', '']);
+});
+
+test('--seek accepts offsets, clock times and timestamps', () => {
+  const start = Date.parse('2025-03-01T10:00:00.000Z');
+  assert.strictEqual(parseSeek('+1h30m', start), start + 90 * 60 * 1000);
+  assert.strictEqual(parseSeek('2025-03-01T10:05:00Z', start), start + 5 * 60 * 1000);
+  assert.ok(parseSeek('23:15', start) >= start);
+  assert.strictEqual(parseSeek('soon', start), null);
+});
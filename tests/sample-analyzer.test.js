@@ -0,0 +1,134 @@
+// Findings over hand-built sample streams: throttling, flat-lined sensors,
+// dropouts, spikes, jumps and source changes
+const test = require('node:test');
+const assert = require('node:assert');
+const SampleAnalyzer = require('../src/sample-analyzer');
+
+// Feed `temps` as cpuTemp (null for a dropout) at 100 ms spacing, plus the
+// per-sensor series from `sensors`; returns the tags of every sample
+function feed(analyzer, temps, sensors = () => ({})) {
+  return temps.map((cpuTemp, i) => analyzer.analyze(i * 100, { cpuUsage: 40, cpuTemp, ...sensors(cpuTemp) }));
+}
+
+const types = analyzer => analyzer.summary().findings.map(f => f.type);
+
+// Feed `count` samples a second apart from `start` seconds, `values(i)` each
+function run(analyzer, start, count, values) {
+  for (let i = 0; i < count; i++) analyzer.analyze((start + i) * 1000, values(i));
+}
+
+// Ten unpinned samples at full usage teach the CPU baseline 100%
+const warmUp = analyzer => run(analyzer, 0, 10, () => ({ cpuTemp: 86, cpuUsage: 100 }));
+
+test('usage held down while the temperature is pinned is throttling, until it recovers', () => {
+  const analyzer = new SampleAnalyzer();
+  warmUp(analyzer);
+  run(analyzer, 10, 8, () => ({ cpuTemp: 95, cpuUsage: 60 }));
+  assert.deepStrictEqual(analyzer.active().map(f => f.detail), ['CPU usage 60% against 100% before, at 95°C']);
+
+  run(analyzer, 18, 1, () => ({ cpuTemp: 95, cpuUsage: 95 }));
+  assert.deepStrictEqual(types(analyzer), ['throttling']);
+  const [finding] = analyzer.summary().findings;
+  assert.strictEqual(finding.start, new Date(10000).toISOString());
+  assert.strictEqual(finding.duration, 8);
+});
+
+test('a drop shorter than minDuration, or below the pinned band, is not throttling', () => {
+  const analyzer = new SampleAnalyzer();
+  warmUp(analyzer);
+  run(analyzer, 10, 4, () => ({ cpuTemp: 95, cpuUsage: 60 }));
+  run(analyzer, 14, 10, () => ({ cpuTemp: 86, cpuUsage: 40 }));
+  assert.deepStrictEqual(types(analyzer), []);
+});
+
+test('the baseline does not learn while the temperature is pinned', () => {
+  const analyzer = new SampleAnalyzer();
+  warmUp(analyzer);
+  run(analyzer, 10, 30, () => ({ cpuTemp: 95, cpuUsage: 70 }));
+  // Within `recover` of a baseline that had learned 70%, but not of 100%
+  run(analyzer, 40, 5, () => ({ cpuTemp: 95, cpuUsage: 75 }));
+
+  const [finding] = analyzer.active();
+  assert.strictEqual(finding.type, 'throttling');
+  assert.strictEqual(finding.duration, 34);
+  assert.match(finding.detail, /against 100% before/);
+});
+
+test('a GPU is judged by its core clock when it reports one', () => {
+  const analyzer = new SampleAnalyzer();
+  const gpu = (temperature, clock) => ({ 'gpu.0.temperature': temperature, 'gpu.0.usage': 99, 'gpu.0.clocks.core': clock });
+  run(analyzer, 0, 10, () => gpu(76, 2700));
+  run(analyzer, 10, 6, () => gpu(84, 1800));
+  assert.deepStrictEqual(analyzer.active().map(f => [f.series, f.detail]),
+    [['gpu.0', 'GPU 0 core clock 1800 MHz against 2700 MHz before, at 84°C']]);
+});
+
+test('a temperature that stays put while the load swings is stuck', () => {
+  const analyzer = new SampleAnalyzer();
+  run(analyzer, 0, 61, i => ({ cpuTemp: 55, cpuUsage: i % 2 ? 60 : 10 }));
+  assert.deepStrictEqual(analyzer.active().map(f => f.detail), ['CPU stuck at 55°C while load ranged 10-60%']);
+
+  run(analyzer, 61, 1, () => ({ cpuTemp: 55.5, cpuUsage: 60 }));
+  assert.deepStrictEqual(types(analyzer), ['stuck']);
+  assert.strictEqual(analyzer.summary().findings[0].duration, 61);
+});
+
+test('a steady temperature under a steady load is not stuck', () => {
+  const analyzer = new SampleAnalyzer();
+  run(analyzer, 0, 61, i => ({ cpuTemp: 55, cpuUsage: 10 + (i % 2) * 15 }));
+  assert.deepStrictEqual(types(analyzer), []);
+});
+
+test('a dropout is one finding, not a jump to 0°C and back', () => {
+  const analyzer = new SampleAnalyzer();
+  const temps = [60, 60.2, 60.1, 60.3, 60.2, 60.1, 60.2, 60.3, 60.1, 60.2, 60.2, null, null, null, 60.4, 60.3];
+  // The package sensor goes with the CPU reading, so it adds no finding
+  const tags = feed(analyzer, temps, cpuTemp => (cpuTemp === null ? {} : { 'cpuTemp.Package': cpuTemp }));
+
+  assert.deepStrictEqual(types(analyzer), ['dropout']);
+  assert.deepStrictEqual(tags[12], ['dropout:cpuTemp']);
+  assert.deepStrictEqual(tags[14], []);
+  const [dropout] = analyzer.summary().findings;
+  assert.strictEqual(dropout.detail, 'CPU temperature stopped reporting');
+  assert.strictEqual(dropout.duration, 0.3);
+});
+
+test('a per-sensor series dropping out alone is its own finding', () => {
+  const analyzer = new SampleAnalyzer();
+  analyzer.analyze(0, { cpuTemp: 60, 'cpuTemp.Core 1': 58 });
+  assert.deepStrictEqual(analyzer.analyze(100, { cpuTemp: 60 }), ['dropout:cpuTemp.Core 1']);
+  assert.strictEqual(analyzer.summary().findings[0].detail, 'CPU Core 1 temperature stopped reporting');
+});
+
+test('a series that never had a reading is not a dropout', () => {
+  const analyzer = new SampleAnalyzer();
+  feed(analyzer, [null, null, null]);
+  assert.deepStrictEqual(types(analyzer), []);
+});
+
+test('a single bad reading is a spike, reported one sample late', () => {
+  const analyzer = new SampleAnalyzer();
+  const temps = [60, 60.2, 60.1, 60.3, 60.2, 60.1, 60.2, 60.3, 60.1, 60.2, 60.2, 0, 60.2, 60.3];
+  const tags = feed(analyzer, temps);
+
+  assert.deepStrictEqual(types(analyzer), ['spike']);
+  assert.deepStrictEqual(tags[12], ['spike:cpuTemp']);
+  assert.strictEqual(analyzer.summary().findings[0].detail, 'CPU read 0°C between 60.2 and 60.2°C');
+});
+
+test('a step that stays is a jump', () => {
+  const analyzer = new SampleAnalyzer();
+  feed(analyzer, [50, 50, 50, 80, 80, 80]);
+  assert.deepStrictEqual(types(analyzer), ['jump']);
+  assert.strictEqual(analyzer.summary().findings[0].detail, 'CPU jumped 30°C in 0.1s');
+});
+
+test('a provider with nothing to read is not a source change', () => {
+  const analyzer = new SampleAnalyzer();
+  const source = provider => ({ sources: { cpuTemp: { provider, simulated: false } } });
+  ['lhm', 'none', 'none', 'lhm', 'none', 'hwmon'].forEach((provider, i) => {
+    analyzer.analyze(i * 100, {}, source(provider));
+  });
+
+  assert.deepStrictEqual(analyzer.summary().findings.map(f => f.detail), ['cpuTemp source changed from lhm to hwmon']);
+});
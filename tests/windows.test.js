@@ -0,0 +1,51 @@
+// The LibreHardwareMonitor bridge session and provider, run against the
+// stand-in bridges in fixtures/ as executables: fake-bridge.js speaking
+// --serve and one-shot-bridge.js like a build from before it
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createBridgeSession, createLibreHardwareMonitorProvider } = require('../src/providers/windows');
+
+// Both are run through their #! line
+const skip = process.platform === 'win32' && 'the stand-in bridges are node scripts';
+const bridge = name => path.join(__dirname, 'fixtures', name);
+
+function openSession(t, exePath) {
+  const session = createBridgeSession({ exePath });
+  t.after(() => session.close());
+  return session;
+}
+
+const EXPECTED = {
+  value: 50.75,
+  details: [{ name: 'CPU Package', value: 52.5 }, { name: 'CPU Core #1', value: 49 }]
+};
+
+test('the provider reads the CPU temperature and each sensor through a --serve bridge', { skip }, async (t) => {
+  const session = openSession(t, bridge('fake-bridge.js'));
+  const provider = createLibreHardwareMonitorProvider({ session });
+
+  assert.deepStrictEqual(await provider.probe(), EXPECTED);
+  assert.deepStrictEqual(await provider.probe(), EXPECTED);
+});
+
+test('errors from a --serve bridge reach the caller', { skip }, async (t) => {
+  const session = openSession(t, bridge('fake-bridge.js'));
+  await assert.rejects(session.request('tree'), { code: 'EBRIDGE' });
+});
+
+test('a bridge without --serve is run once per reading instead', { skip }, async (t) => {
+  const session = openSession(t, bridge('one-shot-bridge.js'));
+  const provider = createLibreHardwareMonitorProvider({ session });
+
+  // The first read finds out (ENOTREADY), later ones go straight to one-shot
+  assert.deepStrictEqual(await provider.probe(), EXPECTED);
+  assert.deepStrictEqual(await provider.probe(), EXPECTED);
+});
+
+test('a session can be forced to one-shot', { skip }, async (t) => {
+  const session = createBridgeSession({ exePath: bridge('one-shot-bridge.js'), persistent: false });
+  t.after(() => session.close());
+  const result = await session.request('read');
+  assert.strictEqual(result.cpuTemperature, 50.75);
+});